@@ -15,10 +15,30 @@ db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
 // ── Schema bootstrap ──────────────────────────────────────────
+// Kept separate so the migration below can rebuild the table from it.
+const EXPORT_JOBS_TABLE = `CREATE TABLE IF NOT EXISTS export_jobs (
+    id           TEXT PRIMARY KEY,
+    project_id   TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    request_id   TEXT UNIQUE,
+    status       TEXT NOT NULL DEFAULT 'QUEUED' CHECK(status IN ('QUEUED','RUNNING','COMPLETE','FAILED','CANCELLED')),
+    progress     REAL NOT NULL DEFAULT 0,
+    stage        TEXT,
+    eta          REAL,
+    output_path  TEXT,
+    error        TEXT,
+    settings     TEXT,
+    attempts     INTEGER NOT NULL DEFAULT 0,
+    created_at   TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+  );`;
+
 db.exec(`
   CREATE TABLE IF NOT EXISTS projects (
     id           TEXT PRIMARY KEY,
     name         TEXT NOT NULL,
+    canvas_width     INTEGER NOT NULL DEFAULT 1280,
+    canvas_height    INTEGER NOT NULL DEFAULT 720,
+    background_color TEXT NOT NULL DEFAULT '#000000',
     created_at   TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
   );
@@ -65,7 +85,8 @@ db.exec(`
     id       TEXT PRIMARY KEY,
     clip_id  TEXT NOT NULL REFERENCES clips(id) ON DELETE CASCADE,
     time     REAL NOT NULL,
-    speed    REAL NOT NULL DEFAULT 1.0
+    speed    REAL NOT NULL DEFAULT 1.0,
+    easing   TEXT NOT NULL DEFAULT 'linear'
   );
 
   CREATE TABLE IF NOT EXISTS overlay_keyframes (
@@ -77,20 +98,70 @@ db.exec(`
     scale_x   REAL NOT NULL DEFAULT 1,
     scale_y   REAL NOT NULL DEFAULT 1,
     rotation  REAL NOT NULL DEFAULT 0,
-    opacity   REAL NOT NULL DEFAULT 1
+    opacity   REAL NOT NULL DEFAULT 1,
+    easing    TEXT NOT NULL DEFAULT 'linear',
+    anchor_x  REAL,
+    anchor_y  REAL
   );
 
-  CREATE TABLE IF NOT EXISTS export_jobs (
-    id           TEXT PRIMARY KEY,
-    project_id   TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
-    request_id   TEXT UNIQUE,
-    status       TEXT NOT NULL DEFAULT 'QUEUED' CHECK(status IN ('QUEUED','RUNNING','COMPLETE','FAILED')),
-    progress     REAL NOT NULL DEFAULT 0,
-    output_path  TEXT,
-    error        TEXT,
-    created_at   TEXT NOT NULL DEFAULT (datetime('now')),
-    updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+  -- Keyframes of any KEYFRAMABLE_PROPERTIES clip property (volume, fontSize,
+  -- color...); value holds the number or color as text
+  CREATE TABLE IF NOT EXISTS property_keyframes (
+    id        TEXT PRIMARY KEY,
+    clip_id   TEXT NOT NULL REFERENCES clips(id) ON DELETE CASCADE,
+    property  TEXT NOT NULL,
+    time      REAL NOT NULL,
+    value     TEXT NOT NULL,
+    easing    TEXT NOT NULL DEFAULT 'linear'
+  );
+
+  ${EXPORT_JOBS_TABLE}
+
+  CREATE TABLE IF NOT EXISTS fonts (
+    id             TEXT PRIMARY KEY,
+    family         TEXT NOT NULL,
+    weight         INTEGER NOT NULL DEFAULT 400,
+    style          TEXT NOT NULL DEFAULT 'normal',
+    original_name  TEXT NOT NULL,
+    path           TEXT NOT NULL,
+    created_at     TEXT NOT NULL DEFAULT (datetime('now'))
   );
 `);
 
+// ── Migrations ────────────────────────────────────────────────
+// CREATE TABLE IF NOT EXISTS leaves older databases untouched, so columns
+// added after the initial schema are patched in here.
+function addColumnIfMissing(table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+addColumnIfMissing('export_jobs', 'settings', 'TEXT');
+addColumnIfMissing('export_jobs', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+addColumnIfMissing('export_jobs', 'stage', 'TEXT');
+addColumnIfMissing('export_jobs', 'eta', 'REAL');
+addColumnIfMissing('projects', 'canvas_width', 'INTEGER NOT NULL DEFAULT 1280');
+addColumnIfMissing('projects', 'canvas_height', 'INTEGER NOT NULL DEFAULT 720');
+addColumnIfMissing('projects', 'background_color', "TEXT NOT NULL DEFAULT '#000000'");
+addColumnIfMissing('speed_keyframes', 'easing', "TEXT NOT NULL DEFAULT 'linear'");
+addColumnIfMissing('overlay_keyframes', 'easing', "TEXT NOT NULL DEFAULT 'linear'");
+// NULL anchors fall back to the overlay type's default (see getDefaultAnchor)
+addColumnIfMissing('overlay_keyframes', 'anchor_x', 'REAL');
+addColumnIfMissing('overlay_keyframes', 'anchor_y', 'REAL');
+
+// SQLite cannot alter a CHECK constraint, so export_jobs tables created before
+// the CANCELLED status are rebuilt with the current definition.
+const exportJobsSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'export_jobs'").get().sql;
+if (!exportJobsSql.includes("'CANCELLED'")) {
+    const columns = 'id, project_id, request_id, status, progress, stage, eta, output_path, error, settings, attempts, created_at, updated_at';
+    db.transaction(() => {
+        db.exec('ALTER TABLE export_jobs RENAME TO export_jobs_old');
+        db.exec(EXPORT_JOBS_TABLE);
+        db.exec(`INSERT INTO export_jobs (${columns}) SELECT ${columns} FROM export_jobs_old`);
+        db.exec('DROP TABLE export_jobs_old');
+    })();
+}
+
 module.exports = db;
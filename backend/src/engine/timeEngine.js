@@ -2,54 +2,331 @@
 function mapClipSourceTime(clipLocalTime, keyframes) {
     if (!keyframes || keyframes.length === 0) return clipLocalTime;
 
-    const kf = [...keyframes].sort((a, b) => a.time - b.time);
-    let sourceTime = 0;
-    let prevTime = 0;
-    let prevSpeed = kf[0].speed;
+    const segments = getSpeedRampSegments(keyframes);
+    let seg = segments[0];
+    for (const s of segments) if (clipLocalTime >= s.time) seg = s;
+    return seg.source + getSpeedRampSource(seg, clipLocalTime - seg.time);
+}
 
-    for (let i = 0; i < kf.length; i++) {
-        const kfTime = kf[i].time;
-        const kfSpeed = kf[i].speed;
+// Named easings a keyframe segment can use; 'cubic-bezier(x1,y1,x2,y2)' strings
+// are accepted as well (CSS syntax, x1/x2 within 0..1)
+const EASING_PRESETS = [
+    'linear', 'hold',
+    'easeIn', 'easeOut', 'easeInOut',
+    'easeInBack', 'easeOutBack', 'easeInOutBack',
+    'easeInBounce', 'easeOutBounce',
+    'easeInElastic', 'easeOutElastic',
+];
 
-        if (clipLocalTime <= kfTime) {
-            const segLen = kfTime - prevTime;
-            const t = clipLocalTime - prevTime;
-            if (segLen === 0) {
-                sourceTime += prevSpeed * t;
-            } else {
-                const frac = t / segLen;
-                const speedAtT = prevSpeed + (kfSpeed - prevSpeed) * frac;
-                sourceTime += t * (prevSpeed + speedAtT) / 2;
-            }
-            return sourceTime;
-        }
+// Overshoot of the back easings and period of the elastic ones (easings.net)
+const EASING_BACK = 1.70158;
+const EASING_ELASTIC = (2 * Math.PI) / 3;
+// Bisection steps when solving a cubic-bezier for its x (and, in export, an
+// eased speed ramp for its time); 2^-30 is well below a frame
+const BEZIER_STEPS = 30;
+
+/**
+ * [x1, y1, x2, y2] of a 'cubic-bezier(...)' easing, or null when the string is
+ * not one (or its x handles leave 0..1, which CSS rejects too).
+ */
+function parseCubicBezier(easing) {
+    const m = typeof easing === 'string' && easing.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (!m) return null;
+    const v = m[1].split(',').map(s => (s.trim() === '' ? NaN : Number(s)));
+    if (v.length !== 4 || v.some(n => !Number.isFinite(n))) return null;
+    if (v[0] < 0 || v[0] > 1 || v[2] < 0 || v[2] > 1) return null;
+    return v;
+}
+
+function formatCubicBezier(x1, y1, x2, y2) {
+    const n = v => String(Math.round(v * 1000) / 1000);
+    return `cubic-bezier(${n(x1)},${n(y1)},${n(x2)},${n(y2)})`;
+}
+
+/**
+ * Coefficients [a, b, c] of one bezier axis running 0 -> p1 -> p2 -> 1:
+ * B(u) = ((a·u + b)·u + c)·u
+ */
+function getBezierCoefficients(p1, p2) {
+    return [1 - 3 * p2 + 3 * p1, 3 * p2 - 6 * p1, 3 * p1];
+}
 
-        const segLen = kfTime - prevTime;
-        sourceTime += segLen * (prevSpeed + kfSpeed) / 2;
-        prevTime = kfTime;
-        prevSpeed = kfSpeed;
+function bezierAxis(u, c) {
+    return ((c[0] * u + c[1]) * u + c[2]) * u;
+}
+
+// Curve parameter s where a cubic-bezier's x(s) reaches x
+function solveCubicBezierX(x, cx) {
+    // x(s) is monotonic for x handles in 0..1, so bisection always converges
+    let lo = 0, hi = 1;
+    for (let i = 0; i < BEZIER_STEPS; i++) {
+        const mid = (lo + hi) / 2;
+        if (bezierAxis(mid, cx) < x) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+function cubicBezierProgress(t, bezier) {
+    const s = solveCubicBezierX(t, getBezierCoefficients(bezier[0], bezier[2]));
+    return bezierAxis(s, getBezierCoefficients(bezier[1], bezier[3]));
+}
+
+/**
+ * Coefficients [k1, ..., k6] of the area under a cubic-bezier easing up to
+ * curve parameter s: ∫ y(σ)·x'(σ) dσ over 0..s = k1·s + k2·s² + ... + k6·s⁶.
+ */
+function getBezierAreaCoefficients(bezier) {
+    const [ax, bx, cx] = getBezierCoefficients(bezier[0], bezier[2]);
+    const [ay, by, cy] = getBezierCoefficients(bezier[1], bezier[3]);
+    const y = [0, cy, by, ay];
+    const dx = [cx, 2 * bx, 3 * ax];
+    const k = [0, 0, 0, 0, 0, 0];
+    for (let i = 1; i <= 3; i++) {
+        for (let j = 0; j <= 2; j++) k[i + j] += y[i] * dx[j] / (i + j + 1);
     }
+    return k;
+}
+
+// k1·s + k2·s² + ... for coefficients [k1, k2, ...]
+function polynomial(s, k) {
+    let v = 0;
+    for (let n = k.length - 1; n >= 0; n--) v = (v + k[n]) * s;
+    return v;
+}
+
+// Bounce-out is four parabolas BOUNCE_N·(t - offset)² + base, each starting
+// at `from`; `area` is the area under the curve before the arc starts
+const BOUNCE_N = 7.5625;
+const BOUNCE_ARCS = [[0, 0, 0], [1, 1.5, 0.75], [2, 2.25, 0.9375], [2.5, 2.625, 0.984375]]
+    .map(([from, offset, base]) => ({ from: from / 2.75, offset: offset / 2.75, base }));
+BOUNCE_ARCS.reduce((area, arc, i) => {
+    arc.area = area;
+    const to = i + 1 < BOUNCE_ARCS.length ? BOUNCE_ARCS[i + 1].from : 1;
+    return area + arcArea(arc, to) - arcArea(arc, arc.from);
+}, 0);
+
+// Antiderivative of one bounce arc
+function arcArea(arc, x) {
+    return BOUNCE_N * Math.pow(x - arc.offset, 3) / 3 + arc.base * x;
+}
 
-    const remaining = clipLocalTime - prevTime;
-    sourceTime += remaining * prevSpeed;
-    return sourceTime;
+function bounceArc(t) {
+    let arc = BOUNCE_ARCS[0];
+    for (const a of BOUNCE_ARCS) if (t >= a.from) arc = a;
+    return arc;
 }
 
+function bounceOut(t) {
+    const arc = bounceArc(t);
+    return BOUNCE_N * (t - arc.offset) * (t - arc.offset) + arc.base;
+}
+
+function bounceOutArea(t) {
+    const arc = bounceArc(t);
+    return arc.area + arcArea(arc, t) - arcArea(arc, arc.from);
+}
+
+// The elastic easings are e^(k·t)·sin(ω·t + phase) waves with k = ±10·ln 2
+const ELASTIC_DECAY = 10 * Math.LN2;
+
+// Antiderivative of e^(k·t)·sin(ω·t + phase)
+function dampedSineArea(t, k, phase) {
+    const w = 10 * EASING_ELASTIC;
+    return Math.exp(k * t) * (k * Math.sin(w * t + phase) - w * Math.cos(w * t + phase)) / (k * k + w * w);
+}
+
+/**
+ * Eased progress of a keyframe segment for linear progress t in 0..1. Back and
+ * elastic easings overshoot outside 0..1; 'hold' keeps the first value until
+ * the next keyframe. Unknown easings are linear.
+ */
 function getEasedProgress(t, easing) {
-    if (easing === 'easeIn') return t * t;
-    if (easing === 'easeOut') return t * (2 - t);
-    if (easing === 'easeInOut') return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-    return t;
+    const c1 = EASING_BACK, c2 = EASING_BACK * 1.525, c3 = EASING_BACK + 1;
+    switch (easing) {
+        case 'hold': return t >= 1 ? 1 : 0;
+        case 'easeIn': return t * t;
+        case 'easeOut': return t * (2 - t);
+        case 'easeInOut': return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+        case 'easeInBack': return c3 * t * t * t - c1 * t * t;
+        case 'easeOutBack': return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+        case 'easeInOutBack':
+            return t < 0.5
+                ? (Math.pow(2 * t, 2) * ((c2 + 1) * 2 * t - c2)) / 2
+                : (Math.pow(2 * t - 2, 2) * ((c2 + 1) * (2 * t - 2) + c2) + 2) / 2;
+        case 'easeInBounce': return 1 - bounceOut(1 - t);
+        case 'easeOutBounce': return bounceOut(t);
+        case 'easeInElastic':
+            return t <= 0 ? 0 : t >= 1 ? 1 : -Math.pow(2, 10 * t - 10) * Math.sin((10 * t - 10.75) * EASING_ELASTIC);
+        case 'easeOutElastic':
+            return t <= 0 ? 0 : t >= 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((10 * t - 0.75) * EASING_ELASTIC) + 1;
+    }
+    const bezier = parseCubicBezier(easing);
+    return bezier ? cubicBezierProgress(t, bezier) : t;
+}
+
+/**
+ * Area under an easing curve over 0..t: ∫ getEasedProgress(u, easing) du.
+ * Eased speed ramps integrate with it, in closed form for every curve.
+ */
+function getEasedArea(t, easing) {
+    const c1 = EASING_BACK, c2 = EASING_BACK * 1.525, c3 = EASING_BACK + 1;
+    // In-out curves are point-symmetric, so the second half mirrors the first
+    const mirrored = first => (t < 0.5 ? first(t) : t - 0.5 + first(1 - t));
+    const elastic = (k, phase) => dampedSineArea(t, k, phase) - dampedSineArea(0, k, phase);
+    switch (easing) {
+        case 'hold': return 0;
+        case 'easeIn': return t * t * t / 3;
+        case 'easeOut': return t * t - t * t * t / 3;
+        case 'easeInOut': return mirrored(u => 2 * u * u * u / 3);
+        case 'easeInBack': return c3 * Math.pow(t, 4) / 4 - c1 * Math.pow(t, 3) / 3;
+        case 'easeOutBack': return t + c3 * (Math.pow(t - 1, 4) - 1) / 4 + c1 * (Math.pow(t - 1, 3) + 1) / 3;
+        case 'easeInOutBack': return mirrored(u => ((c2 + 1) * Math.pow(2 * u, 4) / 4 - c2 * Math.pow(2 * u, 3) / 3) / 4);
+        case 'easeInBounce': return t - bounceOutArea(1) + bounceOutArea(1 - t);
+        case 'easeOutBounce': return bounceOutArea(t);
+        case 'easeInElastic': return -Math.pow(2, -10) * elastic(ELASTIC_DECAY, -10.75 * EASING_ELASTIC);
+        case 'easeOutElastic': return t + elastic(-ELASTIC_DECAY, -0.75 * EASING_ELASTIC);
+    }
+    const bezier = parseCubicBezier(easing);
+    if (!bezier) return t * t / 2;
+    return polynomial(solveCubicBezierX(t, getBezierCoefficients(bezier[0], bezier[2])), getBezierAreaCoefficients(bezier));
+}
+
+// How an overlay moves between position keyframes (properties.motionPath):
+// in straight lines, or along a Catmull-Rom spline through them
+const MOTION_PATHS = ['linear', 'smooth'];
+
+// Catmull-Rom cubic from p1 to p2 as [a0, a1, a2, a3]: a0 + a1·u + a2·u² + a3·u³
+function catmullRom(p0, p1, p2, p3) {
+    const m1 = (p2 - p0) / 2;
+    const m2 = (p3 - p1) / 2;
+    return [p1, m1, 3 * (p2 - p1) - 2 * m1 - m2, 2 * (p1 - p2) + m1 + m2];
+}
+
+function cubicAt(c, u) {
+    return c[0] + u * (c[1] + u * (c[2] + u * c[3]));
+}
+
+/**
+ * Cubics a smooth motion path follows from keyframe i to i + 1 of time-sorted
+ * `keyframes`: { x: [a0, a1, a2, a3], y } at eased segment progress u. Each
+ * keyframe's tangent points from its previous neighbour to its next one; the
+ * first and last keyframes aim straight at their only neighbour.
+ */
+function getMotionPathSegment(keyframes, i) {
+    const axis = (key) => {
+        const p1 = keyframes[i][key] ?? 0;
+        const p2 = keyframes[i + 1][key] ?? 0;
+        const p0 = i > 0 ? (keyframes[i - 1][key] ?? 0) : 2 * p1 - p2;
+        const p3 = i + 2 < keyframes.length ? (keyframes[i + 2][key] ?? 0) : 2 * p2 - p1;
+        return catmullRom(p0, p1, p2, p3);
+    };
+    return { x: axis('x'), y: axis('y') };
+}
+
+/**
+ * Points along an overlay's motion path, `steps` per smooth segment, for
+ * drawing it: the positions interpolateOverlay() passes through whatever the
+ * easing.
+ */
+function sampleMotionPath(keyframes, motionPath, steps) {
+    const kf = [...(keyframes || [])].sort((a, b) => a.time - b.time);
+    if (kf.length === 0) return [];
+    const points = [{ x: kf[0].x ?? 0, y: kf[0].y ?? 0 }];
+    for (let i = 0; i < kf.length - 1; i++) {
+        if (motionPath !== 'smooth') {
+            points.push({ x: kf[i + 1].x ?? 0, y: kf[i + 1].y ?? 0 });
+            continue;
+        }
+        const seg = getMotionPathSegment(kf, i);
+        for (let s = 1; s <= steps; s++) points.push({ x: cubicAt(seg.x, s / steps), y: cubicAt(seg.y, s / steps) });
+    }
+    return points;
+}
+
+// Overlay anchor point: keyframed anchor_x / anchor_y place it in the
+// overlay's box as fractions of its width and height (0 = left/top, 1 =
+// right/bottom). The anchor sits on the keyframed x/y and rotation and scale
+// pivot around it. Keyframes without one use the overlay type's default:
+// text hangs from its top-left corner, images from their centre.
+const ANCHOR_PRESETS = {
+    'top-left': { x: 0, y: 0 },
+    'top-right': { x: 1, y: 0 },
+    center: { x: 0.5, y: 0.5 },
+    'bottom-left': { x: 0, y: 1 },
+    'bottom-right': { x: 1, y: 1 },
+};
+
+// Image overlays are this many canvas pixels wide; their height follows the image
+const IMAGE_OVERLAY_WIDTH = 200;
+
+function getDefaultAnchor(trackType) {
+    return trackType === 'OVERLAY_IMAGE' ? ANCHOR_PRESETS.center : ANCHOR_PRESETS['top-left'];
+}
+
+// Anchor boxes in canvas pixels: a text overlay's laid-out lines (without the
+// background padding), an image overlay's drawn size
+function getTextBlockSize(layout, style) {
+    return { width: layout.width, height: layout.lines.length * style.fontSize * style.lineHeight };
+}
+
+function getImageOverlaySize(naturalWidth, naturalHeight) {
+    const aspect = naturalWidth > 0 && naturalHeight > 0 ? naturalHeight / naturalWidth : 1;
+    return { width: IMAGE_OVERLAY_WIDTH, height: IMAGE_OVERLAY_WIDTH * aspect };
+}
+
+/**
+ * Canvas position of the point (u, v) of an overlay's box – fractions, like
+ * the anchor – under an interpolateOverlay() transform. The box is rotated
+ * about the anchor, then scaled in frame axes, as both the preview and the
+ * export draw it.
+ */
+function getOverlayPoint(transform, box, u, v) {
+    const dx = (u - transform.anchorX) * box.width;
+    const dy = (v - transform.anchorY) * box.height;
+    const r = transform.rotation * Math.PI / 180;
+    return {
+        x: transform.x + transform.scaleX * (dx * Math.cos(r) - dy * Math.sin(r)),
+        y: transform.y + transform.scaleY * (dx * Math.sin(r) + dy * Math.cos(r)),
+    };
+}
+
+/**
+ * The inverse of getOverlayPoint(): the box fractions (u, v) of a canvas
+ * point, inside the box when both are within 0..1. Null for a box squashed
+ * to nothing.
+ */
+function getOverlayBoxPoint(transform, box, x, y) {
+    if (!transform.scaleX || !transform.scaleY || !box.width || !box.height) return null;
+    const sx = (x - transform.x) / transform.scaleX;
+    const sy = (y - transform.y) / transform.scaleY;
+    const r = transform.rotation * Math.PI / 180;
+    const dx = sx * Math.cos(r) + sy * Math.sin(r);
+    const dy = -sx * Math.sin(r) + sy * Math.cos(r);
+    return { u: transform.anchorX + dx / box.width, v: transform.anchorY + dy / box.height };
 }
 
-function interpolateOverlay(clipLocalTime, keyframes) {
-    const defaults = { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, opacity: 1 };
+// Overlay keyframe fields holding an interpolateOverlay() transform
+function transformToKeyframe(transform) {
+    return {
+        x: transform.x, y: transform.y,
+        scale_x: transform.scaleX, scale_y: transform.scaleY,
+        rotation: transform.rotation, opacity: transform.opacity,
+        anchor_x: transform.anchorX, anchor_y: transform.anchorY,
+    };
+}
+
+// Overlay transform at a clip-local time; a 'smooth' motionPath moves x/y
+// along the keyframes' Catmull-Rom spline instead of straight lines. `anchor`
+// is the default for keyframes without an anchor point.
+function interpolateOverlay(clipLocalTime, keyframes, motionPath, anchor = ANCHOR_PRESETS['top-left']) {
+    const defaults = { x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, opacity: 1, anchorX: anchor.x, anchorY: anchor.y };
     if (!keyframes || keyframes.length === 0) return defaults;
 
     const kf = [...keyframes].sort((a, b) => a.time - b.time);
 
-    if (clipLocalTime <= kf[0].time) return kfToTransform(kf[0]);
-    if (clipLocalTime >= kf[kf.length - 1].time) return kfToTransform(kf[kf.length - 1]);
+    if (clipLocalTime <= kf[0].time) return kfToTransform(kf[0], anchor);
+    if (clipLocalTime >= kf[kf.length - 1].time) return kfToTransform(kf[kf.length - 1], anchor);
 
     for (let i = 0; i < kf.length - 1; i++) {
         if (clipLocalTime >= kf[i].time && clipLocalTime <= kf[i + 1].time) {
@@ -60,17 +337,113 @@ function interpolateOverlay(clipLocalTime, keyframes) {
             const easing = kf[i].easing || 'linear';
             t = getEasedProgress(t, easing);
 
+            const path = motionPath === 'smooth' ? getMotionPathSegment(kf, i) : null;
             return {
-                x: lerp(kf[i].x, kf[i + 1].x, t),
-                y: lerp(kf[i].y, kf[i + 1].y, t),
+                x: path ? cubicAt(path.x, t) : lerp(kf[i].x, kf[i + 1].x, t),
+                y: path ? cubicAt(path.y, t) : lerp(kf[i].y, kf[i + 1].y, t),
                 scaleX: lerp(kf[i].scale_x ?? kf[i].scaleX ?? 1, kf[i + 1].scale_x ?? kf[i + 1].scaleX ?? 1, t),
                 scaleY: lerp(kf[i].scale_y ?? kf[i].scaleY ?? 1, kf[i + 1].scale_y ?? kf[i + 1].scaleY ?? 1, t),
                 rotation: lerp(kf[i].rotation, kf[i + 1].rotation, t),
                 opacity: lerp(kf[i].opacity, kf[i + 1].opacity, t),
+                anchorX: lerp(kf[i].anchor_x ?? anchor.x, kf[i + 1].anchor_x ?? anchor.x, t),
+                anchorY: lerp(kf[i].anchor_y ?? anchor.y, kf[i + 1].anchor_y ?? anchor.y, t),
             };
         }
     }
-    return kfToTransform(kf[kf.length - 1]);
+    return kfToTransform(kf[kf.length - 1], anchor);
+}
+
+// Clip properties that can follow a curve of property keyframes
+// ({ property, time, value, easing }, the property_keyframes table), with the
+// track types they apply to. Numbers interpolate linearly and colors per RGBA
+// channel, each segment eased with its first keyframe's easing; values are
+// clamped to the property's range (overshooting easings can leave it).
+const KEYFRAMABLE_PROPERTIES = {
+    volume: { type: 'number', label: 'Volume', min: 0, tracks: ['VIDEO_A', 'VIDEO_B', 'AUDIO'] },
+    fontSize: { type: 'number', label: 'Font size', min: 1, tracks: ['OVERLAY_TEXT'] },
+    color: { type: 'color', label: 'Color', tracks: ['OVERLAY_TEXT'] },
+};
+
+// [r, g, b, a] (0-255, alpha 0-1) of a hex (#rgb, #rrggbb, #rrggbbaa) or
+// rgb()/rgba() color, or null for anything else
+function parseColor(color) {
+    const c = String(color ?? '').trim();
+    let m = /^#([0-9a-f]{3})$/i.exec(c);
+    if (m) return [...m[1]].map(h => parseInt(h + h, 16)).concat(1);
+    m = /^#([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(c);
+    if (m) {
+        const rgb = [0, 2, 4].map(i => parseInt(m[1].slice(i, i + 2), 16));
+        return rgb.concat(m[2] ? parseInt(m[2], 16) / 255 : 1);
+    }
+    m = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(c);
+    if (m) return [m[1], m[2], m[3]].map(v => Math.min(255, parseInt(v))).concat(m[4] != null ? Math.min(1, parseFloat(m[4])) : 1);
+    return null;
+}
+
+function formatColor(rgba) {
+    const [r, g, b] = rgba.slice(0, 3).map(v => Math.round(v));
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(rgba[3] * 1000) / 1000})`;
+}
+
+/**
+ * Time-sorted keyframes of one property with their values parsed: numbers,
+ * or [r, g, b, a] for colors. Keyframes whose value doesn't parse are dropped.
+ */
+function getPropertyKeyframes(keyframes, property) {
+    const def = KEYFRAMABLE_PROPERTIES[property];
+    if (!def) return [];
+    return (keyframes || [])
+        .filter(kf => kf.property === property)
+        .map(kf => ({ time: kf.time, easing: kf.easing || 'linear', value: def.type === 'color' ? parseColor(kf.value) : parseFloat(kf.value) }))
+        .filter(kf => def.type === 'color' ? kf.value !== null : Number.isFinite(kf.value))
+        .sort((a, b) => a.time - b.time);
+}
+
+// Clamp a number (or one channel of a color) to the property's range
+function clampProperty(def, v, channel) {
+    if (def.type === 'color') return Math.min(channel === 3 ? 1 : 255, Math.max(0, v));
+    return def.min != null ? Math.max(def.min, v) : v;
+}
+
+/**
+ * Value of a keyframed property at a clip-local time, or undefined when it
+ * has no keyframes. Colors come back as rgba() strings.
+ */
+function getPropertyValue(keyframes, property, clipLocalTime) {
+    const kf = getPropertyKeyframes(keyframes, property);
+    if (kf.length === 0) return undefined;
+    const def = KEYFRAMABLE_PROPERTIES[property];
+
+    let i = kf.findIndex(k => k.time > clipLocalTime) - 1;
+    if (i === -2) i = kf.length - 1; // past the last keyframe
+    const from = kf[Math.max(0, i)];
+    const to = i >= 0 && i < kf.length - 1 ? kf[i + 1] : from;
+    const segLen = to.time - from.time;
+    const t = segLen > 0 ? getEasedProgress((clipLocalTime - from.time) / segLen, from.easing) : 0;
+
+    if (def.type === 'color') return formatColor(from.value.map((v, c) => clampProperty(def, lerp(v, to.value[c], t), c)));
+    return clampProperty(def, lerp(from.value, to.value, t));
+}
+
+/**
+ * A clip's properties at a clip-local time, keyframed ones evaluated.
+ */
+function getAnimatedProperties(clip, clipLocalTime) {
+    const props = typeof clip.properties === 'string' ? JSON.parse(clip.properties) : (clip.properties || {});
+    if (!clip.propertyKeyframes || clip.propertyKeyframes.length === 0) return props;
+    const animated = { ...props };
+    for (const property of Object.keys(KEYFRAMABLE_PROPERTIES)) {
+        const value = getPropertyValue(clip.propertyKeyframes, property, clipLocalTime);
+        if (value !== undefined) animated[property] = value;
+    }
+    return animated;
+}
+
+// A keyframed font size scales the text as laid out at the clip's own font
+// size rather than re-wrapping it every frame, which the export's drawtext
+// can't do: the factor for animated `properties`
+function getTextFontScale(clipProperties, properties) {
+    return getTextStyle(properties).fontSize / getTextStyle(clipProperties).fontSize;
 }
 
 function evaluateTimeline(project, timelineTime) {
@@ -90,21 +463,27 @@ function evaluateTimeline(project, timelineTime) {
             const clipLocalTime = timelineTime - clipStart;
 
             if (track.type === 'VIDEO_A' || track.type === 'VIDEO_B') {
-                const sourceTime = clip.in_point + mapClipSourceTime(clipLocalTime, clip.speedKeyframes || []);
+                const sourceTime = getClipSourceTime(clip, clipLocalTime);
+                const props = getAnimatedProperties(clip, clipLocalTime);
                 const entry = {
                     clipId: clip.id, assetId: clip.asset_id,
                     sourceTime, clipLocalTime,
-                    properties: clip.properties || {},
+                    properties: props,
+                    effect: getTransitionEffect(clipLocalTime, clip.duration, props),
                 };
                 if (track.type === 'VIDEO_A') result.videoA = entry;
                 else result.videoB = entry;
 
             } else if (track.type === 'OVERLAY_TEXT' || track.type === 'OVERLAY_IMAGE') {
-                const transform = interpolateOverlay(clipLocalTime, clip.overlayKeyframes || []);
+                const clipProperties = typeof clip.properties === 'string' ? JSON.parse(clip.properties) : (clip.properties || {});
+                const animated = getAnimatedProperties(clip, clipLocalTime);
+                const transform = interpolateOverlay(clipLocalTime, clip.overlayKeyframes || [], clipProperties.motionPath, getDefaultAnchor(track.type));
+                // Text is laid out at the clip's font size and drawn fontScale times that
                 const entry = {
                     clipId: clip.id, assetId: clip.asset_id,
-                    properties: typeof clip.properties === 'string' ? JSON.parse(clip.properties) : (clip.properties || {}),
-                    transform,
+                    properties: { ...animated, fontSize: clipProperties.fontSize },
+                    fontScale: getTextFontScale(clipProperties, animated),
+                    transform, clipLocalTime,
                 };
                 if (track.type === 'OVERLAY_TEXT') result.overlayTexts.push(entry);
                 else result.overlayImages.push(entry);
@@ -117,6 +496,560 @@ function evaluateTimeline(project, timelineTime) {
     return result;
 }
 
+// Blur transitions step through a fixed number of levels so the FFmpeg export
+// (one gblur per level) matches the preview exactly.
+const TRANSITION_BLUR_STEPS = 6;
+const TRANSITION_BLUR_MAX = 0.02; // max blur radius as a fraction of frame width
+
+function getTransitionEffect(clipLocalTime, clipDuration, props) {
+    const effect = { opacity: 1, type: 'none', progress: 0 };
+    if (!props || !props.transition || props.transition === 'none') return effect;
+
+    const dur = props.transitionDuration || 0.5;
+    // Intro (Fade In / Wipe In)
+    if (clipLocalTime < dur) {
+        effect.type = props.transition;
+        effect.phase = 'in';
+        effect.progress = clipLocalTime / dur;
+        effect.opacity = effect.progress;
+    }
+    // Outro (Fade Out / Wipe Out)
+    else if (clipLocalTime > clipDuration - dur) {
+        effect.type = props.transition;
+        effect.phase = 'out';
+        effect.progress = (clipDuration - clipLocalTime) / dur;
+        effect.opacity = effect.progress;
+    }
+    return effect;
+}
+
+function getTransitionBlur(progress) {
+    const level = Math.floor(progress * TRANSITION_BLUR_STEPS) / TRANSITION_BLUR_STEPS;
+    return TRANSITION_BLUR_MAX * (1 - Math.min(1, level));
+}
+
+// How a source whose aspect differs from the project canvas is placed on it:
+// 'fit' letterboxes, 'fill' covers and crops, 'stretch' distorts to the canvas.
+const FIT_MODES = ['fit', 'fill', 'stretch'];
+
+function getFitRect(srcWidth, srcHeight, dstWidth, dstHeight, mode) {
+    if (mode === 'stretch' || !srcWidth || !srcHeight) {
+        return { x: 0, y: 0, width: dstWidth, height: dstHeight };
+    }
+    const scaleFit = Math.min(dstWidth / srcWidth, dstHeight / srcHeight);
+    const scaleFill = Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+    const scale = mode === 'fill' ? scaleFill : scaleFit;
+    const width = srcWidth * scale;
+    const height = srcHeight * scale;
+    return { x: (dstWidth - width) / 2, y: (dstHeight - height) / 2, width, height };
+}
+
+// Speed keyframes as linear ramps in clip-local time: the pieces whose
+// trapezoids mapClipSourceTime() sums. Each covers [time, time + duration] and
+// starts `source` seconds into the clip; the open-ended last one holds the
+// final speed.
+function getSpeedRampSegments(keyframes) {
+    if (!keyframes || keyframes.length === 0) {
+        return [{ time: 0, duration: Infinity, source: 0, startSpeed: 1, endSpeed: 1 }];
+    }
+    const kf = [...keyframes].sort((a, b) => a.time - b.time);
+    const segments = [];
+    let prevTime = 0;
+    let prevSpeed = kf[0].speed;
+    let prevEasing = 'linear';
+    let source = 0;
+
+    for (const k of kf) {
+        const duration = k.time - prevTime;
+        if (duration > 0) {
+            const seg = { time: prevTime, duration, source, startSpeed: prevSpeed, endSpeed: k.speed, easing: prevEasing };
+            segments.push(seg);
+            source += getSpeedRampSource(seg, duration);
+        }
+        prevTime = k.time;
+        prevSpeed = k.speed;
+        prevEasing = k.easing || 'linear';
+    }
+    segments.push({ time: prevTime, duration: Infinity, source, startSpeed: prevSpeed, endSpeed: prevSpeed, easing: 'linear' });
+    return segments;
+}
+
+/**
+ * Source seconds a speed ramp segment consumes in its first `localTime`
+ * seconds: its eased speed integrated, v0·τ + (v1 - v0)·L·getEasedArea(τ/L).
+ */
+function getSpeedRampSource(segment, localTime) {
+    const { duration, startSpeed, endSpeed } = segment;
+    if (localTime <= 0 || duration === Infinity || startSpeed === endSpeed) return startSpeed * localTime;
+    const t = Math.min(localTime, duration);
+    return startSpeed * t + (endSpeed - startSpeed) * duration * getEasedArea(t / duration, segment.easing)
+        + endSpeed * (localTime - t);
+}
+
+// A reversed clip (properties.reverse) plays the source range its speed
+// keyframes cover from the far end back to the in point
+function isClipReversed(clip) {
+    return (clip.properties || {}).reverse === true;
+}
+
+/**
+ * Source time of a clip at a clip-local time: the in point plus its speed
+ * integrated, where negative speeds rewind. A reversed clip runs the same
+ * range backwards. Not clamped to the asset.
+ */
+function getClipSourceTime(clip, clipLocalTime) {
+    const keyframes = clip.speedKeyframes || [];
+    const offset = mapClipSourceTime(clipLocalTime, keyframes);
+    if (!isClipReversed(clip)) return clip.in_point + offset;
+    return clip.in_point + mapClipSourceTime(clip.duration, keyframes) - offset;
+}
+
+// Rate the source moves at: negative while the clip plays backwards
+function getClipSpeed(clip, clipLocalTime) {
+    const speed = getSpeedAtTime(clipLocalTime, clip.speedKeyframes || []);
+    return isClipReversed(clip) ? -speed : speed;
+}
+
+/**
+ * Source ranges ({ in_point, out_point }) of the two halves of a clip split
+ * at a clip-local time. The cut falls at the source time playing there, and
+ * the half that plays later in the source gets the upper range: the second
+ * half normally, the first for a reversed clip.
+ */
+function splitClipSourceRange(clip, clipLocalTime) {
+    const cut = getClipSourceTime(clip, clipLocalTime);
+    const lower = { in_point: clip.in_point, out_point: cut };
+    const upper = { in_point: cut, out_point: clip.out_point };
+    return isClipReversed(clip) ? [upper, lower] : [lower, upper];
+}
+
+// An eased segment split at a cut is refitted piece by piece (see
+// splitEasedSegment()): pieces halve until their cubic is within this much of
+// the curve (as a fraction of the speed change), at most this deep
+const SPLIT_EASING_TOLERANCE = 0.002;
+const SPLIT_EASING_DEPTH = 6;
+const SPLIT_EASING_SAMPLES = 8;
+
+/**
+ * Keyframes { time, speed, easing } that play the u0..u1 part of the eased
+ * segment from keyframe `a` to `b` as the whole segment does there. Linear
+ * and hold easings split as they are. Any other easing becomes cubic-beziers
+ * with linear x handles, i.e. cubics in the piece's progress, each matching
+ * its sub-curve's area (the source it consumes, so the source range is exact)
+ * and its value a third of the way in. The cubic easings fit in one piece;
+ * the others get more keyframes until the curve is matched.
+ */
+function splitEasedSegment(a, b, u0, u1, depth = 0) {
+    const easing = a.easing || 'linear';
+    const p0 = getEasedProgress(u0, easing);
+    const start = { time: a.time + u0 * (b.time - a.time), speed: lerp(a.speed, b.speed, p0), easing };
+    if (easing === 'linear' || easing === 'hold' || a.speed === b.speed) return [start];
+
+    const w = u1 - u0;
+    const span = getEasedProgress(u1, easing) - p0;
+    const halves = () => {
+        const mid = (u0 + u1) / 2;
+        return splitEasedSegment(a, b, u0, mid, depth + 1).concat(splitEasedSegment(a, b, mid, u1, depth + 1));
+    };
+    if (Math.abs(span) < 1e-9) return depth < SPLIT_EASING_DEPTH ? halves() : [{ ...start, easing: 'linear' }];
+
+    // Normalized sub-curve q(p) = (E(u0 + p·w) - p0) / span; the bezier
+    // 3·y1·p(1-p)² + 3·y2·p²(1-p) + p³ has area (y1 + y2 + 1) / 4
+    const q = p => (getEasedProgress(u0 + p * w, easing) - p0) / span;
+    const area = ((getEasedArea(u1, easing) - getEasedArea(u0, easing)) / w - p0) / span;
+    const sum = 4 * area - 1;
+    const y1 = (9 * q(1 / 3) - 1 / 3 - 2 * sum) / 2;
+    const y2 = sum - y1;
+    if (depth < SPLIT_EASING_DEPTH) {
+        for (let i = 1; i < SPLIT_EASING_SAMPLES; i++) {
+            const p = i / SPLIT_EASING_SAMPLES;
+            const fit = 3 * y1 * p * (1 - p) * (1 - p) + 3 * y2 * p * p * (1 - p) + p * p * p;
+            if (Math.abs((fit - q(p)) * span) > SPLIT_EASING_TOLERANCE) return halves();
+        }
+    }
+    const n = v => String(+v.toFixed(9));
+    return [{ ...start, easing: `cubic-bezier(${n(1 / 3)},${n(y1)},${n(2 / 3)},${n(y2)})` }];
+}
+
+/**
+ * Speed keyframes of the two halves of a clip split at a clip-local time, the
+ * second half's shifted to start at 0. Both get a keyframe at the cut holding
+ * the ramp's speed there, and a segment the cut falls in is split with
+ * splitEasedSegment(), so the halves play the same source as the whole clip.
+ * Keyframes added at the cut have no id.
+ */
+function splitSpeedKeyframes(keyframes, clipLocalTime) {
+    if (!keyframes || keyframes.length === 0) return [[], []];
+    const t = clipLocalTime;
+    const kf = [...keyframes].sort((a, b) => a.time - b.time);
+    const first = [], second = [];
+    kf.forEach((k, i) => {
+        const next = kf[i + 1];
+        if (k.time < t && next && next.time > t) {
+            const u = (t - k.time) / (next.time - k.time);
+            const [head, ...rest] = splitEasedSegment(k, next, 0, u);
+            first.push({ ...k, ...head }, ...rest);
+            second.push(...splitEasedSegment(k, next, u, 1).map(p => ({ ...p, time: p.time - t })));
+        } else if (k.time <= t) {
+            first.push(k);
+            if (k.time === t) second.push({ ...k, time: 0 });
+        } else {
+            second.push({ ...k, time: k.time - t });
+        }
+    });
+    const speed = getSpeedAtTime(t, kf);
+    if (first.length === 0 || first[first.length - 1].time < t) first.push({ time: t, speed, easing: 'linear' });
+    if (second.length === 0 || second[0].time > 0) second.unshift({ time: 0, speed, easing: 'linear' });
+    return [first, second];
+}
+
+/**
+ * The two halves of a clip split at a clip-local time, each playing exactly
+ * what the clip played on its side of the cut: source ranges from
+ * splitClipSourceRange(), speed keyframes from splitSpeedKeyframes(). The
+ * second half is a deep copy that keeps the clip's id; give it a new one.
+ */
+function splitClip(clip, clipLocalTime) {
+    const [range1, range2] = splitClipSourceRange(clip, clipLocalTime);
+    const first = { ...clip, ...range1, duration: clipLocalTime };
+    const second = {
+        ...JSON.parse(JSON.stringify(clip)), ...range2,
+        start_time: clip.start_time + clipLocalTime,
+        duration: clip.duration - clipLocalTime,
+    };
+    if (clip.speedKeyframes) [first.speedKeyframes, second.speedKeyframes] = splitSpeedKeyframes(clip.speedKeyframes, clipLocalTime);
+    return [first, second];
+}
+
+// Samples per speed ramp segment when looking for the speed changing sign
+const SPEED_SIGN_SAMPLES = 64;
+
+function findSpeedSignChange(keyframes, lo, hi, sign) {
+    for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (Math.sign(getSpeedAtTime(mid, keyframes)) === sign) lo = mid;
+        else hi = mid;
+    }
+    return hi;
+}
+
+/**
+ * A clip split where its source changes direction: [{ start, end, sourceStart,
+ * sourceEnd }] in clip-local and source seconds. Within a piece the source
+ * only moves one way (sourceEnd < sourceStart plays backwards) or holds.
+ */
+function getClipSourcePieces(clip) {
+    const keyframes = clip.speedKeyframes || [];
+    const duration = clip.duration;
+    const cuts = [0];
+    let sign = 0;
+    let signTime = 0;
+    for (const seg of getSpeedRampSegments(keyframes)) {
+        const to = Math.min(seg.time + seg.duration, duration);
+        if (to <= seg.time) continue;
+        for (let i = 0; i <= SPEED_SIGN_SAMPLES; i++) {
+            const t = seg.time + (to - seg.time) * i / SPEED_SIGN_SAMPLES;
+            const s = Math.sign(getSpeedAtTime(t, keyframes));
+            if (s === 0) continue;
+            if (sign !== 0 && s !== sign) {
+                const cut = findSpeedSignChange(keyframes, signTime, t, sign);
+                if (cut - cuts[cuts.length - 1] > 1e-6 && duration - cut > 1e-6) cuts.push(cut);
+            }
+            sign = s;
+            signTime = t;
+        }
+    }
+    cuts.push(duration);
+
+    const pieces = [];
+    for (let i = 0; i < cuts.length - 1; i++) {
+        pieces.push({
+            start: cuts[i], end: cuts[i + 1],
+            sourceStart: getClipSourceTime(clip, cuts[i]),
+            sourceEnd: getClipSourceTime(clip, cuts[i + 1]),
+        });
+    }
+    return pieces;
+}
+
+// Source seconds within which a clip is taken to show a given frame
+const SOURCE_TIME_EPSILON = 1e-10;
+
+// The time in [lo, hi] where `before(t)` stops holding, for a `before` that
+// is true up to some time and false after it
+function bisectTime(lo, hi, before) {
+    if (!before(lo)) return lo;
+    if (before(hi)) return hi;
+    for (let i = 0; i < 50; i++) {
+        const mid = (lo + hi) / 2;
+        if (before(mid)) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Inverse of mapClipSourceTime(): the clip-local times in [0, duration] at
+ * which the source is `sourceOffset` seconds past the in point, earliest
+ * first, as { start, end } spans. A frame the ramp passes gives start === end,
+ * a hold on it gives the held span, and a rewind can show it more than once.
+ * Empty if the clip never shows it.
+ */
+function unmapClipSourceTime(sourceOffset, keyframes, duration) {
+    const spans = [];
+    for (const piece of getClipSourcePieces({ in_point: 0, duration, speedKeyframes: keyframes })) {
+        // How far the piece is past the frame: never decreases within a piece
+        const sign = piece.sourceEnd >= piece.sourceStart ? 1 : -1;
+        const past = t => sign * (mapClipSourceTime(t, keyframes) - sourceOffset);
+        if (past(piece.start) > SOURCE_TIME_EPSILON || past(piece.end) < -SOURCE_TIME_EPSILON) continue;
+
+        const start = bisectTime(piece.start, piece.end, t => past(t) < -SOURCE_TIME_EPSILON);
+        const end = bisectTime(start, piece.end, t => past(t) <= SOURCE_TIME_EPSILON);
+        // A turn on the frame ends one piece and starts the next
+        const last = spans[spans.length - 1];
+        if (last && start - last.end < 1e-9) last.end = end;
+        else spans.push({ start, end });
+    }
+
+    // Only a hold (speed exactly 0) spans time, from where the speed reaches 0
+    // to where it leaves it; a ramp passing or turning on the frame is a moment
+    const isHeld = t => getSpeedAtTime(t, keyframes) === 0;
+    for (const span of spans) {
+        const mid = (span.start + span.end) / 2;
+        if (isHeld(mid) && isHeld((span.start + mid) / 2) && isHeld((mid + span.end) / 2)) {
+            span.start = bisectTime(span.start, mid, t => !isHeld(t));
+            span.end = bisectTime(mid, span.end, isHeld);
+        } else {
+            span.start = span.end = mid;
+        }
+    }
+    return spans;
+}
+
+/**
+ * Timeline spans at which a clip shows the frame at `sourceTime` (absolute
+ * source seconds), for match frame and source-timed markers: the inverse of
+ * getClipSourceTime() with the clip's start time added. See
+ * unmapClipSourceTime() for the span semantics.
+ */
+function getTimelineTimesAtSource(clip, sourceTime) {
+    const keyframes = clip.speedKeyframes || [];
+    const offset = isClipReversed(clip)
+        ? mapClipSourceTime(clip.duration, keyframes) - (sourceTime - clip.in_point)
+        : sourceTime - clip.in_point;
+    return unmapClipSourceTime(offset, keyframes, clip.duration)
+        .map(span => ({ start: clip.start_time + span.start, end: clip.start_time + span.end }));
+}
+
+/**
+ * Speed keyframes that make a clip `clipDuration` long play exactly
+ * `sourceDuration` seconds of source with the same ramp shape: keyframe times
+ * stretch from the clip's current `fromDuration` and every speed is scaled by
+ * one factor (the source integral is linear in the speeds, so that factor is
+ * exact). Null when a duration is not positive or the ramp does not move the
+ * source forward overall.
+ */
+function fitSpeedRampToDuration(keyframes, fromDuration, clipDuration, sourceDuration) {
+    if (!(fromDuration > 0) || !(clipDuration > 0) || !(sourceDuration > 0)) return null;
+    const stretch = clipDuration / fromDuration;
+    const shape = keyframes && keyframes.length > 0 ? keyframes : [{ time: 0, speed: 1, easing: 'linear' }];
+    const stretched = shape.map(kf => ({ ...kf, time: kf.time * stretch }));
+    const consumed = mapClipSourceTime(clipDuration, stretched);
+    if (!(consumed > 0)) return null;
+    const factor = sourceDuration / consumed;
+    return stretched.map(kf => ({ ...kf, speed: kf.speed * factor }));
+}
+
+// Text overlays without fontFamily/fontWeight keep the original bold Inter look
+const DEFAULT_FONT_FAMILY = 'Inter';
+const DEFAULT_FONT_WEIGHT = 700;
+
+// Padding of a text overlay's background box around its line, in canvas pixels
+const TEXT_BOX_PADDING = { x: 8, y: 4 };
+
+const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+// Numeric property value, or `fallback` when it is missing or not a number
+function numberOr(v, fallback) {
+    return v == null || v === '' || !Number.isFinite(Number(v)) ? fallback : Number(v);
+}
+
+// Text overlay styling with defaults filled in; sizes are in canvas pixels,
+// lineHeight is a multiple of the font size. A zero stroke width or a missing
+// shadow color turns that effect off.
+function getTextStyle(props) {
+    const p = props || {};
+    return {
+        fontSize: numberOr(p.fontSize, 48),
+        color: p.color || '#ffffff',
+        backgroundColor: p.backgroundColor || null,
+        align: TEXT_ALIGNS.includes(p.textAlign) ? p.textAlign : 'left',
+        maxWidth: Math.max(0, numberOr(p.maxWidth, 0)),
+        lineHeight: Math.max(0.5, numberOr(p.lineHeight, 1.2)),
+        letterSpacing: numberOr(p.letterSpacing, 0),
+        strokeColor: p.strokeColor || '#000000',
+        strokeWidth: Math.max(0, numberOr(p.strokeWidth, 0)),
+        shadowColor: p.shadowColor || null,
+        shadowX: numberOr(p.shadowX, 2),
+        shadowY: numberOr(p.shadowY, 2),
+    };
+}
+
+// Width of a string drawn with extra spacing between its characters
+function spacedWidth(str, letterSpacing, measure) {
+    const chars = Array.from(str);
+    return chars.length === 0 ? 0 : measure(str) + letterSpacing * (chars.length - 1);
+}
+
+// Lay a text overlay out in lines: explicit newlines, plus greedy word wrap at
+// style.maxWidth (0 = no wrap; a single word wider than that keeps its own
+// line). `measure(str)` is the advance width of a string in canvas pixels –
+// the preview measures on its canvas, the export from the font file – so both
+// wrap at the same words. Each line gets its width and its x offset inside the
+// block for style.align; the block is maxWidth wide, or as wide as its widest
+// line, and its top-left is the overlay position.
+function layoutTextLines(text, style, measure) {
+    const width = (str) => spacedWidth(str, style.letterSpacing, measure);
+    const texts = [];
+    for (const paragraph of String(text || '').split(/\r?\n/)) {
+        if (!style.maxWidth) { texts.push(paragraph); continue; }
+        let line = '';
+        for (const word of paragraph.split(/ +/)) {
+            const candidate = line ? line + ' ' + word : word;
+            if (line && width(candidate) > style.maxWidth) {
+                texts.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        texts.push(line);
+    }
+
+    const lines = texts.map(str => ({ text: str, width: width(str) }));
+    const blockWidth = style.maxWidth || Math.max(0, ...lines.map(l => l.width));
+    const k = style.align === 'center' ? 0.5 : style.align === 'right' ? 1 : 0;
+    for (let i = 0; i < lines.length; i++) {
+        lines[i].x = (blockWidth - lines[i].width) * k;
+        lines[i].y = i * style.fontSize * style.lineHeight;
+    }
+    return { lines, width: blockWidth };
+}
+
+// Animated text: the text is revealed in units (characters, words or lines),
+// unit i starting `stagger` seconds after unit i-1, each fading in over
+// `duration` (0 = appears at once) and sliding up by `slide` × font size.
+const TEXT_ANIMATIONS = {
+    typewriter: { unit: 'char', stagger: 0.05, duration: 0, slide: 0 },
+    wordFade: { unit: 'word', stagger: 0.15, duration: 0.3, slide: 0 },
+    slideUp: { unit: 'line', stagger: 0.3, duration: 0.4, slide: 0.5 },
+};
+
+// A text overlay's animation (props.textAnimation: { type, stagger, duration,
+// delay }) with the preset's defaults filled in, or null when it has none
+function getTextAnimation(props) {
+    const a = props && props.textAnimation;
+    const preset = a && TEXT_ANIMATIONS[a.type];
+    if (!preset) return null;
+    return {
+        type: a.type,
+        unit: preset.unit,
+        slide: preset.slide,
+        stagger: Math.max(0, numberOr(a.stagger, preset.stagger)),
+        duration: Math.max(0, numberOr(a.duration, preset.duration)),
+        delay: Math.max(0, numberOr(a.delay, 0)),
+    };
+}
+
+// Split laid-out lines into the pieces that are drawn separately: whole
+// lines, or words/characters when the animation reveals them one by one (or
+// letter spacing needs each character placed). Each piece has its offset in
+// the block, its line and the index of the animation unit it belongs to;
+// whitespace is not drawn but still counts towards character/word indices.
+function getTextPieces(layout, style, measure, animation) {
+    const unit = animation ? animation.unit : 'line';
+    const split = style.letterSpacing ? 'char' : unit;
+    const pieces = [];
+    let chars = 0, words = 0;
+    layout.lines.forEach((line, li) => {
+        if (split === 'line') {
+            if (line.text.trim()) pieces.push({ text: line.text, x: line.x, y: line.y, line: li, index: li });
+            return;
+        }
+        let prefix = '';
+        for (const token of line.text.split(/(\s+)/)) {
+            if (!token) continue;
+            if (!token.trim()) {
+                prefix += token;
+                chars += Array.from(token).length;
+                continue;
+            }
+            const word = words++;
+            for (const run of split === 'char' ? Array.from(token) : [token]) {
+                pieces.push({
+                    text: run,
+                    x: line.x + measure(prefix) + style.letterSpacing * Array.from(prefix).length,
+                    y: line.y,
+                    line: li,
+                    index: unit === 'line' ? li : unit === 'word' ? word : chars,
+                });
+                prefix += run;
+                chars += Array.from(run).length;
+            }
+        }
+    });
+    return pieces;
+}
+
+// Clip-local time animation unit `index` starts revealing (rounded so the
+// export's expressions compare against the same value)
+function getTextUnitStart(index, animation) {
+    return Math.round((animation.delay + index * animation.stagger) * 10000) / 10000;
+}
+
+// Reveal of animation unit `index` at clipLocalTime: { opacity, offsetY },
+// offsetY in font sizes. Eased out (quad) so units settle softly.
+function getTextReveal(clipLocalTime, index, animation) {
+    if (!animation) return { opacity: 1, offsetY: 0 };
+    const start = getTextUnitStart(index, animation);
+    const p = animation.duration > 0
+        ? Math.min(1, Math.max(0, (clipLocalTime - start) / animation.duration))
+        : (clipLocalTime >= start ? 1 : 0);
+    const eased = 1 - (1 - p) * (1 - p);
+    return { opacity: eased, offsetY: animation.slide * (1 - eased) };
+}
+
+// Pick the font face ({ family, weight, style }) a text overlay renders with,
+// so preview and export resolve to the same file. The family matches
+// case-insensitively, falling back to the default family and then to the first
+// available one; within it the style must match if possible and the closest
+// weight wins (ties go to the heavier face for bold-ish requests, like CSS).
+function matchFontFace(faces, family, weight, style) {
+    if (!faces || faces.length === 0) return null;
+    const wanted = (family || DEFAULT_FONT_FAMILY).toLowerCase();
+    const targetWeight = Number(weight) || DEFAULT_FONT_WEIGHT;
+    const targetStyle = style || 'normal';
+
+    const inFamily = (name) => faces.filter(f => f.family.toLowerCase() === name);
+    let candidates = inFamily(wanted);
+    if (candidates.length === 0) candidates = inFamily(DEFAULT_FONT_FAMILY.toLowerCase());
+    if (candidates.length === 0) candidates = inFamily(faces[0].family.toLowerCase());
+
+    const styled = candidates.filter(f => (f.style || 'normal') === targetStyle);
+    if (styled.length > 0) candidates = styled;
+
+    let best = null;
+    for (const face of candidates) {
+        if (!best) { best = face; continue; }
+        const d = Math.abs(face.weight - targetWeight);
+        const bestD = Math.abs(best.weight - targetWeight);
+        if (d < bestD || (d === bestD && (targetWeight > 500 ? face.weight > best.weight : face.weight < best.weight))) {
+            best = face;
+        }
+    }
+    return best;
+}
+
 function getSpeedAtTime(clipLocalTime, keyframes) {
     if (!keyframes || keyframes.length === 0) return 1;
     const kf = [...keyframes].sort((a, b) => a.time - b.time);
@@ -128,13 +1061,13 @@ function getSpeedAtTime(clipLocalTime, keyframes) {
         if (clipLocalTime >= kf[i].time && clipLocalTime <= kf[i + 1].time) {
             const segLen = kf[i + 1].time - kf[i].time;
             const t = segLen === 0 ? 0 : (clipLocalTime - kf[i].time) / segLen;
-            return lerp(kf[i].speed, kf[i + 1].speed, t);
+            return lerp(kf[i].speed, kf[i + 1].speed, getEasedProgress(t, kf[i].easing || 'linear'));
         }
     }
     return kf[kf.length - 1].speed;
 }
 
-function kfToTransform(kf) {
+function kfToTransform(kf, anchor) {
     return {
         x: kf.x ?? 0,
         y: kf.y ?? 0,
@@ -142,6 +1075,8 @@ function kfToTransform(kf) {
         scaleY: kf.scale_y ?? kf.scaleY ?? 1,
         rotation: kf.rotation ?? 0,
         opacity: kf.opacity ?? 1,
+        anchorX: kf.anchor_x ?? anchor.x,
+        anchorY: kf.anchor_y ?? anchor.y,
     };
 }
 
@@ -152,7 +1087,68 @@ function lerp(a, b, t) {
 module.exports = {
     mapClipSourceTime,
     interpolateOverlay,
+    KEYFRAMABLE_PROPERTIES,
+    parseColor,
+    formatColor,
+    getPropertyKeyframes,
+    getPropertyValue,
+    getAnimatedProperties,
+    getTextFontScale,
+    ANCHOR_PRESETS,
+    IMAGE_OVERLAY_WIDTH,
+    getDefaultAnchor,
+    getTextBlockSize,
+    getImageOverlaySize,
+    getOverlayPoint,
+    getOverlayBoxPoint,
+    transformToKeyframe,
+    MOTION_PATHS,
+    getMotionPathSegment,
+    sampleMotionPath,
+    EASING_PRESETS,
+    EASING_BACK,
+    EASING_ELASTIC,
+    BEZIER_STEPS,
+    parseCubicBezier,
+    formatCubicBezier,
+    getBezierCoefficients,
+    getEasedProgress,
+    getEasedArea,
+    getBezierAreaCoefficients,
+    BOUNCE_N,
+    BOUNCE_ARCS,
+    ELASTIC_DECAY,
     evaluateTimeline,
-    getSpeedAtTime
+    getSpeedAtTime,
+    getSpeedRampSegments,
+    getSpeedRampSource,
+    isClipReversed,
+    getClipSourceTime,
+    splitClipSourceRange,
+    splitSpeedKeyframes,
+    splitClip,
+    getClipSpeed,
+    getClipSourcePieces,
+    unmapClipSourceTime,
+    getTimelineTimesAtSource,
+    fitSpeedRampToDuration,
+    getTransitionEffect,
+    getTransitionBlur,
+    TRANSITION_BLUR_STEPS,
+    TRANSITION_BLUR_MAX,
+    FIT_MODES,
+    DEFAULT_FONT_FAMILY,
+    DEFAULT_FONT_WEIGHT,
+    TEXT_BOX_PADDING,
+    TEXT_ALIGNS,
+    getTextStyle,
+    layoutTextLines,
+    TEXT_ANIMATIONS,
+    getTextAnimation,
+    getTextPieces,
+    getTextUnitStart,
+    getTextReveal,
+    matchFontFace,
+    getFitRect
 };
 
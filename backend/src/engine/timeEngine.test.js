@@ -1,7 +1,7 @@
 // ============================================================
 // Time Engine Tests – speed ramp + hold
 // ============================================================
-const { mapClipSourceTime, evaluateTimeline, interpolateOverlay } = require('./timeEngine');
+const { mapClipSourceTime, evaluateTimeline, interpolateOverlay, getTransitionEffect, getTransitionBlur, TRANSITION_BLUR_MAX, getFitRect, getSpeedRampSegments, matchFontFace, getTextStyle, layoutTextLines, getTextAnimation, getTextPieces, getTextReveal, getEasedProgress, parseCubicBezier, formatCubicBezier, EASING_PRESETS, getSpeedAtTime, getClipSourceTime, splitClipSourceRange, getClipSpeed, getClipSourcePieces, unmapClipSourceTime, getTimelineTimesAtSource, fitSpeedRampToDuration, sampleMotionPath, getDefaultAnchor, getOverlayPoint, getOverlayBoxPoint, transformToKeyframe, getImageOverlaySize, getPropertyValue, getAnimatedProperties } = require('./timeEngine');
 
 // Helpers
 function approxEqual(a, b, eps = 0.001) {
@@ -174,6 +174,538 @@ function testOverlayInterpolation() {
     console.log('  ✓ Test 4: Overlay interpolation PASSED');
 }
 
+// ── Test 5: Transition progress ───────────────────────────
+// 4s clip with a 0.5s wipe: ramps in over [0, 0.5], out over [3.5, 4]
+function testTransitionEffect() {
+    const props = { transition: 'wipe-left', transitionDuration: 0.5 };
+
+    const start = getTransitionEffect(0.25, 4, props);
+    if (start.phase !== 'in' || start.type !== 'wipe-left') throw new Error('Expected intro phase at t=0.25');
+    approxEqual(start.progress, 0.5);
+
+    const mid = getTransitionEffect(2, 4, props);
+    if (mid.type !== 'none') throw new Error('No transition expected mid-clip');
+    approxEqual(mid.opacity, 1);
+
+    const end = getTransitionEffect(3.9, 4, props);
+    if (end.phase !== 'out') throw new Error('Expected outro phase at t=3.9');
+    approxEqual(end.progress, 0.2);
+
+    const none = getTransitionEffect(0.1, 4, { transition: 'none' });
+    if (none.type !== 'none') throw new Error('transition "none" should have no effect');
+
+    // Blur is quantised so the export's stepped gblur chain matches the preview
+    approxEqual(getTransitionBlur(0), TRANSITION_BLUR_MAX);
+    approxEqual(getTransitionBlur(0.1), TRANSITION_BLUR_MAX);
+    approxEqual(getTransitionBlur(1), 0);
+
+    console.log('  ✓ Test 5: Transition progress PASSED');
+}
+
+// ── Test 6: Canvas fit modes ──────────────────────────────
+// 1920x1080 source on a 1080x1920 (9:16) canvas
+function testFitRect() {
+    const fit = getFitRect(1920, 1080, 1080, 1920, 'fit');
+    approxEqual(fit.width, 1080);
+    approxEqual(fit.height, 607.5);
+    approxEqual(fit.x, 0);
+    approxEqual(fit.y, 656.25);
+
+    const fill = getFitRect(1920, 1080, 1080, 1920, 'fill');
+    approxEqual(fill.height, 1920);
+    approxEqual(fill.width, 3413.333, 0.01);
+    approxEqual(fill.x, -1166.667, 0.01);
+
+    const stretch = getFitRect(1920, 1080, 1080, 1920, 'stretch');
+    if (stretch.x !== 0 || stretch.width !== 1080 || stretch.height !== 1920) throw new Error('Stretch should cover the canvas');
+
+    // Unknown source size falls back to covering the canvas
+    const unknown = getFitRect(0, 0, 1080, 1080, 'fit');
+    if (unknown.width !== 1080 || unknown.height !== 1080) throw new Error('Missing source size should stretch');
+
+    console.log('  ✓ Test 6: Canvas fit modes PASSED');
+}
+
+// ── Test 7: Speed ramp segments ───────────────────────────
+// The linear pieces must integrate to exactly what mapClipSourceTime() returns
+function testSpeedRampSegments() {
+    const keyframes = [
+        { time: 1, speed: 1 },
+        { time: 2, speed: 0 },
+        { time: 3, speed: 0 },
+        { time: 3, speed: 2 },
+        { time: 5, speed: 0.5 },
+    ];
+    const segments = getSpeedRampSegments(keyframes);
+
+    // Lead-in at the first speed, 3 ramps (the zero-length step is dropped), open tail
+    if (segments.length !== 5) throw new Error(`Expected 5 segments, got ${segments.length}`);
+    if (segments[4].duration !== Infinity || segments[4].startSpeed !== 0.5) throw new Error('Tail should hold the last speed');
+    approxEqual(segments[3].startSpeed, 2);
+
+    for (const seg of segments) {
+        approxEqual(seg.source, mapClipSourceTime(seg.time, keyframes));
+        const span = Math.min(seg.duration, 1);
+        for (const f of [0.25, 0.5, 1]) {
+            const t = span * f;
+            const speed = seg.startSpeed + (seg.endSpeed - seg.startSpeed) * (t / seg.duration || 0);
+            approxEqual(seg.source + t * (seg.startSpeed + speed) / 2, mapClipSourceTime(seg.time + t, keyframes));
+        }
+    }
+
+    // No keyframes: realtime
+    const plain = getSpeedRampSegments([]);
+    if (plain.length !== 1 || plain[0].startSpeed !== 1) throw new Error('No keyframes should be 1x');
+
+    console.log('  ✓ Test 7: Speed ramp segments PASSED');
+}
+
+// ── Test 8: Font face matching ────────────────────────────
+function testFontMatching() {
+    const faces = [
+        { id: 'r', family: 'Inter', weight: 400, style: 'normal' },
+        { id: 'b', family: 'Inter', weight: 700, style: 'normal' },
+        { id: 'i', family: 'Inter', weight: 400, style: 'italic' },
+        { id: 'l', family: 'Lato', weight: 300, style: 'normal' },
+        { id: 'h', family: 'Lato', weight: 900, style: 'normal' },
+    ];
+    const pick = (...args) => (matchFontFace(faces, ...args) || {}).id;
+
+    if (pick() !== 'b') throw new Error('Default should be bold Inter');
+    if (pick('inter', 400) !== 'r') throw new Error('Family should match case-insensitively');
+    if (pick('Inter', 400, 'italic') !== 'i') throw new Error('Style should match');
+    if (pick('Lato', 500) !== 'l') throw new Error('Closest weight should win');
+    if (pick('Lato', 600) !== 'h') throw new Error('Bold-ish ties should go heavier');
+    if (pick('Missing Sans', 400) !== 'r') throw new Error('Unknown family should fall back to Inter');
+    if (matchFontFace(faces.slice(3), 'Missing Sans', 800).id !== 'h') throw new Error('Without Inter, the first family is used');
+    if (matchFontFace([], 'Inter', 400) !== null) throw new Error('No faces should resolve to null');
+
+    console.log('  ✓ Test 8: Font face matching PASSED');
+}
+
+// ── Test 9: Text layout ───────────────────────────────────
+function testTextLayout() {
+    // Monospace measure: every character is 10px wide
+    const measure = (str) => Array.from(str).length * 10;
+
+    const plain = layoutTextLines('One\nTwo lines', getTextStyle({ fontSize: 20 }), measure);
+    if (plain.lines.map(l => l.text).join('|') !== 'One|Two lines') throw new Error('Newlines should split lines');
+    approxEqual(plain.width, 90);
+    approxEqual(plain.lines[1].y, 24); // 20px × default 1.2 line height
+
+    const wrapped = layoutTextLines('the quick brown fox', getTextStyle({ maxWidth: 100, textAlign: 'right' }), measure);
+    if (wrapped.lines.map(l => l.text).join('|') !== 'the quick|brown fox') throw new Error('Words should wrap at maxWidth');
+    approxEqual(wrapped.width, 100);
+    approxEqual(wrapped.lines[0].x, 10);
+
+    const spaced = layoutTextLines('ab\nabcd', getTextStyle({ letterSpacing: 5, textAlign: 'center' }), measure);
+    approxEqual(spaced.lines[0].width, 25);
+    approxEqual(spaced.lines[1].width, 55);
+    approxEqual(spaced.lines[0].x, 15);
+
+    const long = layoutTextLines('a extraordinarily b', getTextStyle({ maxWidth: 50 }), measure);
+    if (long.lines.map(l => l.text).join('|') !== 'a|extraordinarily|b') throw new Error('Long words should keep their own line');
+
+    const style = getTextStyle({ textAlign: 'justify', lineHeight: '', strokeWidth: -1 });
+    if (style.align !== 'left' || style.lineHeight !== 1.2 || style.strokeWidth !== 0) throw new Error('Invalid styles should fall back to defaults');
+
+    console.log('  ✓ Test 9: Text layout PASSED');
+}
+
+// ── Test 10: Text animation ──────────────────────────────
+function testTextAnimation() {
+    const measure = (str) => Array.from(str).length * 10;
+    const style = getTextStyle({});
+    const layout = layoutTextLines('ab cd\nef', style, measure);
+
+    if (getTextAnimation({}) !== null || getTextAnimation({ textAnimation: { type: 'spin' } }) !== null) {
+        throw new Error('Unknown animations should be ignored');
+    }
+    const typewriter = getTextAnimation({ textAnimation: { type: 'typewriter', stagger: 0.1 } });
+    const chars = getTextPieces(layout, style, measure, typewriter);
+    if (chars.map(p => p.text).join('') !== 'abcdef') throw new Error('Typewriter should draw every character');
+    // The space counts towards the typing order but is not drawn
+    if (chars.map(p => p.index).join() !== '0,1,3,4,5,6') throw new Error(`Unexpected character order ${chars.map(p => p.index)}`);
+    approxEqual(chars[2].x, 30);
+    approxEqual(getTextReveal(0.29, 3, typewriter).opacity, 0);
+    approxEqual(getTextReveal(0.3, 3, typewriter).opacity, 1);
+
+    const words = getTextPieces(layout, style, measure, getTextAnimation({ textAnimation: { type: 'wordFade' } }));
+    if (words.map(p => `${p.text}@${p.index}`).join() !== 'ab@0,cd@1,ef@2') throw new Error('Words should be revealed in order across lines');
+
+    const slideUp = getTextAnimation({ textAnimation: { type: 'slideUp', delay: 1 } });
+    const lines = getTextPieces(layout, style, measure, slideUp);
+    if (lines.length !== 2 || lines[1].index !== 1) throw new Error('Slide-up should reveal whole lines');
+    const half = getTextReveal(1 + slideUp.stagger + slideUp.duration / 2, 1, slideUp);
+    approxEqual(half.opacity, 0.75); // ease-out at the midpoint
+    approxEqual(half.offsetY, slideUp.slide * 0.25);
+    const done = getTextReveal(10, 1, slideUp);
+    if (done.opacity !== 1 || done.offsetY !== 0) throw new Error('Revealed units should settle in place');
+
+    // Without an animation, letter spacing still splits lines into characters
+    const spaced = getTextPieces(layout, getTextStyle({ letterSpacing: 2 }), measure, null);
+    approxEqual(spaced[2].x, 36);
+    if (spaced.some(p => p.index !== p.line)) throw new Error('Static pieces should belong to their line');
+
+    console.log('  ✓ Test 10: Text animation PASSED');
+}
+
+// ── Test 11: Keyframe easing ──────────────────────────────────
+function testEasing() {
+    for (const easing of EASING_PRESETS) {
+        if (easing === 'hold') continue;
+        approxEqual(getEasedProgress(0, easing), 0, 1e-9);
+        approxEqual(getEasedProgress(1, easing), 1, 1e-9);
+    }
+
+    // Hold keeps the first keyframe's value for the whole segment
+    const held = [
+        { time: 0, x: 10, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing: 'hold' },
+        { time: 2, x: 50, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 },
+    ];
+    approxEqual(interpolateOverlay(1.99, held).x, 10);
+    approxEqual(interpolateOverlay(2, held).x, 50);
+
+    // Back overshoots, bounce ends on its last arc, elastic oscillates around 1
+    if (getEasedProgress(0.2, 'easeInBack') >= 0) throw new Error('easeInBack should dip below 0');
+    if (getEasedProgress(0.8, 'easeOutBack') <= 1) throw new Error('easeOutBack should overshoot 1');
+    approxEqual(getEasedProgress(0.5, 'easeOutBounce'), 0.765625);
+    approxEqual(getEasedProgress(0.5, 'easeInBounce'), 1 - 0.765625);
+    approxEqual(getEasedProgress(0.1, 'easeOutElastic'), 1.25);
+
+    // Cubic-bezier: CSS 'ease-in-out' is symmetric, the diagonal is linear
+    const bezier = 'cubic-bezier(0.42, 0, 0.58, 1)';
+    if (parseCubicBezier(bezier).join() !== '0.42,0,0.58,1') throw new Error('cubic-bezier() should parse');
+    approxEqual(getEasedProgress(0.5, bezier), 0.5, 1e-6);
+    approxEqual(getEasedProgress(0.25, bezier) + getEasedProgress(0.75, bezier), 1, 1e-6);
+    approxEqual(getEasedProgress(0.3, 'cubic-bezier(0,0,1,1)'), 0.3, 1e-6);
+    // CSS 'ease' at x = 0.5 (y ≈ 0.8024)
+    approxEqual(getEasedProgress(0.5, 'cubic-bezier(0.25,0.1,0.25,1)'), 0.8024, 1e-4);
+    // Overshooting y handles are allowed, x handles outside 0..1 are not
+    if (getEasedProgress(0.5, 'cubic-bezier(0.3,1.6,0.7,1.6)') <= 1) throw new Error('y handles above 1 should overshoot');
+    if (parseCubicBezier('cubic-bezier(1.2,0,0.5,1)') || parseCubicBezier('cubic-bezier(0,0,1)')) {
+        throw new Error('Invalid cubic-bezier() should be rejected');
+    }
+    approxEqual(getEasedProgress(0.3, 'cubic-bezier(1.2,0,0.5,1)'), 0.3);
+    if (formatCubicBezier(0.1234, -0.5, 1, 2) !== 'cubic-bezier(0.123,-0.5,1,2)') throw new Error('cubic-bezier() should format');
+
+    console.log('  ✓ Test 11: Keyframe easing PASSED');
+}
+
+// ── Test 12: Eased speed ramps ────────────────────────────────
+// Ease-in ramp 1x→3x over 2s: speed = 1 + 2·(t/2)², so the source consumed by
+// t is t + 2·2·(t/2)³/3 → 1.1667s at t=1 and 3.3333s at t=2
+function testEasedSpeedRamp() {
+    const easeIn = [{ time: 0, speed: 1, easing: 'easeIn' }, { time: 2, speed: 3 }];
+    approxEqual(getSpeedAtTime(1, easeIn), 1.5);
+    approxEqual(mapClipSourceTime(1, easeIn), 1 + 1 / 6);
+    approxEqual(mapClipSourceTime(2, easeIn), 2 + 4 / 3);
+    approxEqual(mapClipSourceTime(3, easeIn), 2 + 4 / 3 + 3);
+    if (getSpeedRampSegments(easeIn)[0].easing !== 'easeIn') throw new Error('Ramp segments should carry their easing');
+
+    // Hold keeps the first speed until the next keyframe
+    const held = [{ time: 0, speed: 1, easing: 'hold' }, { time: 2, speed: 3 }];
+    approxEqual(getSpeedAtTime(1.5, held), 1);
+    approxEqual(mapClipSourceTime(2.5, held), 2 + 1.5);
+
+    // A symmetric S-curve consumes the same source as the linear ramp
+    const sCurve = [{ time: 0, speed: 1, easing: 'cubic-bezier(0.42,0,0.58,1)' }, { time: 2, speed: 3 }];
+    approxEqual(mapClipSourceTime(2, sCurve), 4, 1e-6);
+    if (mapClipSourceTime(0.5, sCurve) >= mapClipSourceTime(0.5, [{ time: 0, speed: 1 }, { time: 2, speed: 3 }])) {
+        throw new Error('An ease-in-out ramp should start slower than the linear one');
+    }
+
+    // Every curve integrates its own speed (midpoint rule as the reference)
+    for (const easing of EASING_PRESETS.concat(['cubic-bezier(0.3,-0.6,0.2,1.8)'])) {
+        const kfs = [{ time: 0.5, speed: 1, easing }, { time: 2.5, speed: 2.5, easing }, { time: 3, speed: 0.5 }];
+        let source = 0;
+        const N = 20000;
+        for (let i = 0; i < N; i++) source += getSpeedAtTime((i + 0.5) / N * 3.5, kfs) * 3.5 / N;
+        approxEqual(mapClipSourceTime(3.5, kfs), source, 1e-3);
+    }
+
+    console.log('  ✓ Test 12: Eased speed ramps PASSED');
+}
+
+// ── Test 13: Reverse playback ─────────────────────────────────
+function testReversePlayback() {
+    // Negative speeds rewind the source
+    const rewind = [{ time: 0, speed: 1 }, { time: 2, speed: -1 }];
+    approxEqual(mapClipSourceTime(1, rewind), 0.5, 1e-9);
+    approxEqual(mapClipSourceTime(2, rewind), 0, 1e-9);
+    approxEqual(mapClipSourceTime(3, rewind), -1, 1e-9);
+
+    // A reversed clip runs its range from the far end back to the in point
+    const reversed = { in_point: 2, duration: 4, properties: { reverse: true }, speedKeyframes: [] };
+    approxEqual(getClipSourceTime(reversed, 0), 6, 1e-9);
+    approxEqual(getClipSourceTime(reversed, 1), 5, 1e-9);
+    approxEqual(getClipSourceTime(reversed, 4), 2, 1e-9);
+    approxEqual(getClipSpeed(reversed, 1), -1, 1e-9);
+    const [whole] = getClipSourcePieces(reversed);
+    if (getClipSourcePieces(reversed).length !== 1 || whole.sourceStart !== 6 || whole.sourceEnd !== 2) {
+        throw new Error('A reversed clip should be one backward piece');
+    }
+
+    // The preview gets the signed speed and the mirrored source time
+    const project = { tracks: [{ type: 'VIDEO_A', clips: [{ id: 'c1', asset_id: 'a1', start_time: 10, ...reversed }] }] };
+    const entry = evaluateTimeline(project, 11).videoA;
+    approxEqual(entry.sourceTime, 5, 1e-9);
+    approxEqual(entry.speed, -1, 1e-9);
+
+    // Pieces cut where the speed changes sign, including eased and held turns
+    const clip = {
+        in_point: 0, duration: 6, properties: {},
+        speedKeyframes: [
+            { time: 0, speed: 1 }, { time: 2, speed: 1, easing: 'hold' },
+            { time: 3, speed: -2, easing: 'easeInOut' }, { time: 5, speed: 2 },
+        ],
+    };
+    const pieces = getClipSourcePieces(clip);
+    if (pieces.length !== 3) throw new Error(`Expected 3 pieces, got ${pieces.length}`);
+    approxEqual(pieces[0].end, 3, 1e-6);
+    approxEqual(pieces[1].end, 4, 1e-6);
+    approxEqual(pieces[1].sourceStart, 3, 1e-6);
+    approxEqual(pieces[1].sourceEnd, 3 - 4 / 3, 1e-6);
+    if (pieces[2].sourceEnd <= pieces[2].sourceStart) throw new Error('The last piece should run forwards again');
+    approxEqual(pieces[2].end, 6, 1e-9);
+
+    console.log('  ✓ Test 13: Reverse playback PASSED');
+}
+
+// ── Test 14: Inverse time mapping ─────────────────────────────
+function testInverseMapping() {
+    const moments = (spans) => spans.map(s => {
+        if (Math.abs(s.end - s.start) > 1e-9) throw new Error(`Expected a moment, got ${s.start}–${s.end}`);
+        return s.start;
+    });
+
+    // Ramps (linear and eased) round-trip
+    for (const easing of ['linear', 'easeInOut', 'easeOutBounce', 'cubic-bezier(0.42,0,0.58,1)']) {
+        const kfs = [{ time: 0, speed: 1, easing }, { time: 2, speed: 3, easing }, { time: 3, speed: 0.5 }];
+        for (const t of [0, 0.4, 1, 1.9, 2.5, 3, 4]) {
+            const [found] = moments(unmapClipSourceTime(mapClipSourceTime(t, kfs), kfs, 4));
+            approxEqual(found, t, 1e-6);
+        }
+    }
+
+    // A hold shows its frame for the whole held span
+    const hold = [{ time: 0, speed: 1 }, { time: 1, speed: 0 }, { time: 3, speed: 0 }, { time: 4, speed: 1 }];
+    const [held] = unmapClipSourceTime(0.5, hold, 5);
+    approxEqual(held.start, 1, 1e-9);
+    approxEqual(held.end, 3, 1e-9);
+    approxEqual(moments(unmapClipSourceTime(1, hold, 5))[0], 4, 1e-6);
+
+    // A rewind reaches a frame twice; turning on it is a single moment
+    const rewind = [{ time: 0, speed: 1 }, { time: 2, speed: -1 }];
+    const twice = moments(unmapClipSourceTime(0.375, rewind, 4));
+    if (twice.length !== 2) throw new Error(`Expected 2 moments, got ${twice.length}`);
+    approxEqual(twice[0], 0.5, 1e-6);
+    approxEqual(twice[1], 1.5, 1e-6);
+    const turn = moments(unmapClipSourceTime(0.5, rewind, 4));
+    if (turn.length !== 1) throw new Error(`A turn should be one moment, got ${turn.length}`);
+    approxEqual(turn[0], 1, 1e-5);
+
+    // Frames the clip never shows
+    if (unmapClipSourceTime(2, rewind, 4).length !== 0) throw new Error('Frames past the ramp should not be found');
+    if (unmapClipSourceTime(-0.1, [], 4).length !== 0) throw new Error('Frames before the in point should not be found');
+
+    // Absolute source time → timeline time, reversed clips included
+    const clip = { start_time: 10, in_point: 2, duration: 4, properties: {}, speedKeyframes: [] };
+    approxEqual(getTimelineTimesAtSource(clip, 3)[0].start, 11, 1e-9);
+    const reversed = { ...clip, properties: { reverse: true } };
+    approxEqual(getTimelineTimesAtSource(reversed, 3)[0].start, 13, 1e-9);
+
+    console.log('  ✓ Test 14: Inverse time mapping PASSED');
+}
+
+// ── Test 15: Fit to duration ──────────────────────────────────
+function testFitToDuration() {
+    // The ramp keeps its shape: times stretch, speeds scale by one factor
+    const ramp = [
+        { id: 'k1', time: 0, speed: 1, easing: 'easeInOut' },
+        { id: 'k2', time: 2, speed: 3, easing: 'cubic-bezier(0.3,-0.6,0.2,1.8)' },
+        { id: 'k3', time: 4, speed: 0.5 },
+    ];
+    const fitted = fitSpeedRampToDuration(ramp, 4, 6, 9);
+    approxEqual(mapClipSourceTime(6, fitted), 9, 1e-9);
+    approxEqual(fitted[1].time, 3, 1e-12);
+    approxEqual(fitted[1].speed / fitted[0].speed, 3, 1e-12);
+    if (fitted[1].id !== 'k2' || fitted[1].easing !== ramp[1].easing) throw new Error('Fitting should keep keyframe ids and easings');
+    if (ramp[1].time !== 2) throw new Error('Fitting should not modify its input');
+
+    // Holds and rewinds are kept as long as the source moves forward overall
+    const rewind = [{ time: 0, speed: 2 }, { time: 1, speed: 0 }, { time: 2, speed: 0 }, { time: 3, speed: -1 }];
+    approxEqual(mapClipSourceTime(3, fitSpeedRampToDuration(rewind, 3, 3, 1.2)), 1.2, 1e-9);
+
+    // Without keyframes the clip gets one constant speed
+    const constant = fitSpeedRampToDuration([], 5, 4, 10);
+    if (constant.length !== 1) throw new Error('Expected one keyframe');
+    approxEqual(constant[0].speed, 2.5, 1e-12);
+
+    // Unsolvable
+    if (fitSpeedRampToDuration([{ time: 0, speed: 0 }], 2, 2, 1) !== null) throw new Error('A held clip cannot be fitted');
+    if (fitSpeedRampToDuration([{ time: 0, speed: -1 }], 2, 2, 1) !== null) throw new Error('A rewinding clip cannot be fitted');
+    if (fitSpeedRampToDuration(ramp, 4, 0, 1) !== null) throw new Error('A zero duration cannot be fitted');
+
+    console.log('  ✓ Test 15: Fit to duration PASSED');
+}
+
+// ── Test 16: Smooth motion paths ──────────────────────────────
+// Three keyframes in a ^ shape; the spline passes through each of them
+function testMotionPath() {
+    const kfs = [
+        { time: 0, x: 0, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 },
+        { time: 1, x: 100, y: 100, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 },
+        { time: 2, x: 200, y: 0, scale_x: 2, scale_y: 2, rotation: 90, opacity: 1 },
+    ];
+
+    const atKey = interpolateOverlay(1, kfs, 'smooth');
+    approxEqual(atKey.x, 100, 1e-9);
+    approxEqual(atKey.y, 100, 1e-9);
+
+    // Linear cuts the corner's approach straight; the spline bows out towards it.
+    // First segment: tangents (100, 100) and (100, 0) -> y = u + u² - u³ (×100)
+    approxEqual(interpolateOverlay(0.5, kfs).y, 50, 1e-9);
+    const mid = interpolateOverlay(0.5, kfs, 'smooth');
+    approxEqual(mid.x, 50, 1e-9);
+    approxEqual(mid.y, 62.5, 1e-9);
+    // Only the position follows the path
+    approxEqual(interpolateOverlay(1.5, kfs, 'smooth').rotation, 45, 1e-9);
+
+    const linear = sampleMotionPath(kfs, 'linear', 8);
+    if (linear.length !== 3) throw new Error(`Expected 3 linear points, got ${linear.length}`);
+    const smooth = sampleMotionPath(kfs, 'smooth', 8);
+    if (smooth.length !== 17) throw new Error(`Expected 17 smooth points, got ${smooth.length}`);
+    approxEqual(smooth[4].y, 62.5, 1e-9);
+    approxEqual(smooth[16].x, 200, 1e-9);
+    if (sampleMotionPath([], 'smooth', 8).length !== 0) throw new Error('No keyframes, no path');
+
+    console.log('  ✓ Test 16: Smooth motion paths PASSED');
+}
+
+// ── Test 17: Overlay anchor points ────────────────────────────
+function testOverlayAnchor() {
+    const kfs = [
+        { time: 0, x: 100, y: 100, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 },
+        { time: 2, x: 100, y: 100, scale_x: 1, scale_y: 2, rotation: 90, opacity: 1, anchor_x: 1, anchor_y: 1 },
+    ];
+    // Keyframes without an anchor use the overlay type's
+    const text = interpolateOverlay(0, kfs, undefined, getDefaultAnchor('OVERLAY_TEXT'));
+    if (text.anchorX !== 0 || text.anchorY !== 0) throw new Error('Text should default to its top-left corner');
+    const image = interpolateOverlay(1, kfs, undefined, getDefaultAnchor('OVERLAY_IMAGE'));
+    approxEqual(image.anchorX, 0.75, 1e-12);
+    approxEqual(image.anchorY, 0.75, 1e-12);
+
+    // The anchor stays on the position whatever the rotation and scale
+    const box = getImageOverlaySize(400, 200);
+    approxEqual(box.height, 100, 1e-12);
+    const end = interpolateOverlay(2, kfs);
+    const pivot = getOverlayPoint(end, box, 1, 1);
+    approxEqual(pivot.x, 100, 1e-9);
+    approxEqual(pivot.y, 100, 1e-9);
+    // Top-right corner: 100px above the anchor, turned 90° to its right, then stretched 2× down
+    const corner = getOverlayPoint(end, box, 1, 0);
+    approxEqual(corner.x, 200, 1e-9);
+    approxEqual(corner.y, 100, 1e-9);
+    const left = getOverlayPoint(end, box, 0, 1);
+    approxEqual(left.x, 100, 1e-9);
+    approxEqual(left.y, -300, 1e-9);
+
+    console.log('  ✓ Test 17: Overlay anchor points PASSED');
+}
+
+// ── Test 18: Property keyframes ───────────────────────────────
+function testPropertyKeyframes() {
+    const kfs = [
+        // Stored values are text; out of order on purpose
+        { property: 'volume', time: 2, value: '0', easing: 'linear' },
+        { property: 'volume', time: 0, value: '1', easing: 'easeIn' },
+        { property: 'color', time: 0, value: '#ff0000', easing: 'linear' },
+        { property: 'color', time: 1, value: 'rgba(0, 0, 255, 0.5)' },
+        { property: 'fontSize', time: 0, value: 1, easing: 'easeInBack' },
+        { property: 'fontSize', time: 1, value: 40 },
+    ];
+    if (getPropertyValue(kfs, 'opacity', 1) !== undefined) throw new Error('Unknown property should have no value');
+    approxEqual(getPropertyValue(kfs, 'volume', -1), 1, 1e-12);
+    approxEqual(getPropertyValue(kfs, 'volume', 1), 0.75, 1e-12); // 1 - 0.5²
+    approxEqual(getPropertyValue(kfs, 'volume', 5), 0, 1e-12);
+
+    // Colors blend per channel
+    if (getPropertyValue(kfs, 'color', 0.5) !== 'rgba(128, 0, 128, 0.75)') throw new Error(`Color midpoint wrong: ${getPropertyValue(kfs, 'color', 0.5)}`);
+    // easeInBack dips below the start, and the font size stops at its minimum
+    if (getPropertyValue(kfs, 'fontSize', 0.3) !== 1) throw new Error('Font size should clamp to 1');
+
+    // evaluateTimeline() evaluates them; text keeps its layout size and scales
+    const project = {
+        tracks: [
+            { type: 'AUDIO', clips: [{ id: 'a1', start_time: 10, duration: 4, properties: { volume: 0.5 }, propertyKeyframes: kfs }] },
+            { type: 'OVERLAY_TEXT', clips: [{ id: 't1', start_time: 10, duration: 4, properties: { text: 'Hi', fontSize: 20 }, propertyKeyframes: [{ property: 'fontSize', time: 0, value: 30 }] }] },
+        ],
+    };
+    const animated = getAnimatedProperties(project.tracks[0].clips[0], 2);
+    if (animated.volume !== 0 || animated.color !== 'rgba(0, 0, 255, 0.5)') throw new Error('Clip properties should follow their keyframes');
+    const result = evaluateTimeline(project, 11);
+    approxEqual(result.overlayTexts[0].fontScale, 1.5, 1e-12);
+    if (result.overlayTexts[0].properties.fontSize !== 20) throw new Error('Text should be laid out at the clip font size');
+
+    console.log('  ✓ Test 18: Property keyframes PASSED');
+}
+
+// ── Test 19: Overlay hit-testing ──────────────────────────────
+function testOverlayHitTest() {
+    const transform = { x: 300, y: 200, scaleX: 1.5, scaleY: 0.5, rotation: 30, opacity: 1, anchorX: 0.25, anchorY: 1 };
+    const box = { width: 200, height: 80 };
+    // Box points map back to their fractions
+    for (const [u, v] of [[0, 0], [1, 0], [0.3, 0.7], [1.2, -0.5]]) {
+        const p = getOverlayPoint(transform, box, u, v);
+        const back = getOverlayBoxPoint(transform, box, p.x, p.y);
+        approxEqual(back.u, u, 1e-9);
+        approxEqual(back.v, v, 1e-9);
+    }
+    if (getOverlayBoxPoint({ ...transform, scaleX: 0 }, box, 300, 200) !== null) throw new Error('A squashed box has no inside');
+
+    // Keyframe fields reproduce the transform they came from
+    const kf = { time: 0, ...transformToKeyframe(transform) };
+    const again = interpolateOverlay(0, [kf]);
+    for (const key of Object.keys(transform)) {
+        if (again[key] !== transform[key]) throw new Error(`${key} lost in the keyframe`);
+    }
+
+    console.log('  ✓ Test 19: Overlay hit-testing PASSED');
+}
+
+// ── Test 20: Splitting clips ──────────────────────────────────
+// Source range 2s→6s at 1x; the halves must play exactly what the whole
+// clip played on either side of the cut
+function testSplitClip() {
+    const clip = { in_point: 2, out_point: 6, duration: 4, speedKeyframes: [{ time: 0, speed: 1 }], properties: {} };
+    const halves = (c, at) => splitClipSourceRange(c, at).map((range, i) => ({
+        ...c, ...range, duration: i === 0 ? at : c.duration - at,
+    }));
+
+    let [first, second] = halves(clip, 1);
+    approxEqual(first.out_point, 3);
+    approxEqual(second.in_point, 3);
+    approxEqual(second.out_point, 6);
+
+    // Reversed: the first half plays the end of the range, the second the start
+    const reversed = { ...clip, properties: { reverse: true } };
+    [first, second] = halves(reversed, 1);
+    approxEqual(first.in_point, 5);
+    approxEqual(first.out_point, 6);
+    approxEqual(second.in_point, 2);
+    approxEqual(second.out_point, 5);
+    for (const t of [0, 0.5, 1]) approxEqual(getClipSourceTime(first, t), getClipSourceTime(reversed, t));
+    for (const t of [0, 1.5, 3]) approxEqual(getClipSourceTime(second, t), getClipSourceTime(reversed, 1 + t));
+
+    // At 2x the cut falls on the source time playing there
+    [first, second] = halves({ ...clip, out_point: 10, speedKeyframes: [{ time: 0, speed: 2 }] }, 1);
+    approxEqual(first.out_point, 4);
+    approxEqual(second.in_point, 4);
+
+    console.log('  ✓ Test 20: Splitting clips PASSED');
+}
+
 // ── Run all ───────────────────────────────────────────────────
 console.log('\n⏱  Time Engine Tests\n');
 try {
@@ -181,6 +713,22 @@ try {
     testHold();
     testEvaluateTimeline();
     testOverlayInterpolation();
+    testTransitionEffect();
+    testFitRect();
+    testSpeedRampSegments();
+    testFontMatching();
+    testTextLayout();
+    testTextAnimation();
+    testEasing();
+    testEasedSpeedRamp();
+    testReversePlayback();
+    testInverseMapping();
+    testFitToDuration();
+    testMotionPath();
+    testOverlayAnchor();
+    testPropertyKeyframes();
+    testOverlayHitTest();
+    testSplitClip();
     console.log('\n✓ All time engine tests passed!\n');
 } catch (err) {
     console.error('\n✗ Test failed:', err.message, '\n');
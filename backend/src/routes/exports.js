@@ -1,15 +1,21 @@
 // ============================================================
-// Export routes – queue, status, download
+// Export routes – queue, status, progress stream, download
 // ============================================================
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuid } = require('uuid');
-const { exportProject } = require('../services/exportService');
+const { cancelExport } = require('../services/exportService');
+const { normalizeExportSettings } = require('../services/exportSettings');
+const { projectCanvas } = require('../services/canvas');
+const { publishJob, subscribeJob, TERMINAL_STATUSES } = require('../services/exportEvents');
+
+// Comment line sent on idle progress streams so proxies keep them open
+const HEARTBEAT_MS = 15000;
 
 const router = express.Router();
 
-module.exports = function (db) {
+module.exports = function (db, exportQueue) {
     // Queue an export
     router.post('/:projectId/export', async (req, res) => {
         const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.projectId);
@@ -20,37 +26,91 @@ module.exports = function (db) {
         // Idempotency check
         const existing = db.prepare('SELECT * FROM export_jobs WHERE request_id = ?').get(requestId);
         if (existing) {
-            return res.json(existing);
+            return res.json(parseJob(existing));
+        }
+
+        let settings;
+        try {
+            settings = normalizeExportSettings(req.body.settings, projectCanvas(project));
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
         }
 
         const jobId = uuid();
         db.prepare(`
-      INSERT INTO export_jobs (id, project_id, request_id, status, progress)
-      VALUES (?, ?, ?, 'QUEUED', 0)
-    `).run(jobId, project.id, requestId);
+      INSERT INTO export_jobs (id, project_id, request_id, status, progress, settings)
+      VALUES (?, ?, ?, 'QUEUED', 0, ?)
+    `).run(jobId, project.id, requestId, JSON.stringify(settings));
 
-        const job = db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(jobId);
-        res.json(job);
+        // Picked up in FIFO order once a worker is free
+        exportQueue.notify();
 
-        // Process async (in-process worker)
-        require('fs').appendFileSync('export_debug.log', `[${new Date().toISOString()}] Calling processExportJob for ${jobId}\n`);
-        processExportJob(jobId, project.id, db).catch(err => {
-            require('fs').appendFileSync('export_debug.log', `[${new Date().toISOString()}] processExportJob rejected: ${err.message}\n`);
-            console.error('Export job failed:', err);
-        });
+        const job = db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(jobId);
+        res.json(parseJob(job));
     });
 
     // Get export status
     router.get('/exports/:id', (req, res) => {
         const job = db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(req.params.id);
         if (!job) return res.status(404).json({ error: 'Export job not found' });
-        res.json(job);
+        res.json(parseJob(job));
+    });
+
+    // Stream export progress as Server-Sent Events. Every change sends a
+    // `progress` event with the job row (progress, stage, eta, status); the
+    // terminal status is sent as a `done` event and the stream is closed.
+    router.get('/exports/:id/events', (req, res) => {
+        const getJob = () => db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(req.params.id);
+        if (!getJob()) return res.status(404).json({ error: 'Export job not found' });
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.flushHeaders();
+
+        let unsubscribe = () => { };
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+
+        const send = () => {
+            const job = getJob();
+            if (!job) return close();
+            const done = TERMINAL_STATUSES.includes(job.status);
+            res.write(`event: ${done ? 'done' : 'progress'}\ndata: ${JSON.stringify(parseJob(job))}\n\n`);
+            if (done) close();
+        };
+
+        unsubscribe = subscribeJob(req.params.id, send);
+        req.on('close', close);
+        send();
+    });
+
+    // Cancel a queued or running export
+    router.post('/exports/:id/cancel', (req, res) => {
+        const job = db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(req.params.id);
+        if (!job) return res.status(404).json({ error: 'Export job not found' });
+        if (job.status !== 'QUEUED' && job.status !== 'RUNNING') {
+            return res.status(409).json({ error: `Export is already ${job.status.toLowerCase()}` });
+        }
+
+        db.prepare('UPDATE export_jobs SET status = ?, updated_at = datetime(\'now\') WHERE id = ?')
+            .run('CANCELLED', job.id);
+        cancelExport(job.id);
+        publishJob(job.id);
+
+        res.json(parseJob(db.prepare('SELECT * FROM export_jobs WHERE id = ?').get(job.id)));
     });
 
     // List export jobs for a project
     router.get('/:projectId/exports', (req, res) => {
         const jobs = db.prepare('SELECT * FROM export_jobs WHERE project_id = ? ORDER BY created_at DESC').all(req.params.projectId);
-        res.json(jobs);
+        res.json(jobs.map(parseJob));
     });
 
     // Download finished export
@@ -61,46 +121,16 @@ module.exports = function (db) {
         if (!job.output_path || !fs.existsSync(job.output_path)) {
             return res.status(404).json({ error: 'Export file not found' });
         }
-        res.download(job.output_path, `export_${job.id}.mp4`);
+        res.download(job.output_path, `export_${job.id}${path.extname(job.output_path)}`);
     });
 
     return router;
 };
 
 /**
- * Process an export job asynchronously (in-process).
+ * Expand the stored settings JSON for API responses.
  */
-async function processExportJob(jobId, projectId, db) {
-    try {
-        require('fs').appendFileSync('export_debug.log', `[${new Date().toISOString()}] Job ${jobId} started\n`);
-        db.prepare('UPDATE export_jobs SET status = ?, updated_at = datetime(\'now\') WHERE id = ?')
-            .run('RUNNING', jobId);
-
-        // Load full project data
-        const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
-        const tracks = db.prepare('SELECT * FROM tracks WHERE project_id = ? ORDER BY "order"').all(projectId);
-        for (const track of tracks) {
-            track.clips = db.prepare('SELECT * FROM clips WHERE track_id = ? ORDER BY start_time').all(track.id);
-            for (const clip of track.clips) {
-                clip.speedKeyframes = db.prepare('SELECT * FROM speed_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
-                clip.overlayKeyframes = db.prepare('SELECT * FROM overlay_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
-                try { clip.properties = JSON.parse(clip.properties || '{}'); } catch (e) { clip.properties = {}; }
-            }
-        }
-
-        const projectData = { ...project, tracks };
-
-        const outputPath = await exportProject(projectData, db, jobId, (progress) => {
-            db.prepare('UPDATE export_jobs SET progress = ?, updated_at = datetime(\'now\') WHERE id = ?')
-                .run(progress, jobId);
-        });
-
-        db.prepare('UPDATE export_jobs SET status = ?, progress = 100, output_path = ?, updated_at = datetime(\'now\') WHERE id = ?')
-            .run('COMPLETE', outputPath, jobId);
-    } catch (err) {
-        require('fs').appendFileSync('export_debug.log', `[${new Date().toISOString()}] Job ${jobId} FAILED: ${err.message}\n${err.stack}\n`);
-        console.error('Export error:', err);
-        db.prepare('UPDATE export_jobs SET status = ?, error = ?, updated_at = datetime(\'now\') WHERE id = ?')
-            .run('FAILED', err.message, jobId);
-    }
+function parseJob(job) {
+    try { job.settings = JSON.parse(job.settings || 'null'); } catch (e) { job.settings = null; }
+    return job;
 }
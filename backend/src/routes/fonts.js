@@ -0,0 +1,67 @@
+// ============================================================
+// Font routes – list, upload, serve, delete
+// ============================================================
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuid } = require('uuid');
+const { readFontInfo, isFontFile, listFonts, FONTS } = require('../services/fonts');
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, FONTS),
+        filename: (req, file, cb) => cb(null, `${uuid()}${path.extname(file.originalname).toLowerCase()}`),
+    }),
+    limits: { fileSize: 50 * 1024 * 1024 },
+});
+
+const router = express.Router();
+
+module.exports = function (db) {
+    // List every available face (bundled + uploaded); the file path stays server-side
+    router.get('/fonts', (req, res) => {
+        res.json(listFonts(db).map(({ path: _path, ...face }) => face));
+    });
+
+    // Upload a TTF/OTF font
+    router.post('/fonts', upload.single('file'), (req, res) => {
+        const file = req.file;
+        if (!file) return res.status(400).json({ error: 'No file uploaded' });
+
+        let info;
+        try {
+            if (!isFontFile(file.originalname)) throw new Error('Fonts must be .ttf or .otf files');
+            info = readFontInfo(file.path);
+        } catch (err) {
+            try { fs.unlinkSync(file.path); } catch (e) { /* ignore */ }
+            return res.status(400).json({ error: err.message });
+        }
+
+        const id = uuid();
+        db.prepare(`
+      INSERT INTO fonts (id, family, weight, style, original_name, path)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, info.family, info.weight, info.style, file.originalname, file.path);
+        res.json({ id, ...info, source: 'uploaded' });
+    });
+
+    // Serve a font file (for the preview's @font-face)
+    router.get('/fonts/:id/file', (req, res) => {
+        const face = listFonts(db).find(f => f.id === req.params.id);
+        if (!face) return res.status(404).json({ error: 'Font not found' });
+        res.sendFile(path.resolve(face.path));
+    });
+
+    // Delete an uploaded font
+    router.delete('/fonts/:id', (req, res) => {
+        const font = db.prepare('SELECT * FROM fonts WHERE id = ?').get(req.params.id);
+        if (!font) return res.status(404).json({ error: 'Font not found' });
+
+        try { fs.unlinkSync(font.path); } catch (e) { /* ignore */ }
+        db.prepare('DELETE FROM fonts WHERE id = ?').run(req.params.id);
+        res.json({ ok: true });
+    });
+
+    return router;
+};
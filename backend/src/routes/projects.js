@@ -3,8 +3,32 @@
 // ============================================================
 const express = require('express');
 const { v4: uuid } = require('uuid');
+const { normalizeCanvas, projectCanvas } = require('../services/canvas');
+const { KEYFRAMABLE_PROPERTIES, parseColor } = require('../engine/timeEngine');
 const router = express.Router();
 
+/**
+ * Throw an Error with a user-facing message if any clip in `tracks` has a
+ * property keyframe for a property that isn't in KEYFRAMABLE_PROPERTIES, or
+ * a time or value that property can't take.
+ */
+function checkPropertyKeyframes(tracks) {
+    for (const track of tracks) {
+        for (const clip of track.clips || []) {
+            for (const kf of clip.propertyKeyframes || []) {
+                const spec = Object.prototype.hasOwnProperty.call(KEYFRAMABLE_PROPERTIES, kf.property) ? KEYFRAMABLE_PROPERTIES[kf.property] : null;
+                if (!spec) throw new Error(`Unknown keyframe property: ${kf.property}`);
+                if (!Number.isFinite(kf.time)) throw new Error(`Invalid ${kf.property} keyframe time: ${kf.time}`);
+                const valid = spec.type === 'color'
+                    ? parseColor(kf.value) !== null
+                    : kf.value !== null && kf.value !== '' && Number.isFinite(Number(kf.value)) &&
+                      !(Number(kf.value) < spec.min);
+                if (!valid) throw new Error(`Invalid ${kf.property} keyframe value: ${kf.value}`);
+            }
+        }
+    }
+}
+
 module.exports = function (db) {
     // Create project
     router.post('/', (req, res) => {
@@ -14,7 +38,14 @@ module.exports = function (db) {
         if (existing) {
             return res.status(409).json({ error: 'A project with this name already exists' });
         }
-        db.prepare('INSERT INTO projects (id, name) VALUES (?, ?)').run(id, name);
+        let canvas;
+        try {
+            canvas = normalizeCanvas(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        db.prepare('INSERT INTO projects (id, name, canvas_width, canvas_height, background_color) VALUES (?, ?, ?, ?, ?)')
+            .run(id, name, canvas.width, canvas.height, canvas.backgroundColor);
 
         // Create default tracks
         const trackTypes = ['VIDEO_A', 'VIDEO_B', 'OVERLAY_TEXT', 'OVERLAY_IMAGE', 'AUDIO'];
@@ -44,6 +75,7 @@ module.exports = function (db) {
             for (const clip of track.clips) {
                 clip.speedKeyframes = db.prepare('SELECT * FROM speed_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
                 clip.overlayKeyframes = db.prepare('SELECT * FROM overlay_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
+                clip.propertyKeyframes = db.prepare('SELECT * FROM property_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
                 // Parse properties JSON
                 try {
                     clip.properties = JSON.parse(clip.properties || '{}');
@@ -64,10 +96,26 @@ module.exports = function (db) {
         const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
         if (!project) return res.status(404).json({ error: 'Project not found' });
 
+        let canvas;
+        try {
+            canvas = normalizeCanvas(req.body, projectCanvas(project));
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
         const { name, tracks } = req.body;
+        if (Array.isArray(tracks)) {
+            try {
+                checkPropertyKeyframes(tracks);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
         if (name) {
             db.prepare('UPDATE projects SET name = ?, updated_at = datetime(\'now\') WHERE id = ?').run(name, project.id);
         }
+        db.prepare('UPDATE projects SET canvas_width = ?, canvas_height = ?, background_color = ? WHERE id = ?')
+            .run(canvas.width, canvas.height, canvas.backgroundColor, project.id);
 
         if (tracks && Array.isArray(tracks)) {
             // Transactional save
@@ -82,6 +130,7 @@ module.exports = function (db) {
                     for (const cid of clipIds) {
                         db.prepare('DELETE FROM speed_keyframes WHERE clip_id = ?').run(cid);
                         db.prepare('DELETE FROM overlay_keyframes WHERE clip_id = ?').run(cid);
+                        db.prepare('DELETE FROM property_keyframes WHERE clip_id = ?').run(cid);
                     }
                     db.prepare('DELETE FROM clips WHERE track_id = ?').run(track.id);
 
@@ -100,23 +149,31 @@ module.exports = function (db) {
                         // Insert speed keyframes
                         if (clip.speedKeyframes) {
                             for (const kf of clip.speedKeyframes) {
-                                db.prepare('INSERT INTO speed_keyframes (id, clip_id, time, speed) VALUES (?, ?, ?, ?)')
-                                    .run(kf.id || uuid(), clipId, kf.time, kf.speed);
+                                db.prepare('INSERT INTO speed_keyframes (id, clip_id, time, speed, easing) VALUES (?, ?, ?, ?, ?)')
+                                    .run(kf.id || uuid(), clipId, kf.time, kf.speed, kf.easing || 'linear');
                             }
                         }
                         // Insert overlay keyframes
                         if (clip.overlayKeyframes) {
                             for (const kf of clip.overlayKeyframes) {
                                 db.prepare(`
-                  INSERT INTO overlay_keyframes (id, clip_id, time, x, y, scale_x, scale_y, rotation, opacity)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                  INSERT INTO overlay_keyframes (id, clip_id, time, x, y, scale_x, scale_y, rotation, opacity, easing, anchor_x, anchor_y)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `).run(
                                     kf.id || uuid(), clipId, kf.time,
                                     kf.x || 0, kf.y || 0, kf.scale_x || 1, kf.scale_y || 1,
-                                    kf.rotation || 0, kf.opacity ?? 1
+                                    kf.rotation || 0, kf.opacity ?? 1, kf.easing || 'linear',
+                                    kf.anchor_x ?? null, kf.anchor_y ?? null
                                 );
                             }
                         }
+                        // Insert property keyframes
+                        if (clip.propertyKeyframes) {
+                            for (const kf of clip.propertyKeyframes) {
+                                db.prepare('INSERT INTO property_keyframes (id, clip_id, property, time, value, easing) VALUES (?, ?, ?, ?, ?, ?)')
+                                    .run(kf.id || uuid(), clipId, kf.property, kf.time, String(kf.value), kf.easing || 'linear');
+                            }
+                        }
                     }
                 }
             });
@@ -16,6 +16,8 @@ const db = require('./db');
 const projectRoutes = require('./routes/projects');
 const assetRoutes = require('./routes/assets');
 const exportRoutes = require('./routes/exports');
+const fontRoutes = require('./routes/fonts');
+const { createExportQueue } = require('./services/exportQueue');
 
 const app = express();
 const PORT = parseInt(process.env.PORT) || 3001;
@@ -26,7 +28,9 @@ app.use(express.json({ limit: '10mb' }));
 // ── Routes ──────────────────────────────────────────────────
 app.use('/api/projects', projectRoutes(db));
 app.use('/api', assetRoutes(db));
-app.use('/api', exportRoutes(db));
+app.use('/api', fontRoutes(db));
+const exportQueue = createExportQueue(db);
+app.use('/api', exportRoutes(db, exportQueue));
 
 // Health check
 app.get('/api/health', (req, res) => res.json({ ok: true, time: new Date().toISOString() }));
@@ -39,6 +43,9 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
     console.log(`✓ TryTakeTwo backend running on http://localhost:${PORT} (restarted)`);
+    // Recover jobs interrupted by the last shutdown and resume the queue
+    exportQueue.start();
+    console.log(`✓ Export queue started with ${exportQueue.workers} worker(s)`);
 });
 
 module.exports = app;
@@ -0,0 +1,47 @@
+// ============================================================
+// Project Canvas – authoring frame size and background color
+// ============================================================
+
+const DEFAULT_CANVAS = { width: 1280, height: 720, backgroundColor: '#000000' };
+
+const MIN_SIZE = 16;
+const MAX_SIZE = 7680;
+
+/**
+ * Validate canvas fields from a request body (snake_case, as stored on the
+ * projects row) on top of the current values. Throws an Error with a
+ * user-facing message on invalid input.
+ */
+function normalizeCanvas(input, current) {
+    const base = current || DEFAULT_CANVAS;
+    const body = input || {};
+    const canvas = {
+        width: body.canvas_width != null ? Number(body.canvas_width) : base.width,
+        height: body.canvas_height != null ? Number(body.canvas_height) : base.height,
+        backgroundColor: body.background_color != null ? String(body.background_color) : base.backgroundColor,
+    };
+
+    for (const dim of ['width', 'height']) {
+        const v = canvas[dim];
+        if (!Number.isInteger(v) || v < MIN_SIZE || v > MAX_SIZE) {
+            throw new Error(`Canvas ${dim} must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`);
+        }
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(canvas.backgroundColor)) {
+        throw new Error('Background color must be a hex color like #000000');
+    }
+    return canvas;
+}
+
+/**
+ * Canvas of a loaded projects row, falling back to the defaults.
+ */
+function projectCanvas(project) {
+    return {
+        width: (project && project.canvas_width) || DEFAULT_CANVAS.width,
+        height: (project && project.canvas_height) || DEFAULT_CANVAS.height,
+        backgroundColor: (project && project.background_color) || DEFAULT_CANVAS.backgroundColor,
+    };
+}
+
+module.exports = { normalizeCanvas, projectCanvas, DEFAULT_CANVAS };
@@ -0,0 +1,27 @@
+// ============================================================
+// Export Events – in-process change notifications for export jobs
+// ============================================================
+// Whoever updates an export_jobs row calls publishJob(); the SSE route
+// subscribes per job and re-reads the row, so the database stays the single
+// source of truth and a notification never carries stale state.
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open progress stream
+emitter.setMaxListeners(0);
+
+const TERMINAL_STATUSES = ['COMPLETE', 'FAILED', 'CANCELLED'];
+
+function publishJob(jobId) {
+    emitter.emit(jobId);
+}
+
+/**
+ * Call `listener()` whenever the job changes. Returns the unsubscribe function.
+ */
+function subscribeJob(jobId, listener) {
+    emitter.on(jobId, listener);
+    return () => emitter.off(jobId, listener);
+}
+
+module.exports = { publishJob, subscribeJob, TERMINAL_STATUSES };
@@ -0,0 +1,155 @@
+// ============================================================
+// Export Queue – persistent FIFO job queue over export_jobs
+// ============================================================
+// The export_jobs table is the queue: POST /:projectId/export inserts a
+// QUEUED row and notifies the queue, which claims the oldest QUEUED jobs
+// up to the worker limit. Because state lives in SQLite, queued jobs survive
+// a restart, and jobs left RUNNING by a crash are recovered on startup.
+const fs = require('fs');
+const { exportProject, discardJobFiles } = require('./exportService');
+const { publishJob } = require('./exportEvents');
+
+const WORKERS = Math.max(1, parseInt(process.env.EXPORT_WORKERS) || 1);
+// 'requeue' (default) retries interrupted jobs, 'fail' marks them FAILED
+const RECOVERY = process.env.EXPORT_RECOVERY === 'fail' ? 'fail' : 'requeue';
+// Attempts before an interrupted job is failed instead of re-queued, so a job
+// that keeps crashing the server cannot loop forever
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.EXPORT_MAX_ATTEMPTS) || 3);
+
+/**
+ * Create the export queue.
+ * `options.runJob(job)` replaces the FFmpeg pipeline (used by the tests).
+ */
+function createExportQueue(db, options) {
+    const opts = options || {};
+    const workers = opts.workers || WORKERS;
+    const recovery = opts.recovery || RECOVERY;
+    const maxAttempts = opts.maxAttempts || MAX_ATTEMPTS;
+    const runJob = opts.runJob || ((job) => processExportJob(job, db));
+    const running = new Map(); // jobId -> promise
+
+    const nextQueued = db.prepare(`
+      SELECT * FROM export_jobs WHERE status = 'QUEUED' ORDER BY created_at, rowid LIMIT 1
+    `);
+    const claim = db.prepare(`
+      UPDATE export_jobs SET status = 'RUNNING', progress = 0, stage = NULL, eta = NULL, attempts = attempts + 1, updated_at = datetime('now')
+      WHERE id = ? AND status = 'QUEUED'
+    `);
+
+    /**
+     * Start queued jobs until all workers are busy.
+     */
+    function pump() {
+        while (running.size < workers) {
+            const job = nextQueued.get();
+            if (!job) return;
+            if (claim.run(job.id).changes === 0) continue;
+            publishJob(job.id);
+
+            const done = Promise.resolve()
+                .then(() => runJob(job))
+                .catch(err => console.error(`[ExportQueue] Job ${job.id} crashed:`, err))
+                .finally(() => {
+                    running.delete(job.id);
+                    pump();
+                });
+            running.set(job.id, done);
+        }
+    }
+
+    /**
+     * Settle jobs a previous process left RUNNING. Only call before pump():
+     * at startup no job can legitimately be running yet.
+     */
+    function recover() {
+        const interrupted = db.prepare("SELECT * FROM export_jobs WHERE status = 'RUNNING'").all();
+        for (const job of interrupted) {
+            discardJobFiles(job.id);
+            if (recovery === 'requeue' && job.attempts < maxAttempts) {
+                db.prepare('UPDATE export_jobs SET status = ?, progress = 0, updated_at = datetime(\'now\') WHERE id = ?')
+                    .run('QUEUED', job.id);
+                publishJob(job.id);
+                console.log(`[ExportQueue] Re-queued interrupted job ${job.id} (attempt ${job.attempts} of ${maxAttempts})`);
+            } else {
+                db.prepare('UPDATE export_jobs SET status = ?, error = ?, updated_at = datetime(\'now\') WHERE id = ?')
+                    .run('FAILED', 'Export was interrupted by a server restart', job.id);
+                publishJob(job.id);
+                console.log(`[ExportQueue] Failed interrupted job ${job.id}`);
+            }
+        }
+        return interrupted.length;
+    }
+
+    return {
+        workers,
+        // Recover interrupted jobs, then resume the queue
+        start() {
+            recover();
+            pump();
+        },
+        // A job was inserted (or freed up); start it if a worker is free
+        notify: pump,
+        recover,
+        // Resolves once every job currently running has settled
+        idle() {
+            return Promise.all(running.values());
+        },
+        get running() {
+            return running.size;
+        },
+    };
+}
+
+/**
+ * Render one claimed job and record the outcome on its row.
+ */
+async function processExportJob(job, db) {
+    const jobId = job.id;
+    try {
+        fs.appendFileSync('export_debug.log', `[${new Date().toISOString()}] Job ${jobId} started\n`);
+
+        let settings = null;
+        try { settings = JSON.parse(job.settings || 'null'); } catch (e) { /* use defaults */ }
+
+        // Load full project data
+        const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(job.project_id);
+        if (!project) throw new Error('Project not found');
+        const tracks = db.prepare('SELECT * FROM tracks WHERE project_id = ? ORDER BY "order"').all(project.id);
+        for (const track of tracks) {
+            track.clips = db.prepare('SELECT * FROM clips WHERE track_id = ? ORDER BY start_time').all(track.id);
+            for (const clip of track.clips) {
+                clip.speedKeyframes = db.prepare('SELECT * FROM speed_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
+                clip.overlayKeyframes = db.prepare('SELECT * FROM overlay_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
+                clip.propertyKeyframes = db.prepare('SELECT * FROM property_keyframes WHERE clip_id = ? ORDER BY time').all(clip.id);
+                try { clip.properties = JSON.parse(clip.properties || '{}'); } catch (e) { clip.properties = {}; }
+            }
+        }
+
+        const projectData = { ...project, tracks };
+
+        const outputPath = await exportProject(projectData, db, jobId, ({ progress, stage, eta }) => {
+            db.prepare('UPDATE export_jobs SET progress = ?, stage = ?, eta = ?, updated_at = datetime(\'now\') WHERE id = ? AND status = \'RUNNING\'')
+                .run(progress, stage, eta, jobId);
+            publishJob(jobId);
+        }, settings);
+
+        const completed = db.prepare('UPDATE export_jobs SET status = ?, progress = 100, output_path = ?, updated_at = datetime(\'now\') WHERE id = ? AND status = \'RUNNING\'')
+            .run('COMPLETE', outputPath, jobId);
+        // Cancelled after the last FFmpeg step finished
+        if (completed.changes === 0) discardJobFiles(jobId);
+        publishJob(jobId);
+    } catch (err) {
+        if (err.code === 'CANCELLED') {
+            // Drop the partially written output of an interrupted encode
+            discardJobFiles(jobId);
+            return;
+        }
+        fs.appendFileSync('export_debug.log', `[${new Date().toISOString()}] Job ${jobId} FAILED: ${err.message}\n${err.stack}\n`);
+        console.error('Export error:', err);
+        db.prepare('UPDATE export_jobs SET status = ?, error = ?, updated_at = datetime(\'now\') WHERE id = ? AND status = \'RUNNING\'')
+            .run('FAILED', err.message, jobId);
+        publishJob(jobId);
+    }
+}
+
+module.exports = { createExportQueue };
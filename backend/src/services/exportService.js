@@ -1,16 +1,47 @@
 // ============================================================
-// Export Service - FFmpeg-based segmented render pipeline
+// Export Service - FFmpeg render pipeline (single filter graph, segmented fallback)
 // ============================================================
 const path = require('path');
 const fs = require('fs');
 const { spawn, execSync } = require('child_process');
+const { TRANSITION_BLUR_STEPS, TRANSITION_BLUR_MAX, TEXT_BOX_PADDING, getTextStyle, layoutTextLines, getTextAnimation, getTextPieces, getTextUnitStart, getFitRect, mapClipSourceTime, getSpeedAtTime, getSpeedRampSegments, isClipReversed, getClipSourceTime, getClipSpeed, getClipSourcePieces, EASING_PRESETS, EASING_BACK, EASING_ELASTIC, ELASTIC_DECAY, BOUNCE_N, BOUNCE_ARCS, BEZIER_STEPS, parseCubicBezier, getBezierCoefficients, getBezierAreaCoefficients, getEasedArea, getMotionPathSegment, getDefaultAnchor, getTextBlockSize, getImageOverlaySize, KEYFRAMABLE_PROPERTIES, getPropertyKeyframes } = require('../engine/timeEngine');
+const { normalizeExportSettings, buildEncoderArgs } = require('./exportSettings');
+const { projectCanvas } = require('./canvas');
+const { resolveFont, createTextMeasure } = require('./fonts');
 
 const STORAGE = path.resolve(process.env.STORAGE_PATH || './storage');
 const EXPORTS = path.join(STORAGE, 'exports');
 const TEMP = path.join(STORAGE, 'temp');
+// Longer timelines use the segmented pipeline instead of one filter graph
+const SINGLE_PASS_MAX_DURATION = parseFloat(process.env.EXPORT_SINGLE_PASS_MAX_DURATION) || 1800;
 fs.mkdirSync(EXPORTS, { recursive: true });
 fs.mkdirSync(TEMP, { recursive: true });
 
+// Place a source on the output frame the way the preview places it on the
+// canvas: scale to the clip's fit rect, then crop (fill) or pad with the
+// background (fit). Without a rect the source is stretched to the frame.
+function canvasScale(frame) {
+    var W = frame.width, H = frame.height, r = frame.rect;
+    if (!r) return 'scale=' + W + ':' + H + ',setsar=1';
+
+    var f = 'scale=' + r.width + ':' + r.height;
+    if (r.width > W || r.height > H) f += ',crop=' + W + ':' + H + ':' + (-r.x) + ':' + (-r.y);
+    if (r.width < W || r.height < H) f += ',pad=' + W + ':' + H + ':' + r.x + ':' + r.y + ':color=' + frame.background;
+    return f + ',setsar=1';
+}
+
+/**
+ * Fit rect of a clip's source on the output frame, snapped to even pixels
+ * so it can be used directly in scale/crop/pad filters.
+ */
+function clipFitRect(clip, asset, frame) {
+    var mode = (clip.properties && clip.properties.fit) || 'fit';
+    var r = getFitRect(asset.width, asset.height, frame.width, frame.height, mode);
+    var width = Math.round(r.width / 2) * 2;
+    var height = Math.round(r.height / 2) * 2;
+    return { x: (frame.width - width) / 2, y: (frame.height - height) / 2, width: width, height: height };
+}
+
 let FFMPEG_PATH = process.env.FFMPEG_PATH;
 if (!FFMPEG_PATH) {
     try {
@@ -30,16 +61,30 @@ function sanitize(val) {
     return String(val).replace(/[^a-zA-Z0-9._\-\/: \\]/g, '');
 }
 
+// Export jobs currently rendering in this process, by job id
+const activeJobs = new Map();
+
+function cancelledError() {
+    var err = new Error('Export cancelled');
+    err.code = 'CANCELLED';
+    return err;
+}
+
 /**
  * Run an FFmpeg command and return a promise.
+ * When an export `job` handle is given, the child process is registered on it
+ * so cancelExport() can kill it.
  */
-function runFfmpeg(args, onProgress) {
+function runFfmpeg(args, onProgress, job) {
+    if (job && job.cancelled) return Promise.reject(cancelledError());
+
     const logLine = '[' + new Date().toISOString() + '] Running: ' + FFMPEG_PATH + ' ' + args.map(a => '"' + a + '"').join(' ') + '\n';
     try { fs.appendFileSync('ffmpeg_debug.log', logLine); } catch (e) { }
 
     return new Promise((resolve, reject) => {
         console.log('[FFmpeg] Running: ' + FFMPEG_PATH + ' ' + args.join(' '));
         const proc = spawn(FFMPEG_PATH, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        if (job) job.proc = proc;
         let stderr = '';
         proc.stderr.on('data', (data) => {
             const str = data.toString();
@@ -51,7 +96,9 @@ function runFfmpeg(args, onProgress) {
             }
         });
         proc.on('close', (code) => {
-            if (code === 0) resolve();
+            if (job && job.proc === proc) job.proc = null;
+            if (job && job.cancelled) reject(cancelledError());
+            else if (code === 0) resolve();
             else reject(new Error('FFmpeg exited with code ' + code + ': ' + stderr.slice(-500)));
         });
         proc.on('error', (err) => {
@@ -78,12 +125,28 @@ function hasAudioStream(filePath) {
     }
 }
 
+/**
+ * Pixel size of an image file ({ width, height }), or null if it can't be
+ * read. Uses ffmpeg -i like hasAudioStream().
+ */
+function probeImageSize(filePath) {
+    var out = '';
+    try {
+        execSync('"' + FFMPEG_PATH + '" -i "' + filePath + '" 2>&1', { encoding: 'utf8', timeout: 5000 });
+    } catch (e) {
+        out = (e.stdout || '') + (e.stderr || '');
+    }
+    var m = /Stream #\d+:\d+.*Video:.*?, (\d+)x(\d+)[,\s]/.exec(out);
+    return m ? { width: parseInt(m[1]), height: parseInt(m[2]) } : null;
+}
+
 /**
  * Render a single video clip segment with speed adjustment.
  * Ensures an audio stream is ALWAYS present.
- * Supports disabling audio via isMuted param.
+ * Supports disabling audio via isMuted param; `volume` is the clip's
+ * buildVolumeFilter().
  */
-async function renderClipSegment(assetPath, sourceStart, sourceEnd, avgSpeed, outputPath, fps, isMuted) {
+async function renderClipSegment(assetPath, sourceStart, sourceEnd, avgSpeed, outputPath, fps, isMuted, volume, frame, job, onProgress) {
     fps = fps || 30;
     const sourceDuration = sourceEnd - sourceStart;
     const targetDuration = sourceDuration / Math.max(0.01, avgSpeed);
@@ -95,14 +158,14 @@ async function renderClipSegment(assetPath, sourceStart, sourceEnd, avgSpeed, ou
             '-y', '-ss', String(sourceStart), '-i', assetPath,
             '-vframes', '1', '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
             '-q:v', '2', framePath
-        ]);
+        ], null, job);
 
         await runFfmpeg([
             '-y', '-loop', '1', '-i', framePath, '-t', String(targetDuration),
             '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo',
-            '-vf', 'fps=' + fps + ',scale=trunc(iw/2)*2:trunc(ih/2)*2',
+            '-vf', 'fps=' + fps + ',' + canvasScale(frame),
             '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'pcm_s16le', '-shortest', outputPath
-        ]);
+        ], onProgress, job);
         try { fs.unlinkSync(framePath); } catch (e) { }
         return;
     }
@@ -112,24 +175,354 @@ async function renderClipSegment(assetPath, sourceStart, sourceEnd, avgSpeed, ou
     var ptsFactor = 1 / avgSpeed;
 
     var args = ['-y', '-ss', String(sourceStart), '-t', String(sourceDuration), '-i', assetPath];
-    var vf = 'setpts=' + ptsFactor + '*PTS,fps=' + fps + ',scale=trunc(iw/2)*2:trunc(ih/2)*2';
+    var vf = 'setpts=' + ptsFactor + '*PTS,fps=' + fps + ',' + canvasScale(frame);
 
     // Use source audio ONLY if it exists AND is not muted
     if (hasAudio && !isMuted) {
         args.push('-vf', vf);
-        args.push('-af', 'atempo=' + Math.max(0.5, Math.min(100, avgSpeed)));
-        args.push('-c:v', 'libx264', '-c:a', 'pcm_s16le', '-pix_fmt', 'yuv420p', outputPath);
+        args.push('-af', 'atempo=' + Math.max(0.5, Math.min(100, avgSpeed)) + (volume ? ',' + volume : ''));
+        // Match the silent fillers' audio layout so the concat demuxer can stream-copy
+        args.push('-c:v', 'libx264', '-c:a', 'pcm_s16le', '-ar', '44100', '-ac', '2', '-pix_fmt', 'yuv420p', outputPath);
     } else {
         // Injection of silent audio
         args.push('-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo');
         args.push('-filter_complex', '[0:v]' + vf + '[v];[1:a]atrim=duration=' + targetDuration + '[a]');
         args.push('-map', '[v]', '-map', '[a]', '-c:v', 'libx264', '-c:a', 'pcm_s16le', '-pix_fmt', 'yuv420p', '-shortest', outputPath);
     }
-    await runFfmpeg(args);
+    await runFfmpeg(args, onProgress, job);
+}
+
+// Output seconds between atempo updates on speed-ramped audio
+var SPEED_RAMP_AUDIO_STEP = 0.1;
+
+/**
+ * setpts expression that retimes a source frame at T (seconds after the clip's
+ * in point) to its clip-local output time: mapClipSourceTime() inverted per
+ * ramp. On a linear ramp starting at speed v0 with acceleration 2a, the source
+ * advances ds = v0*t + a*t^2, so t = 2*ds / (v0 + sqrt(v0^2 + 4*a*ds)) (the
+ * form that stays finite as a -> 0). Eased ramps have no closed-form inverse
+ * and are solved by buildEasedRampExpr(). Held stretches consume no source
+ * time; the fps filter fills them by repeating the last frame.
+ */
+function buildSpeedRampPts(keyframes) {
+    var segments = getSpeedRampSegments(keyframes);
+    function pv(v) { return v < 0 ? '(' + v + ')' : String(v); }
+
+    var e = null;
+    for (var i = segments.length - 1; i >= 0; i--) {
+        var seg = segments[i];
+        var v0 = seg.startSpeed;
+        var a = seg.duration === Infinity ? 0 : (seg.endSpeed - v0) / (2 * seg.duration);
+        var ds = '(T-' + seg.source + ')';
+        var eased = seg.duration !== Infinity && seg.startSpeed !== seg.endSpeed && seg.easing !== 'linear' &&
+            (EASING_PRESETS.indexOf(seg.easing) !== -1 || parseCubicBezier(seg.easing) !== null);
+        var local = eased
+            ? buildEasedRampExpr(seg, ds)
+            : seg.time + '+2*' + ds + '/max(0.000001\\,' + v0 + '+sqrt(max(0\\,' + (v0 * v0) + '+' + pv(4 * a) + '*' + ds + ')))';
+        if (e === null) {
+            e = local;
+        } else {
+            e = 'if(lt(T\\,' + segments[i + 1].source + ')\\,' + local + '\\,' + e + ')';
+        }
+    }
+    return e;
+}
+
+/**
+ * asendcmd script retuning atempo to the ramp's mean speed over each
+ * SPEED_RAMP_AUDIO_STEP of output. Commands are keyed by source time, which is
+ * what the audio timestamps are before atempo.
+ */
+function buildSpeedRampTempoCommands(keyframes, clipDuration) {
+    return buildTempoCommands(function (t) { return mapClipSourceTime(t, keyframes); }, clipDuration);
+}
+
+// The same for any `sourceAt(t)`: source seconds played t seconds into the output
+function buildTempoCommands(sourceAt, duration) {
+    var lines = [];
+    for (var t = 0; t < duration; t += SPEED_RAMP_AUDIO_STEP) {
+        var step = Math.min(SPEED_RAMP_AUDIO_STEP, duration - t);
+        var s0 = sourceAt(t);
+        var speed = (sourceAt(t + step) - s0) / step;
+        lines.push(s0.toFixed(4) + ' atempo tempo ' + Math.max(0.5, Math.min(100, speed)).toFixed(4) + ';');
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a clip with speed keyframes in a single pass: frames are retimed by
+ * buildSpeedRampPts() and resampled to a constant rate, audio follows through
+ * a continuously retuned atempo. `cmdPath` receives the asendcmd script.
+ */
+async function renderSpeedRampClip(assetPath, sourceStart, sourceEnd, keyframes, clipDuration, outputPath, cmdPath, fps, isMuted, volume, frame, job, onProgress) {
+    fps = fps || 30;
+    var vf = 'setpts=(' + buildSpeedRampPts(keyframes) + ')/TB,fps=' + fps + ':start_time=0,' +
+        // Keep the clip's length if the source runs out early
+        'tpad=stop_mode=clone:stop_duration=' + clipDuration + ',' + canvasScale(frame);
+    var args = ['-y', '-ss', String(sourceStart), '-t', String(sourceEnd - sourceStart), '-i', assetPath];
+
+    if (hasAudioStream(assetPath) && !isMuted) {
+        // Sync the starting tempo before the first command fires
+        var startSpeed = Math.max(0.5, Math.min(100, getSpeedAtTime(0, keyframes)));
+        fs.writeFileSync(cmdPath, buildSpeedRampTempoCommands(keyframes, clipDuration));
+        var relCmdPath = path.relative(process.cwd(), cmdPath).replace(/\\/g, '/');
+        args.push('-filter_complex',
+            '[0:v]' + vf + '[v];[0:a]asendcmd=f=' + relCmdPath + ',atempo=' + startSpeed + (volume ? ',' + volume : '') + ',apad[a]');
+        args.push('-map', '[v]', '-map', '[a]', '-c:a', 'pcm_s16le', '-ar', '44100', '-ac', '2');
+    } else {
+        args.push('-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo');
+        args.push('-filter_complex', '[0:v]' + vf + '[v]');
+        args.push('-map', '[v]', '-map', '1:a', '-c:a', 'pcm_s16le');
+    }
+    args.push('-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-t', String(clipDuration), outputPath);
+    await runFfmpeg(args, onProgress, job);
+}
+
+/**
+ * Render a clip that plays backwards somewhere with the same filters the
+ * single-pass graph uses (buildReversibleClipFilters()).
+ */
+async function renderReversibleClip(entry, outputPath, cmdPath, frame, job, onProgress) {
+    var range = entry.range;
+    var piece = buildClipPieceFilters(entry, 0, frame, cmdPath, 0);
+    await runFfmpeg([
+        '-y', '-ss', String(range.start), '-t', String(Math.max(0.001, range.end - range.start)), '-i', entry.asset.path,
+        '-filter_complex', piece.lines.join(';'),
+        '-map', piece.v, '-map', piece.a,
+        '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'pcm_s16le', '-ar', '44100', '-ac', '2', outputPath
+    ], onProgress, job);
+}
+
+/**
+ * Render background-colored video + silent audio for an empty stretch of the
+ * timeline, in the same format as the clip segments so it can be concatenated.
+ */
+async function renderGapSegment(duration, outputPath, frame, job) {
+    await runFfmpeg([
+        '-y', '-f', 'lavfi', '-i', 'color=c=' + frame.background + ':s=' + frame.width + 'x' + frame.height + ':r=' + frame.fps,
+        '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo',
+        '-t', String(duration),
+        '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'pcm_s16le', outputPath
+    ], null, job);
+}
+
+/**
+ * Insert gap segments so every segment starts at its timeline position:
+ * before the first clip, between clips, and up to the end of the timeline.
+ */
+async function fillTimelineGaps(segments, totalDuration, tempDir, frame, job) {
+    var filled = [];
+    var cursor = 0;
+    var gapIdx = 0;
+
+    async function addGap(start, duration) {
+        var gapPath = path.join(tempDir, 'gap_' + (gapIdx++) + '.mov');
+        await renderGapSegment(duration, gapPath, frame, job);
+        filled.push({ path: gapPath, start: start, duration: duration });
+    }
+
+    for (var i = 0; i < segments.length; i++) {
+        var seg = segments[i];
+        if (seg.start - cursor > 0.001) await addGap(cursor, seg.start - cursor);
+        filled.push(seg);
+        cursor = Math.max(cursor, seg.start + seg.duration);
+    }
+    if (totalDuration - cursor > 0.001) await addGap(cursor, totalDuration - cursor);
+    return filled;
+}
+
+// ─── Helpers: easing curves as FFmpeg expressions ───
+function exprNum(v) { return v < 0 ? '(' + v + ')' : String(v); }
+
+// k1*u + k2*u^2 + ... for coefficients [k1, k2, ...]
+function polyExpr(u, k) {
+    var e = exprNum(k[k.length - 1]);
+    for (var n = k.length - 2; n >= 0; n--) e = '(' + e + '*' + u + '+' + exprNum(k[n]) + ')';
+    return e + '*' + u;
+}
+
+// Fixed-step bisection over 0..1 like the engine's: vars v and v+1 bracket the
+// answer, v+3 counts steps; `below` tests the midpoint ld(v+2) against the
+// target. Leaves the final midpoint in ld(v+2).
+function bisectExpr(v, below) {
+    var mid = 'st(' + (v + 2) + '\\,(ld(' + v + ')+ld(' + (v + 1) + '))/2)';
+    return 'st(' + v + '\\,0)\\;st(' + (v + 1) + '\\,1)\\;st(' + (v + 3) + '\\,0)\\;' +
+        'while(lt(ld(' + (v + 3) + ')\\,' + BEZIER_STEPS + ')\\,' + mid + '\\;' +
+        'if(' + below + '\\,st(' + v + '\\,ld(' + (v + 2) + '))\\,st(' + (v + 1) + '\\,ld(' + (v + 2) + ')))\\;' +
+        'st(' + (v + 3) + '\\,ld(' + (v + 3) + ')+1))\\;' + mid;
+}
+
+// Bounce arcs as an if() chain over x; `arc(a)` is the expression on arc a
+function bounceExpr(x, arc) {
+    var e = arc(BOUNCE_ARCS[BOUNCE_ARCS.length - 1]);
+    for (var i = BOUNCE_ARCS.length - 2; i >= 0; i--) {
+        e = 'if(lt(' + x + '\\,' + BOUNCE_ARCS[i + 1].from + ')\\,' + arc(BOUNCE_ARCS[i]) + '\\,' + e + ')';
+    }
+    return e;
+}
+
+function bounceOutExpr(x) {
+    return bounceExpr(x, function (a) {
+        return BOUNCE_N + '*(' + x + '-' + a.offset + ')*(' + x + '-' + a.offset + ')+' + a.base;
+    });
+}
+
+function bounceOutAreaExpr(x) {
+    return bounceExpr(x, function (a) {
+        var c = a.area - BOUNCE_N * Math.pow(a.from - a.offset, 3) / 3 - a.base * a.from;
+        return exprNum(c) + '+' + (BOUNCE_N / 3) + '*(' + x + '-' + a.offset + ')*(' + x + '-' + a.offset + ')*(' + x + '-' + a.offset + ')+' + a.base + '*' + x;
+    });
+}
+
+// Antiderivative of e^(k*u)*sin(w*u + phase), as in the engine
+function dampedSineAreaExpr(u, k, phase) {
+    var w = 10 * EASING_ELASTIC;
+    var angle = '(' + w + '*' + u + '+' + exprNum(phase) + ')';
+    return 'exp(' + exprNum(k) + '*' + u + ')*(' + exprNum(k) + '*sin' + angle + '-' + w + '*cos' + angle + ')/' + (k * k + w * w);
+}
+
+// Its value at u = 0
+function dampedSineAreaOrigin(k, phase) {
+    var w = 10 * EASING_ELASTIC;
+    return (k * Math.sin(phase) - w * Math.cos(phase)) / (k * k + w * w);
+}
+
+// ─── Helper: FFmpeg expression for getEasedProgress(p, easing) ───
+// Curves that use their progress more than once store it in var 0 first; the
+// cubic-bezier solver bisects with vars 1-4 exactly like the engine does.
+function buildEasingExpr(p, easing) {
+    var q = 'ld(0)';
+    function stored(body, from) { return '(st(0\\,' + (from || p) + ')\\;' + body + ')'; }
+    function cube(x) { return x + '*' + x + '*' + x; }
+
+    var c1 = EASING_BACK, c2 = EASING_BACK * 1.525, c3 = EASING_BACK + 1;
+    switch (easing) {
+        case 'hold': return 'gte(' + p + '\\,1)';
+        case 'easeIn': return '(' + p + '*' + p + ')';
+        case 'easeOut': return '(' + p + '*(2-' + p + '))';
+        case 'easeInOut': return 'if(lt(' + p + '\\,0.5)\\,2*' + p + '*' + p + '\\,-1+(4-2*' + p + ')*' + p + ')';
+        case 'easeInBack': return stored(c3 + '*' + cube(q) + '-' + c1 + '*' + q + '*' + q);
+        case 'easeOutBack': return stored('1+' + c3 + '*' + cube('(' + q + '-1)') + '+' + c1 + '*(' + q + '-1)*(' + q + '-1)');
+        case 'easeInOutBack':
+            return stored('if(lt(' + q + '\\,0.5)\\,' +
+                '(2*' + q + ')*(2*' + q + ')*(' + (c2 + 1) + '*2*' + q + '-' + c2 + ')/2\\,' +
+                '((2*' + q + '-2)*(2*' + q + '-2)*(' + (c2 + 1) + '*(2*' + q + '-2)+' + c2 + ')+2)/2)');
+        case 'easeInBounce': return stored('1-' + bounceOutExpr(q), '1-' + p);
+        case 'easeOutBounce': return stored(bounceOutExpr(q));
+        case 'easeInElastic':
+            return stored('if(lte(' + q + '\\,0)\\,0\\,if(gte(' + q + '\\,1)\\,1\\,' +
+                '-pow(2\\,10*' + q + '-10)*sin((10*' + q + '-10.75)*' + EASING_ELASTIC + ')))');
+        case 'easeOutElastic':
+            return stored('if(lte(' + q + '\\,0)\\,0\\,if(gte(' + q + '\\,1)\\,1\\,' +
+                'pow(2\\,-10*' + q + ')*sin((10*' + q + '-0.75)*' + EASING_ELASTIC + ')+1))');
+    }
+
+    var bezier = parseCubicBezier(easing);
+    if (!bezier) return p;
+    var cx = getBezierCoefficients(bezier[0], bezier[2]).reverse();
+    var cy = getBezierCoefficients(bezier[1], bezier[3]).reverse();
+    return stored(bisectExpr(1, 'lt(' + polyExpr('ld(3)', cx) + '\\,' + q + ')') + '\\;' + polyExpr('ld(3)', cy));
+}
+
+// ─── Helper: FFmpeg expression for getEasedArea(p, easing) ───
+// `p` must be cheap to repeat (a number or ld()). Null for linear, unknown and
+// cubic-bezier easings: linear ramps invert in closed form, and
+// buildEasedRampExpr() integrates a cubic-bezier over its curve parameter.
+function buildEasedAreaExpr(p, easing) {
+    var c1 = EASING_BACK, c2 = EASING_BACK * 1.525, c3 = EASING_BACK + 1;
+    function mirrored(first) {
+        return 'if(lt(' + p + '\\,0.5)\\,' + first(p) + '\\,' + p + '-0.5+' + first('(1-' + p + ')') + ')';
+    }
+    function pow(x, n) { return new Array(n).fill(x).join('*'); }
+    function elastic(k, phase) { return '(' + dampedSineAreaExpr(p, k, phase) + '-' + exprNum(dampedSineAreaOrigin(k, phase)) + ')'; }
+    switch (easing) {
+        case 'hold': return '0';
+        case 'easeIn': return pow(p, 3) + '/3';
+        case 'easeOut': return p + '*' + p + '-' + pow(p, 3) + '/3';
+        case 'easeInOut': return mirrored(function (u) { return '2*' + pow(u, 3) + '/3'; });
+        case 'easeInBack': return (c3 / 4) + '*' + pow(p, 4) + '-' + (c1 / 3) + '*' + pow(p, 3);
+        case 'easeOutBack':
+            return p + '+' + (c3 / 4) + '*(' + pow('(' + p + '-1)', 4) + '-1)+' + (c1 / 3) + '*(' + pow('(' + p + '-1)', 3) + '+1)';
+        case 'easeInOutBack':
+            return mirrored(function (u) {
+                return '(' + ((c2 + 1) / 4) + '*' + pow('(2*' + u + ')', 4) + '-' + (c2 / 3) + '*' + pow('(2*' + u + ')', 3) + ')/4';
+            });
+        case 'easeInBounce': return p + '-' + getEasedArea(1, 'easeOutBounce') + '+' + bounceOutAreaExpr('(1-' + p + ')');
+        case 'easeOutBounce': return bounceOutAreaExpr(p);
+        case 'easeInElastic': return '-' + Math.pow(2, -10) + '*' + elastic(ELASTIC_DECAY, -10.75 * EASING_ELASTIC);
+        case 'easeOutElastic': return p + '+' + elastic(-ELASTIC_DECAY, -0.75 * EASING_ELASTIC);
+    }
+    return null;
+}
+
+/**
+ * Clip-local output time within an eased speed ramp segment at which the
+ * segment has consumed `ds` source seconds: getSpeedRampSource() inverted by
+ * bisecting on the easing's progress (or a cubic-bezier's curve parameter,
+ * where progress and area are both polynomials). Uses vars 5-9.
+ */
+function buildEasedRampExpr(seg, ds) {
+    var L = seg.duration, v0 = seg.startSpeed, dv = seg.endSpeed - seg.startSpeed;
+    var u = 'ld(7)';
+    var bezier = parseCubicBezier(seg.easing);
+    var x = bezier ? polyExpr(u, getBezierCoefficients(bezier[0], bezier[2]).reverse()) : u;
+    var area = bezier ? polyExpr(u, getBezierAreaCoefficients(bezier)) : buildEasedAreaExpr(u, seg.easing);
+    var source = exprNum(v0 * L) + '*' + x + '+' + exprNum(dv * L) + '*(' + area + ')';
+    return '(st(9\\,' + ds + ')\\;' + bisectExpr(5, 'lt(' + source + '\\,ld(9))') + '\\;' + seg.time + '+' + L + '*' + x + ')';
+}
+
+// Source seconds a speed ramp segment has consumed `tau` seconds in, like
+// getSpeedRampSource(): var 0 holds the segment's progress, a cubic-bezier
+// solves its curve parameter with vars 1-4
+function buildRampSourceExpr(seg, tau) {
+    var L = seg.duration, v0 = seg.startSpeed, dv = seg.endSpeed - seg.startSpeed;
+    if (L === Infinity || dv === 0) return '(' + exprNum(v0) + '*' + tau + ')';
+    var p = 'ld(0)';
+    var bezier = parseCubicBezier(seg.easing);
+    var area;
+    if (bezier) {
+        var cx = getBezierCoefficients(bezier[0], bezier[2]).reverse();
+        area = bisectExpr(1, 'lt(' + polyExpr('ld(3)', cx) + '\\,' + p + ')') + '\\;' + polyExpr('ld(3)', getBezierAreaCoefficients(bezier));
+    } else {
+        area = buildEasedAreaExpr(p, seg.easing) || p + '*' + p + '/2';
+    }
+    return '(st(0\\,min(max(' + tau + '/' + L + '\\,0)\\,1))\\;' + exprNum(v0 * L) + '*' + p + '+' + exprNum(dv * L) + '*(' + area + '))';
+}
+
+// mapClipSourceTime() at clip-local time `t` (cheap to repeat) as an expression
+function buildSourceOffsetExpr(keyframes, t) {
+    var segments = getSpeedRampSegments(keyframes);
+    var e = null;
+    for (var i = segments.length - 1; i >= 0; i--) {
+        var seg = segments[i];
+        var local = '(' + exprNum(seg.source) + '+' + buildRampSourceExpr(seg, '(' + t + '-' + seg.time + ')') + ')';
+        e = e === null ? local : 'if(lt(' + t + '\\,' + segments[i + 1].time + ')\\,' + local + '\\,' + e + ')';
+    }
+    return e;
+}
+
+/**
+ * setpts expression for one piece of getClipSourcePieces(): a frame T source
+ * seconds into the piece's playback (counted from its top after `reverse` when
+ * it runs backwards) goes to the piece-local output time at which the source
+ * has moved that far. Solved by bisecting over the piece; uses vars 0-9.
+ */
+function buildSourcePiecePts(clip, piece) {
+    var keyframes = clip.speedKeyframes || [];
+    var len = piece.end - piece.start;
+    var s0 = mapClipSourceTime(piece.start, keyframes);
+    var offset = buildSourceOffsetExpr(keyframes, '(' + piece.start + '+' + len + '*ld(7))');
+    var moved = mapClipSourceTime(piece.end, keyframes) >= s0
+        ? offset + '-' + exprNum(s0)
+        : exprNum(s0) + '-' + offset;
+    return '(st(9\\,T)\\;' + bisectExpr(5, 'lt(' + moved + '\\,ld(9))') + '\\;' + len + '*ld(7))';
 }
 
 // ─── Helper: build animated FFmpeg expression from keyframes ───
-function buildAnimExpr(kfs, prop, defaultVal, clipStart) {
+// Each segment eases with its first keyframe's easing, like interpolateOverlay();
+// x/y on a smooth motion path follow the segment's Catmull-Rom cubic in the
+// eased progress (kept in var 5)
+function buildAnimExpr(kfs, prop, defaultVal, clipStart, motionPath) {
     var sorted = kfs.slice().sort(function (a, b) { return a.time - b.time; });
     if (!sorted.length) return String(defaultVal);
 
@@ -137,6 +530,7 @@ function buildAnimExpr(kfs, prop, defaultVal, clipStart) {
 
     var last = sorted[sorted.length - 1];
     var e = pv(last[prop] != null ? last[prop] : defaultVal);
+    var smooth = motionPath === 'smooth' && (prop === 'x' || prop === 'y');
 
     for (var j = sorted.length - 2; j >= 0; j--) {
         var k1 = sorted[j], k2 = sorted[j + 1];
@@ -151,7 +545,13 @@ function buildAnimExpr(kfs, prop, defaultVal, clipStart) {
         if (dur <= 0) {
             lerp = pv(v1);
         } else {
-            lerp = '(' + pv(v1) + '+(' + pv(v2) + '-' + pv(v1) + ')*(' + tB + '-' + k1.time + ')/' + dur + ')';
+            var progress = buildEasingExpr('((' + tB + '-' + k1.time + ')/' + dur + ')', k1.easing || 'linear');
+            if (smooth) {
+                var c = getMotionPathSegment(sorted, j)[prop];
+                lerp = '(st(5\\,' + progress + ')\\;' + pv(c[0]) + '+' + polyExpr('ld(5)', c.slice(1)) + ')';
+            } else {
+                lerp = '(' + pv(v1) + '+(' + pv(v2) + '-' + pv(v1) + ')*' + progress + ')';
+            }
         }
         // Use escaped commas for lte()
         e = 'if(lte(' + tB + '\\,' + k2.time + ')\\,' + lerp + '\\,' + e + ')';
@@ -163,282 +563,1078 @@ function buildAnimExpr(kfs, prop, defaultVal, clipStart) {
     return 'if(lte(t-' + clipStart + '\\,' + first.time + ')\\,' + firstVal + '\\,' + e + ')';
 }
 
-function ffmpegColor(color) {
-    if (!color) return 'white';
-    if (color.charAt(0) === '#') return '0x' + color.slice(1);
-    return color;
+// ─── Helper: property keyframe expressions ───
+// A keyframed clip property (getPropertyKeyframes()) as an FFmpeg expression
+// of t, clamped to its range like getPropertyValue(); `channel` picks the
+// RGBA channel of a color (alpha 0-1). Keyframe times are clip-local, the
+// clip starts at `clipStart` on t.
+function buildPropertyExpr(propertyKfs, property, clipStart, channel) {
+    var def = KEYFRAMABLE_PROPERTIES[property];
+    var kfs = getPropertyKeyframes(propertyKfs, property).map(function (kf) {
+        return { time: kf.time, easing: kf.easing, value: def.type === 'color' ? kf.value[channel] : kf.value };
+    });
+    var e = buildAnimExpr(kfs, 'value', 0, clipStart);
+    if (def.type === 'color') return 'clip(' + e + '\\,0\\,' + (channel === 3 ? 1 : 255) + ')';
+    return def.min != null ? 'max(' + def.min + '\\,' + e + ')' : e;
 }
 
 /**
- * Main export pipeline.
+ * volume filter for a clip's audio: its volume keyframes (evaluated per frame,
+ * the clip starting at `clipStart` on t) or its static volume. '' when the
+ * volume stays at 1.
  */
-async function exportProject(projectData, db, jobId, onProgress) {
-    var tempDir = path.join(TEMP, jobId);
-    fs.mkdirSync(tempDir, { recursive: true });
+function buildVolumeFilter(clip, clipStart) {
+    if (getPropertyKeyframes(clip.propertyKeyframes, 'volume').length > 0) {
+        return 'volume=eval=frame:volume=' + buildPropertyExpr(clip.propertyKeyframes, 'volume', clipStart);
+    }
+    var vol = (clip.properties && clip.properties.volume != null) ? clip.properties.volume : 1;
+    return vol === 1 ? '' : 'volume=' + vol;
+}
 
-    try {
-        var outputPath = path.join(EXPORTS, jobId + '.mp4');
-        var segmentFiles = [];
-        var totalDuration = 0;
+/**
+ * Concatenate already-rendered segments (same codec/format) without re-encoding.
+ */
+async function concatSegments(files, listPath, outputPath, audioCodec, job) {
+    var listContent = files.map(function (s) {
+        return "file '" + s.path.replace(/\\/g, '/') + "'";
+    }).join('\n');
+    fs.writeFileSync(listPath, listContent);
+    await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c:v', 'copy', '-c:a', audioCodec || 'copy', outputPath], null, job);
+}
+
+// ─── Helper: transition filters ───
+// Mirrors getTransitionEffect() in the time engine: progress ramps 0→1 over the
+// first `transitionDuration` seconds of the clip and 1→0 over the last ones.
+// Returns the filter chain for the clip layer plus overlay x/y expressions used
+// to place it on a background of the same size. `clipStart` is the timestamp at
+// which the clip begins in the stream the filters run on.
+var TRANSITION_TYPES = [
+    'fade', 'crossfade', 'dissolve',
+    'wipe-left', 'wipe-right', 'wipe-up', 'wipe-down',
+    'slide-left', 'slide-right',
+    'zoom-in', 'zoom-out', 'blur',
+];
+
+function buildTransitionGraph(props, clipDuration, clipStart, frameWidth) {
+    var type = props && props.transition;
+    if (!type || TRANSITION_TYPES.indexOf(type) === -1) return null;
+
+    var D = props.transitionDuration || 0.5;
+    var L = clipDuration;
+    var S = clipStart;
 
-        for (var t = 0; t < projectData.tracks.length; t++) {
-            var clips = projectData.tracks[t].clips || [];
-            for (var c = 0; c < clips.length; c++) totalDuration = Math.max(totalDuration, clips[c].start_time + clips[c].duration);
+    // Clip-local progress expression for a given time variable (t or T)
+    function progress(tv) {
+        var lt = '(' + tv + '-' + S + ')';
+        return 'if(lt(' + lt + '\\,' + D + ')\\,' + lt + '/' + D +
+            '\\,if(gt(' + lt + '\\,' + (L - D) + ')\\,(' + L + '-' + lt + ')/' + D + '\\,1))';
+    }
+    var inPhase = 'lt(t-' + S + '\\,' + D + ')';
+    var alphaFade = 'fade=t=in:st=' + S + ':d=' + D + ':alpha=1,' +
+        'fade=t=out:st=' + (S + L - D) + ':d=' + D + ':alpha=1';
+    var active = 'enable=lt(t-' + S + '\\,' + D + ')+gt(t-' + S + '\\,' + (L - D) + ')';
+
+    var filters = ['format=yuva420p'];
+    var x = '0', y = '0';
+
+    if (type === 'fade' || type === 'crossfade' || type === 'dissolve') {
+        filters.push(alphaFade);
+    } else if (type.indexOf('wipe-') === 0) {
+        var P = '(' + progress('T') + ')';
+        var cond = {
+            'wipe-left': 'lt(X\\,W*' + P + ')',
+            'wipe-right': 'gte(X\\,W*(1-' + P + '))',
+            'wipe-up': 'gte(Y\\,H*(1-' + P + '))',
+            'wipe-down': 'lt(Y\\,H*' + P + ')',
+        }[type];
+        filters.push(
+            'geq=lum=lum(X\\,Y):cb=cb(X\\,Y):cr=cr(X\\,Y):a=alpha(X\\,Y)*' + cond + ':' + active
+        );
+    } else if (type === 'slide-left' || type === 'slide-right') {
+        // Enters from the leading edge and leaves towards the trailing edge
+        var off = 'W*(1-' + progress('t') + ')';
+        var enter = type === 'slide-left' ? off : '-' + off;
+        var exit = type === 'slide-left' ? '-' + off : off;
+        x = 'if(' + inPhase + '\\,' + enter + '\\,' + exit + ')';
+    } else if (type === 'zoom-in' || type === 'zoom-out') {
+        var scale = type === 'zoom-in' ? '(' + progress('t') + ')' : '(2-' + progress('t') + ')';
+        filters.push(
+            'scale=w=max(2\\,trunc(iw*' + scale + '/2)*2):h=max(2\\,trunc(ih*' + scale + '/2)*2):eval=frame'
+        );
+        if (type === 'zoom-out') filters.push(alphaFade);
+        x = '(W-w)/2';
+        y = '(H-h)/2';
+    } else if (type === 'blur') {
+        // One gblur per quantised level, see getTransitionBlur()
+        var stepDur = D / TRANSITION_BLUR_STEPS;
+        for (var k = 0; k < TRANSITION_BLUR_STEPS; k++) {
+            var sigma = (TRANSITION_BLUR_MAX * frameWidth * (1 - k / TRANSITION_BLUR_STEPS)).toFixed(2);
+            var a0 = S + k * stepDur, a1 = S + (k + 1) * stepDur;
+            var b0 = S + L - (k + 1) * stepDur, b1 = S + L - k * stepDur;
+            filters.push(
+                'gblur=sigma=' + sigma + ':enable=between(t\\,' + a0 + '\\,' + a1 + ')+between(t\\,' + b0 + '\\,' + b1 + ')'
+            );
         }
-        if (totalDuration <= 0) throw new Error('No content on timeline');
+        filters.push(alphaFade);
+    }
 
-        // == Step 1: Render video clips ==
-        var videoClips = [];
-        for (var t = 0; t < projectData.tracks.length; t++) {
-            var track = projectData.tracks[t];
-            if (track.type === 'VIDEO_A' || track.type === 'VIDEO_B') {
-                var clips = track.clips || [];
-                for (var c = 0; c < clips.length; c++) {
-                    videoClips.push(Object.assign({}, clips[c], { trackType: track.type }));
-                }
-            }
+    return { filters: filters.join(','), x: x, y: y };
+}
+
+/**
+ * Re-render a single clip file with its transition composited over the canvas
+ * background, matching how the preview draws it onto the viewport.
+ */
+async function applyClipTransition(inputPath, outputPath, props, clipDuration, frame, job) {
+    var tr = buildTransitionGraph(props, clipDuration, 0, frame.width);
+    var graph = '[0:v]split[tv][tb];' +
+        '[tb]drawbox=c=' + frame.background + ':t=fill[bg];' +
+        '[tv]' + tr.filters + '[fg];' +
+        '[bg][fg]overlay=x=' + tr.x + ':y=' + tr.y + ':eval=frame:shortest=1,format=yuv420p[v]';
+    await runFfmpeg([
+        '-y', '-i', inputPath, '-filter_complex', graph,
+        '-map', '[v]', '-map', '0:a?', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'copy', outputPath
+    ], null, job);
+}
+
+/**
+ * Filters compositing VIDEO_B layers over a base stream pair ({ v, a } labels).
+ * Each layer ({ clip, rect, v, a }) is shifted to its timeline start, keeps its
+ * alpha through the transition filters (so fades blend with the layer below,
+ * like the preview), and its audio is delayed and mixed with the base audio.
+ * Letterbox bars of fitted layers are made transparent so the layer below
+ * shows through. Returns { lines, v, a }.
+ */
+function buildLayerFilters(base, layers, frame) {
+    var lines = [];
+    var lastV = base.v;
+    var audioLabels = [base.a];
+
+    for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        var start = layer.clip.start_time;
+        var end = start + layer.clip.duration;
+        var delay = Math.round(start * 1000);
+        var tr = buildTransitionGraph(layer.clip.properties, layer.clip.duration, start, frame.width);
+        var r = layer.rect;
+        var outLabel = '[lv' + i + ']';
+
+        var unpad = '';
+        if (r && (r.width < frame.width || r.height < frame.height)) {
+            unpad = ',format=yuva420p,crop=' + r.width + ':' + r.height + ':' + r.x + ':' + r.y +
+                ',pad=' + frame.width + ':' + frame.height + ':' + r.x + ':' + r.y + ':color=black@0';
         }
-        videoClips.sort(function (a, b) {
-            return (a.start_time - b.start_time) || (a.trackType === 'VIDEO_B' ? -1 : 1);
+        lines.push(layer.v + 'setpts=PTS-STARTPTS+' + start + '/TB' + unpad + (tr ? ',' + tr.filters : '') + '[l' + i + ']');
+        lines.push(
+            lastV + '[l' + i + ']overlay=x=' + (tr ? tr.x : 0) + ':y=' + (tr ? tr.y : 0) +
+            ':eof_action=pass:eval=frame:enable=between(t\\,' + start + '\\,' + end + ')' + outLabel
+        );
+        lines.push(layer.a + 'asetpts=PTS-STARTPTS,adelay=' + delay + '|' + delay + '[la' + i + ']');
+        lastV = outLabel;
+        audioLabels.push('[la' + i + ']');
+    }
+    lines.push(audioLabels.join('') + 'amix=inputs=' + audioLabels.length + ':duration=first:normalize=0[lmix]');
+    return { lines: lines, v: lastV, a: '[lmix]' };
+}
+
+/**
+ * Composite rendered VIDEO_B layer files over the flattened VIDEO_A render.
+ */
+async function compositeLayers(basePath, layers, outputPath, filterScriptPath, frame, job, onProgress) {
+    var inputs = ['-i', basePath];
+    var graph = buildLayerFilters({ v: '[0:v]', a: '[0:a]' }, layers.map(function (layer, i) {
+        inputs.push('-i', layer.path);
+        return { clip: layer.clip, rect: layer.rect, v: '[' + (i + 1) + ':v]', a: '[' + (i + 1) + ':a]' };
+    }), frame);
+
+    fs.writeFileSync(filterScriptPath, graph.lines.join(';\n'));
+    var relFilterPath = path.relative(process.cwd(), filterScriptPath).replace(/\\/g, '/');
+
+    await runFfmpeg(['-y'].concat(inputs).concat([
+        '-filter_complex_script', relFilterPath,
+        '-map', graph.v, '-map', graph.a,
+        '-c:v', 'libx264', '-preset', 'fast', '-pix_fmt', 'yuv420p', '-c:a', 'pcm_s16le', outputPath
+    ]), onProgress, job);
+}
+
+// Whether any keyframe scales or rotates a text overlay
+function hasTextTransform(kfs) {
+    return kfs.some(function (kf) {
+        return (kf.scale_x != null && kf.scale_x !== 1) || (kf.scale_y != null && kf.scale_y !== 1) ||
+            (kf.rotation != null && kf.rotation !== 0);
+    });
+}
+
+// Pixels from the left (top) of an overlay's box to its anchor point, for
+// anchor_x (anchor_y) keyframes on a box `size` pixels across: a number
+// unless the anchor moves
+function anchorExpr(kfs, prop, defaultVal, clipStart, size) {
+    var values = kfs.map(function (kf) { return kf[prop] != null ? kf[prop] : defaultVal; });
+    var moving = values.some(function (v) { return v !== values[0]; });
+    if (!moving) return (values.length ? values[0] : defaultVal) * size;
+    return '(' + buildAnimExpr(kfs, prop, defaultVal, clipStart) + ')*' + size;
+}
+
+// The anchor's offset from the box centre (`half` the box size away)
+function anchorFromCentre(anchor, half) {
+    return typeof anchor === 'number' ? anchor - half : '(' + anchor + '-' + half + ')';
+}
+
+// Move a position by an anchor's offset so the anchor lands on it
+function subtractAnchor(expr, anchor) {
+    if (anchor === 0) return expr;
+    return expr + '-' + (typeof anchor === 'number' ? exprNum(Math.round(anchor * 1000) / 1000) : anchor);
+}
+
+// An offset (dx, dy) from a layer's centre rotated by rRad, as the rotate
+// filter turns it
+function rotatedX(rRad, dx, dy) {
+    return '(cos(' + rRad + ')*(' + dx + ')-sin(' + rRad + ')*(' + dy + '))';
+}
+
+function rotatedY(rRad, dx, dy) {
+    return '(sin(' + rRad + ')*(' + dx + ')+cos(' + rRad + ')*(' + dy + '))';
+}
+
+// Offset a pixel expression (or number) by a constant or expression
+function offsetExpr(expr, offset) {
+    if (typeof offset === 'number') offset = Math.round(offset * 1000) / 1000;
+    if (typeof expr === 'number' && typeof offset === 'number') return expr + offset;
+    return offset ? expr + '+' + offset : expr;
+}
+
+// Font size keyframes scale the text laid out at the clip's font size
+// (getTextFontScale()): 1, or the factor as an expression of t
+function buildFontScaleExpr(propertyKfs, style, clipStart) {
+    if (getPropertyKeyframes(propertyKfs, 'fontSize').length === 0) return 1;
+    return '(' + buildPropertyExpr(propertyKfs, 'fontSize', clipStart) + ')/' + style.fontSize;
+}
+
+// A pixel offset (number or expression) times the font scale
+function scaleByFont(v, fontScale) {
+    if (fontScale === 1) return v;
+    return (typeof v === 'number' ? exprNum(Math.round(v * 1000) / 1000) : '(' + v + ')') + '*' + fontScale;
+}
+
+// drawtext fontcolor_expr for color keyframes: 0xRRGGBBAA, each channel
+// expanded per frame
+function buildColorExpansion(propertyKfs, clipStart) {
+    return '0x' + [0, 1, 2, 3].map(function (c) {
+        var e = buildPropertyExpr(propertyKfs, 'color', clipStart, c);
+        return '%{eif\\\\:round(' + (c === 3 ? '(' + e + ')*255' : e) + ')\\\\:x\\\\:2}';
+    }).join('');
+}
+
+function escapeDrawtext(text) {
+    return text.replace(/\\/g, '\\\\').replace(/'/g, "'\\\\'").replace(/:/g, '\\\\:');
+}
+
+/**
+ * Eased reveal (0-1) of text animation unit `index` as an FFmpeg expression
+ * of t, matching the engine's getTextReveal(); null without an animation.
+ */
+function buildRevealExpr(animation, index, clipStart) {
+    if (!animation) return null;
+    var unitStart = getTextUnitStart(index, animation);
+    var T = '(t-' + clipStart + ')';
+    if (animation.duration <= 0) return 'gte(' + T + '\\,' + unitStart + ')';
+    var p = 'clip((' + T + '-' + unitStart + ')/' + animation.duration + '\\,0\\,1)';
+    return '(1-pow(1-' + p + '\\,2))';
+}
+
+/**
+ * drawtext filters (comma-joined, without labels) for a text overlay whose
+ * block top-left is at the pixel expressions (x, y). The lines come from the
+ * engine's layoutTextLines() measured with the font file, and each is drawn
+ * like the preview draws it: background box padded by TEXT_BOX_PADDING,
+ * shadow, outline, then the fill, with the line's top at the font's ascent.
+ * Animated text and letter-spaced lines are drawn in the pieces of
+ * getTextPieces(), each faded/slid by its unit's reveal. Font size and color
+ * keyframes (`propertyKfs`) resize and recolor the text per frame. `enable`
+ * is added to every filter when given.
+ */
+function buildTextFilters(props, font, kfs, propertyKfs, start, scale, x, y, enable) {
+    var kx = scale.kx, ky = scale.ky;
+    var style = getTextStyle(props);
+    var animation = getTextAnimation(props);
+    var measure = createTextMeasure(font, style.fontSize);
+    var layout = layoutTextLines(props.text, style, measure);
+    var pieces = getTextPieces(layout, style, measure, animation);
+    var fontScale = buildFontScaleExpr(propertyKfs, style, start);
+
+    var common = (font ? "fontfile='" + font.path.replace(/\\/g, '/') + "':" : '') +
+        'fontsize=' + scaleByFont(style.fontSize * ky, fontScale) + ':y_align=font:expansion=none' + (enable ? ':' + enable : '');
+    var opacity = buildAnimExpr(kfs, 'opacity', 1, start);
+    var look = getPropertyKeyframes(propertyKfs, 'color').length > 0
+        ? ':fontcolor_expr=' + buildColorExpansion(propertyKfs, start)
+        : ':fontcolor=' + (ffmpegColor(style.color) || 'white');
+    if (style.strokeWidth > 0) {
+        look += ':borderw=' + Math.max(1, Math.round(style.strokeWidth * ky)) + ':bordercolor=' + (ffmpegColor(style.strokeColor) || 'black');
+    }
+    var shadowColor = style.shadowColor ? ffmpegColor(style.shadowColor) : null;
+    if (shadowColor) {
+        look += ':shadowcolor=' + shadowColor + ':shadowx=' + Math.round(style.shadowX * kx) + ':shadowy=' + Math.round(style.shadowY * ky);
+    }
+    var boxColor = style.backgroundColor ? ffmpegColor(style.backgroundColor) : null;
+    var box = boxColor ? ':box=1:boxcolor=' + boxColor +
+        ':boxborderw=' + Math.round(TEXT_BOX_PADDING.y * ky) + '|' + Math.round(TEXT_BOX_PADDING.x * kx) : '';
+
+    function drawtext(text, options, index, px, py) {
+        var reveal = buildRevealExpr(animation, index, start);
+        var alpha = reveal ? '(' + opacity + ')*' + reveal : opacity;
+        if (reveal && animation.slide) py = offsetExpr(py, '(1-' + reveal + ')*' + scaleByFont(animation.slide * style.fontSize * ky, fontScale));
+        return 'drawtext=' + common + ':alpha=' + alpha + ":text='" + escapeDrawtext(text) + "'" + options + ':x=' + px + ':y=' + py;
+    }
+
+    var filters = [];
+    layout.lines.forEach(function (line, li) {
+        var linePieces = pieces.filter(function (p) { return p.line === li; });
+        if (linePieces.length === 0) return;
+        var lx = offsetExpr(x, scaleByFont(line.x * kx, fontScale));
+        var ly = offsetExpr(y, scaleByFont(line.y * ky, fontScale));
+        if (linePieces.length === 1 && linePieces[0].text === line.text) {
+            filters.push(drawtext(line.text, look + box, linePieces[0].index, lx, ly));
+            return;
+        }
+        // The box spans the whole line and shows with its first piece; the
+        // text it is sized from stays invisible. boxw can't follow a font
+        // size curve, so a resized box fits the text without letter spacing
+        if (box) {
+            var boxw = fontScale === 1 ? ':boxw=' + Math.round(line.width * kx) : '';
+            filters.push(drawtext(line.text, ':fontcolor=black@0' + box + boxw, linePieces[0].index, lx, ly));
+        }
+        linePieces.forEach(function (p) {
+            filters.push(drawtext(p.text, look, p.index, offsetExpr(x, scaleByFont(p.x * kx, fontScale)), offsetExpr(y, scaleByFont(p.y * ky, fontScale))));
         });
+    });
+    return filters.join(',');
+}
 
-        for (var ci = 0; ci < videoClips.length; ci++) {
-            var clip = videoClips[ci];
-            var asset = db.prepare('SELECT * FROM assets WHERE id = ?').get(clip.asset_id);
-            if (!asset) continue;
+/**
+ * Filters drawing text and image overlays ({ clip, asset, font }) over `baseV`.
+ * Text uses the overlay's resolved font face, or FFmpeg's default font when
+ * no fonts are installed; background box, scale and rotation follow the
+ * preview. Transformed text is drawn on a transparent `frame`-sized layer.
+ * Image overlays read looped stills, appended to `inputs` from stream index
+ * `firstInput` on. Keyframes are in canvas pixels, scaled by `scale.kx/ky`.
+ * Returns { lines, v }.
+ */
+function buildOverlayFilters(overlays, baseV, inputs, firstInput, totalDuration, frame, scale) {
+    var lines = [];
+    var lastV = baseV;
+    var streamIdx = firstInput;
+    var kx = scale.kx, ky = scale.ky;
 
-            // CHECK MUTED STATUS
-            var isMuted = (clip.properties && clip.properties.muted === true);
-            var maxSourceDur = asset.duration || 10000;
+    for (var i = 0; i < overlays.length; i++) {
+        var clip = overlays[i].clip;
+        var start = clip.start_time;
+        var end = start + clip.duration;
+        var kfs = clip.overlayKeyframes || [];
+        var outLabel = '[vo' + i + ']';
 
-            var speedKfs = clip.speedKeyframes || [];
-            if (speedKfs.length <= 1) {
-                var speed = speedKfs.length === 1 ? speedKfs[0].speed : 1;
-                var sourceNeeded = clip.duration * speed;
-                var actualSourceEnd = Math.min(clip.in_point + sourceNeeded, maxSourceDur);
+        if (clip.trackType === 'OVERLAY_IMAGE') {
+            var asset = overlays[i].asset;
+            if (!asset) continue;
+            const motionPath = (clip.properties || {}).motionPath;
+            var x = scaleExpr(buildAnimExpr(kfs, 'x', 100, start, motionPath), kx);
+            var y = scaleExpr(buildAnimExpr(kfs, 'y', 100, start, motionPath), ky);
+            var sx = buildAnimExpr(kfs, 'scale_x', 1, start);
+            var sy = buildAnimExpr(kfs, 'scale_y', 1, start);
+            var rRad = '(' + buildAnimExpr(kfs, 'rotation', 0, start) + ')*PI/180';
+            var a = buildAnimExpr(kfs, 'opacity', 1, start);
+            // The image is sized like the preview's, rotated about its centre,
+            // then scaled; the overlay position moves the transformed anchor
+            // onto (x, y)
+            var natural = overlays[i].imageSize || {};
+            var box = getImageOverlaySize(natural.width, natural.height);
+            var bw = Math.max(1, Math.round(box.width * kx)), bh = Math.max(1, Math.round(box.height * ky));
+            var anchor = getDefaultAnchor(clip.trackType);
+            var dx = anchorFromCentre(anchorExpr(kfs, 'anchor_x', anchor.x, start, bw), bw / 2);
+            var dy = anchorFromCentre(anchorExpr(kfs, 'anchor_y', anchor.y, start, bh), bh / 2);
+            var si = streamIdx++;
+            inputs.push('-loop', '1', '-t', String(totalDuration), '-i', asset.path);
+            lines.push(
+                '[' + si + ':v]format=rgba,scale=' + bw + ':' + bh + ',' +
+                'rotate=' + rRad + ':c=none:ow=rotw(iw):oh=roth(ih),' +
+                'scale=eval=frame:w=max(1\\,iw*(' + sx + ')):h=max(1\\,ih*(' + sy + ')),' +
+                "colorchannelmixer=aa=" + a + '[ov' + i + ']'
+            );
+            lines.push(
+                lastV + '[ov' + i + ']overlay=' +
+                'x=' + x + '-w/2-(' + sx + ')*' + rotatedX(rRad, dx, dy) + ':' +
+                'y=' + y + '-h/2-(' + sy + ')*' + rotatedY(rRad, dx, dy) + ':' +
+                "enable=between(t\\," + start + "\\," + end + "):eval=frame" + outLabel
+            );
+        } else {
+            var props = clip.properties || {};
+            // The preview draws nothing for blank text, so neither does the export
+            if (!props.text || !props.text.trim()) continue;
+            var x = scaleExpr(buildAnimExpr(kfs, 'x', 0, start, props.motionPath), kx);
+            var y = scaleExpr(buildAnimExpr(kfs, 'y', 0, start, props.motionPath), ky);
+            var enable = "enable=between(t\\," + start + "\\," + end + ")";
+            var padX = TEXT_BOX_PADDING.x * kx, padY = TEXT_BOX_PADDING.y * ky;
+            var style = getTextStyle(props);
+            var block = getTextBlockSize(layoutTextLines(props.text, style, createTextMeasure(overlays[i].font, style.fontSize)), style);
+            var anchor = getDefaultAnchor(clip.trackType);
+            var propertyKfs = clip.propertyKeyframes || [];
+            var fontScale = buildFontScaleExpr(propertyKfs, style, start);
+            var ax = scaleByFont(anchorExpr(kfs, 'anchor_x', anchor.x, start, block.width * kx), fontScale);
+            var ay = scaleByFont(anchorExpr(kfs, 'anchor_y', anchor.y, start, block.height * ky), fontScale);
 
-                var segPath = path.join(tempDir, 'clip_' + ci + '_seg_0.mov');
-                await renderClipSegment(asset.path, clip.in_point, actualSourceEnd, speed, segPath, asset.fps || 30, isMuted);
-                segmentFiles.push({ path: segPath, start: clip.start_time, duration: clip.duration });
+            if (!hasTextTransform(kfs)) {
+                var direct = buildTextFilters(props, overlays[i].font, kfs, propertyKfs, start, scale, subtractAnchor(x, ax), subtractAnchor(y, ay), enable);
+                if (!direct) continue;
+                lines.push(lastV + direct + outLabel);
             } else {
-                // Subdivision Logic for Sync Accuracy
-                var sortedKfs = speedKfs.slice().sort(function (a, b) { return a.time - b.time; });
-                var prevTime = 0;
-                var accumSourceTime = clip.in_point;
+                // drawtext can't scale or rotate, so the lines are drawn on a
+                // transparent layer with their top-left corner near its
+                // top-left corner, rotated about the layer centre, then scaled.
+                // The preview rotates and scales about the anchor, so the
+                // overlay position moves the transformed anchor back onto (x, y).
+                var sx = buildAnimExpr(kfs, 'scale_x', 1, start);
+                var sy = buildAnimExpr(kfs, 'scale_y', 1, start);
+                var rRad = '(' + buildAnimExpr(kfs, 'rotation', 0, start) + ')*PI/180';
+                var dx = anchorFromCentre(ax, frame.width / 2 - padX);
+                var dy = anchorFromCentre(ay, frame.height / 2 - padY);
+                lines.push(
+                    'color=c=black@0:s=' + frame.width + 'x' + frame.height + ':r=' + frame.fps + ':d=' + totalDuration +
+                    ',format=rgba,' + buildTextFilters(props, overlays[i].font, kfs, propertyKfs, start, scale, padX, padY) +
+                    ',rotate=' + rRad + ':c=none:ow=hypot(iw\\,ih):oh=ow' +
+                    ',scale=eval=frame:w=max(1\\,iw*(' + sx + ')):h=max(1\\,ih*(' + sy + '))[ot' + i + ']'
+                );
+                lines.push(
+                    lastV + '[ot' + i + ']overlay=' +
+                    'x=' + x + '-w/2-(' + sx + ')*' + rotatedX(rRad, dx, dy) + ':' +
+                    'y=' + y + '-h/2-(' + sy + ')*' + rotatedY(rRad, dx, dy) + ':' +
+                    enable + ':eval=frame' + outLabel
+                );
+            }
+        }
+        lastV = outLabel;
+    }
+    return { lines: lines, v: lastV };
+}
 
-                // Get last speed for extended segments
-                var lastDefinedSpeed = sortedKfs.length > 0 ? sortedKfs[sortedKfs.length - 1].speed : 1;
+/**
+ * Filters mixing AUDIO track clips ({ clip, asset }) under `baseA`, reading
+ * the clip sources appended to `inputs` from stream index `firstInput` on.
+ * Clips at a steady 1x play their range directly (through areverse when
+ * reversed); speed keyframes, negative ones included, split the clip into
+ * source pieces retimed like a video clip's audio (buildPieceAudioFilters(),
+ * asendcmd scripts in `tempDir`). Volume keyframes are evaluated on the
+ * timeline's clock.
+ * Returns { lines, a }; without clips the base audio passes through.
+ */
+function buildAudioMixFilters(audioClips, baseA, inputs, firstInput, tempDir) {
+    var lines = [];
+    var labels = [];
+    var streamIdx = firstInput;
 
-                for (var ki = 0; ki <= sortedKfs.length; ki++) {
-                    var kfTime = ki < sortedKfs.length ? sortedKfs[ki].time : clip.duration;
-                    if (kfTime > clip.duration) kfTime = clip.duration;
+    for (var i = 0; i < audioClips.length; i++) {
+        var clip = audioClips[i].clip;
+        var asset = audioClips[i].asset;
+        if (!asset || (asset.type !== 'audio' && asset.type !== 'video')) continue;
 
-                    var segDuration = kfTime - prevTime;
-                    if (segDuration <= 0.001) continue;
+        var si = streamIdx++;
+        inputs.push('-i', asset.path);
+        var delay = Math.round(clip.start_time * 1000);
+        var muted = (clip.properties && clip.properties.muted === true);
+        var volume = muted ? 'volume=0' : (buildVolumeFilter(clip, clip.start_time) || 'volume=1');
+        var id = labels.length;
+        var label = '[a' + id + ']';
 
-                    var endSpeed = ki < sortedKfs.length ? sortedKfs[ki].speed : lastDefinedSpeed;
-                    var startSpeed = ki === 0 ? sortedKfs[0].speed : (ki <= sortedKfs.length ? sortedKfs[ki - 1].speed : lastDefinedSpeed);
+        var steady = (clip.speedKeyframes || []).every(function (kf) { return kf.speed === 1; });
+        if (steady) {
+            lines.push(
+                '[' + si + ':a]atrim=start=' + clip.in_point + ':duration=' + clip.duration +
+                ',asetpts=PTS-STARTPTS' + (isClipReversed(clip) ? ',areverse' : '') + ',adelay=' + delay + '|' + delay +
+                ',' + volume + label
+            );
+        } else {
+            var pieces = getClipSourcePieces(clip);
+            var split = '', joined = '';
+            pieces.forEach(function (piece, k) {
+                split += '[as' + id + '_' + k + ']';
+                joined += '[ap' + id + '_' + k + ']';
+            });
+            lines.push('[' + si + ':a]asplit=' + pieces.length + split);
+            pieces.forEach(function (piece, k) {
+                lines = lines.concat(buildPieceAudioFilters(clip, piece, '[as' + id + '_' + k + ']', 0,
+                    path.join(tempDir, 'audio_' + id + '_tempo_' + k + '.txt'), '[ap' + id + '_' + k + ']'));
+            });
+            lines.push(joined + 'concat=n=' + pieces.length + ':v=0:a=1,adelay=' + delay + '|' + delay + ',' + volume + label);
+        }
+        labels.push(label);
+    }
+    if (labels.length === 0) return { lines: lines, a: baseA };
 
-                    // Subdivide into small chunks (approx 0.5s or less) to improve sync accuracy
-                    // Using Riemann sum approximation for the speed integral
-                    var steps = Math.ceil(segDuration / 0.5);
-                    var stepDur = segDuration / steps;
+    lines.push(labels.join('') + 'amix=inputs=' + labels.length + ':duration=longest[mixed_bg]');
+    lines.push(baseA + '[mixed_bg]amix=inputs=2:duration=first[final_a]');
+    return { lines: lines, a: '[final_a]' };
+}
 
-                    for (var s = 0; s < steps; s++) {
-                        var t0 = s / steps;
-                        var t1 = (s + 1) / steps;
+// Number of -i inputs in an FFmpeg argument list
+function countInputs(args) {
+    return args.filter(function (arg) { return arg === '-i'; }).length;
+}
+
+/**
+ * Source range a video clip reads: [start, end] in source seconds, plus its
+ * constant speed (null for a speed ramp). Clamped to the asset's length.
+ * A clip that plays backwards anywhere also carries its getClipSourcePieces().
+ */
+function clipSourceRange(clip, asset) {
+    var speedKfs = clip.speedKeyframes || [];
+    var maxSourceDur = asset.duration || 10000;
+    var pieces = getClipSourcePieces(clip);
+    if (pieces.some(function (p) { return p.sourceEnd < p.sourceStart; })) {
+        // Runs backwards somewhere: read everything the pieces cover
+        var ends = [];
+        pieces.forEach(function (p) { ends.push(p.sourceStart, p.sourceEnd); });
+        return {
+            start: Math.max(0, Math.min.apply(null, ends)),
+            end: Math.min(Math.max.apply(null, ends), maxSourceDur),
+            speed: null,
+            pieces: pieces,
+        };
+    }
+    var speed = speedKfs.length <= 1 ? (speedKfs.length === 1 ? speedKfs[0].speed : 1) : null;
+    var needed = speed !== null ? clip.duration * speed : mapClipSourceTime(clip.duration, speedKfs);
+    return { start: clip.in_point, end: Math.min(clip.in_point + needed, maxSourceDur), speed: speed };
+}
 
-                        // Lerp speed at start and end of this mini-chunk
-                        var s0 = startSpeed + (endSpeed - startSpeed) * t0;
-                        var s1 = startSpeed + (endSpeed - startSpeed) * t1;
-                        var avgS = (s0 + s1) / 2;
+/**
+ * Filters turning audio `input` into one source piece of `clip` (see
+ * getClipSourcePieces()), exactly as long as the piece: its source stretch,
+ * reversed if it runs backwards, through an atempo retuned by the asendcmd
+ * script written to `piecePath`. `offset` is the source time the input
+ * starts at. A hold is silent. Returns the filter lines ending in `out`.
+ */
+function buildPieceAudioFilters(clip, piece, input, offset, piecePath, out) {
+    var len = piece.end - piece.start;
+    var from = Math.max(0, Math.min(piece.sourceStart, piece.sourceEnd) - offset);
+    var to = Math.max(piece.sourceStart, piece.sourceEnd) - offset;
+    if (to - from < 0.001) {
+        return [input + 'anullsink', 'anullsrc=r=44100:cl=stereo,atrim=duration=' + len + out];
+    }
+    fs.writeFileSync(piecePath, buildTempoCommands(function (t) {
+        return Math.abs(getClipSourceTime(clip, piece.start + t) - piece.sourceStart);
+    }, len));
+    return [input + 'atrim=start=' + from + ':end=' + to + ',asetpts=PTS-STARTPTS,' +
+        (piece.sourceEnd < piece.sourceStart ? 'areverse,' : '') +
+        'asendcmd=f=' + path.relative(process.cwd(), piecePath).replace(/\\/g, '/') +
+        ',atempo=' + Math.max(0.5, Math.min(100, Math.abs(getClipSpeed(clip, piece.start)))) +
+        ',aformat=sample_rates=44100:channel_layouts=stereo,apad,atrim=duration=' + len + out];
+}
 
-                        var subSource = stepDur * avgS;
-                        var safeSourceEnd = Math.min(accumSourceTime + subSource, maxSourceDur);
+/**
+ * Filters for a clip that plays backwards somewhere (reversed, or negative
+ * speed keyframes): the input is split into the clip's source pieces, pieces
+ * running backwards go through reverse/areverse, each is retimed by
+ * buildSourcePiecePts() and the pieces are joined again. Same contract as
+ * buildClipPieceFilters(); piece k's asendcmd script goes next to `cmdPath`.
+ */
+function buildReversibleClipFilters(entry, si, frame, cmdPath, id) {
+    var clip = entry.clip;
+    var range = entry.range;
+    var n = range.pieces.length;
+    var clipFrame = Object.assign({}, frame, { rect: entry.rect });
+    var withAudio = entry.hasAudio && !(clip.properties && clip.properties.muted === true);
+    var lines = [];
+    var splitV = '', splitA = '', joined = '';
+    for (var k = 0; k < n; k++) {
+        splitV += '[rv' + id + '_' + k + ']';
+        splitA += '[ra' + id + '_' + k + ']';
+    }
+    lines.push('[' + si + ':v]split=' + n + splitV);
+    if (withAudio) lines.push('[' + si + ':a]asplit=' + n + splitA);
 
-                        var segPath = path.join(tempDir, 'clip_' + ci + '_seg_' + ki + '_' + s + '.mov');
-                        // Use stepDur? Actually renderClipSegment calculates target duration from source range / speed.
-                        // Ideally we pass exact source range.
-                        // If we clamp safeSourceEnd, target duration might shrink.
+    range.pieces.forEach(function (piece, k) {
+        var len = piece.end - piece.start;
+        var from = Math.max(0, Math.min(piece.sourceStart, piece.sourceEnd) - range.start);
+        var to = Math.max(piece.sourceStart, piece.sourceEnd) - range.start;
+        var backward = piece.sourceEnd < piece.sourceStart;
+        var hold = to - from < 0.001;
+        var v = '[qv' + id + '_' + k + ']', a = '[qa' + id + '_' + k + ']';
 
-                        await renderClipSegment(asset.path, accumSourceTime, safeSourceEnd, avgS, segPath, asset.fps || 30, isMuted);
+        var retime = hold
+            ? 'trim=start=' + from + ',setpts=PTS-STARTPTS,trim=end_frame=1'
+            : 'trim=start=' + from + ':end=' + to + ',setpts=PTS-STARTPTS,' + (backward ? 'reverse,' : '') +
+                'setpts=' + buildSourcePiecePts(clip, piece) + '/TB';
+        lines.push('[rv' + id + '_' + k + ']' + retime + ',fps=' + frame.fps + ':start_time=0,' +
+            'tpad=stop_mode=clone:stop_duration=' + len + ',trim=duration=' + len + ',' +
+            canvasScale(clipFrame) + ',format=yuv420p' + v);
 
-                        // We push whatever result we got.
-                        // Note: If source ran out, actual duration will be shorter.
-                        // We rely on concat dealing with it (it might desync slightly at end of clip if source runs out).
-                        segmentFiles.push({ path: segPath, start: clip.start_time + prevTime + (s * stepDur), duration: stepDur });
+        if (!withAudio) {
+            lines.push('anullsrc=r=44100:cl=stereo,atrim=duration=' + len + a);
+            return;
+        }
+        lines = lines.concat(buildPieceAudioFilters(clip, piece, '[ra' + id + '_' + k + ']', range.start,
+            cmdPath.replace(/\.txt$/, '_' + k + '.txt'), a));
+    });
 
-                        accumSourceTime += subSource;
-                        if (accumSourceTime >= maxSourceDur) break;
-                    }
+    range.pieces.forEach(function (piece, k) { joined += '[qv' + id + '_' + k + '][qa' + id + '_' + k + ']'; });
+    var v = '[pv' + id + ']', a = '[pa' + id + ']';
+    // Volume keyframes follow the clip's output time, so they apply to the joined pieces
+    var volume = withAudio ? buildVolumeFilter(clip, 0) : '';
+    lines.push(joined + 'concat=n=' + n + ':v=1:a=1' + v + (volume ? '[pj' + id + ']' : a));
+    if (volume) lines.push('[pj' + id + ']' + volume + a);
+    return { lines: lines, v: v, a: a };
+}
 
-                    prevTime = kfTime;
-                    if (accumSourceTime >= maxSourceDur) break;
-                }
-            }
-            if (onProgress) onProgress(((ci + 1) / videoClips.length) * 40);
+/**
+ * Filters turning one clip input (stream `si`, opened at the clip's in point)
+ * into a piece exactly `clip.duration` long on the output frame: retimed like
+ * renderClipSegment()/renderSpeedRampClip(), and always with stereo audio
+ * (silence when the source has none or the clip is muted) at the clip's
+ * volume. `cmdPath` receives
+ * the asendcmd script of a speed ramp. Returns { lines, v, a }.
+ */
+function buildClipPieceFilters(entry, si, frame, cmdPath, id) {
+    if (entry.range.pieces) return buildReversibleClipFilters(entry, si, frame, cmdPath, id);
+    var clip = entry.clip;
+    var D = clip.duration;
+    var speedKfs = clip.speedKeyframes || [];
+    var speed = entry.range.speed;
+    var hold = speed !== null && speed < 0.01;
+    var clipFrame = Object.assign({}, frame, { rect: entry.rect });
+    var v = '[pv' + id + ']', a = '[pa' + id + ']';
+
+    var retime;
+    if (hold) retime = 'trim=end_frame=1,setpts=PTS-STARTPTS';
+    else if (speed !== null) retime = 'setpts=' + (1 / speed) + '*(PTS-STARTPTS)';
+    else retime = 'setpts=(' + buildSpeedRampPts(speedKfs) + ')/TB';
+    var lines = ['[' + si + ':v]' + retime + ',fps=' + frame.fps + ':start_time=0,' +
+        'tpad=stop_mode=clone:stop_duration=' + D + ',trim=duration=' + D + ',' +
+        canvasScale(clipFrame) + ',format=yuv420p' + v];
+
+    var silence = 'anullsrc=r=44100:cl=stereo,atrim=duration=' + D + a;
+    if (hold || !entry.hasAudio || (clip.properties && clip.properties.muted === true)) {
+        lines.push(silence);
+    } else {
+        var tempo;
+        if (speed !== null) {
+            tempo = 'atempo=' + Math.max(0.5, Math.min(100, speed));
+        } else {
+            fs.writeFileSync(cmdPath, buildSpeedRampTempoCommands(speedKfs, D));
+            tempo = 'asendcmd=f=' + path.relative(process.cwd(), cmdPath).replace(/\\/g, '/') +
+                ',atempo=' + Math.max(0.5, Math.min(100, getSpeedAtTime(0, speedKfs)));
         }
+        var volume = buildVolumeFilter(clip, 0);
+        lines.push('[' + si + ':a]asetpts=PTS-STARTPTS,' + tempo + (volume ? ',' + volume : '') +
+            ',aformat=sample_rates=44100:channel_layouts=stereo,apad,atrim=duration=' + D + a);
+    }
+    return { lines: lines, v: v, a: a };
+}
+
+/**
+ * Build the single-pass export: one filter_complex graph for the whole
+ * timeline, encoded once. VIDEO_A clips and background gaps are concatenated
+ * in the graph (clips with a transition composited over the background like
+ * applyClipTransition()), VIDEO_B layers, overlays and the AUDIO mix follow,
+ * exactly as the segmented pipeline applies them file by file.
+ * `timeline` holds the collected { videoClips, overlays, audioClips,
+ * totalDuration }. Returns { inputs, lines, v, a }.
+ */
+function buildTimelineGraph(timeline, frame, scale, tempDir) {
+    var inputs = [];
+    var lines = [];
+    var pieces = [];
+    var layers = [];
+    var cursor = 0;
+    var gapIdx = 0;
+    var D = timeline.totalDuration;
 
-        // == Step 2: Concat ==
-        if (segmentFiles.length === 0) {
-            await runFfmpeg([
-                '-y', '-f', 'lavfi', '-i', 'color=c=black:s=1280x720:d=' + totalDuration + ':r=30',
-                '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo',
-                '-c:v', 'libx264', '-c:a', 'aac', '-shortest', '-pix_fmt', 'yuv420p', outputPath
-            ]);
+    function addGap(duration) {
+        var id = gapIdx++;
+        lines.push('color=c=' + frame.background + ':s=' + frame.width + 'x' + frame.height + ':r=' + frame.fps +
+            ':d=' + duration + ',format=yuv420p[gv' + id + ']');
+        lines.push('anullsrc=r=44100:cl=stereo,atrim=duration=' + duration + '[ga' + id + ']');
+        pieces.push('[gv' + id + '][ga' + id + ']');
+    }
+
+    for (var ci = 0; ci < timeline.videoClips.length; ci++) {
+        var entry = timeline.videoClips[ci];
+        var clip = entry.clip;
+        var si = countInputs(inputs);
+        // A hold only needs its first frame
+        var sourceDur = entry.range.speed !== null && entry.range.speed < 0.01 ? 1 : Math.max(0.001, entry.range.end - entry.range.start);
+        inputs.push('-ss', String(entry.range.start), '-t', String(sourceDur), '-i', entry.asset.path);
+        var piece = buildClipPieceFilters(entry, si, frame, path.join(tempDir, 'clip_' + ci + '_tempo.txt'), ci);
+        lines = lines.concat(piece.lines);
+
+        if (clip.trackType === 'VIDEO_B') {
+            layers.push({ clip: clip, rect: entry.rect, v: piece.v, a: piece.a });
+            continue;
+        }
+
+        if (clip.start_time - cursor > 0.001) addGap(clip.start_time - cursor);
+        var tr = buildTransitionGraph(clip.properties, clip.duration, 0, frame.width);
+        if (tr) {
+            var v = '[pt' + ci + ']';
+            lines.push(piece.v + 'split[tv' + ci + '][tb' + ci + ']');
+            lines.push('[tb' + ci + ']drawbox=c=' + frame.background + ':t=fill[bg' + ci + ']');
+            lines.push('[tv' + ci + ']' + tr.filters + '[fg' + ci + ']');
+            lines.push('[bg' + ci + '][fg' + ci + ']overlay=x=' + tr.x + ':y=' + tr.y + ':eval=frame:shortest=1,format=yuv420p' + v);
+            pieces.push(v + piece.a);
         } else {
-            var listPath = path.join(tempDir, 'concat.txt');
-            var listContent = segmentFiles.map(function (s) {
-                return "file '" + s.path.replace(/\\/g, '/') + "'";
-            }).join('\n');
-            fs.writeFileSync(listPath, listContent);
-            await runFfmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c:v', 'copy', '-c:a', 'aac', outputPath]);
+            pieces.push(piece.v + piece.a);
         }
-        if (onProgress) onProgress(60);
-
-        // == Step 3: Overlays ==
-        var overlays = [];
-        for (var t = 0; t < projectData.tracks.length; t++) {
-            var track = projectData.tracks[t];
-            if (track.type === 'OVERLAY_TEXT' || track.type === 'OVERLAY_IMAGE') {
-                var clips = track.clips || [];
-                for (var c = 0; c < clips.length; c++) overlays.push(Object.assign({}, clips[c], { trackType: track.type }));
+        cursor = Math.max(cursor, clip.start_time + clip.duration);
+    }
+    if (D - cursor > 0.001) addGap(D - cursor);
+    lines.push(pieces.join('') + 'concat=n=' + pieces.length + ':v=1:a=1[basev][basea]');
+
+    var base = { v: '[basev]', a: '[basea]' };
+    if (layers.length > 0) {
+        var composed = buildLayerFilters(base, layers, frame);
+        lines = lines.concat(composed.lines);
+        base = { v: composed.v, a: composed.a };
+    }
+
+    var overlays = buildOverlayFilters(timeline.overlays, base.v, inputs, countInputs(inputs), D, frame, scale);
+    lines = lines.concat(overlays.lines);
+
+    var mix = buildAudioMixFilters(timeline.audioClips, base.a, inputs, countInputs(inputs), tempDir);
+    lines = lines.concat(mix.lines);
+
+    return { inputs: inputs, lines: lines, v: overlays.v, a: mix.a };
+}
+
+function scaleExpr(expr, k) {
+    return k === 1 ? expr : '(' + expr + ')*' + k;
+}
+
+// FFmpeg color for a CSS color: hex (#rgb, #rrggbb, #rrggbbaa), rgb()/rgba(),
+// 'transparent' or a color name. Anything else (e.g. gradients) gives null.
+function ffmpegColor(color) {
+    if (!color) return 'white';
+    color = String(color).trim();
+    if (/^#[0-9a-f]{3}$/i.test(color)) return '0x' + color.slice(1).replace(/./g, '$&$&');
+    if (/^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) return '0x' + color.slice(1);
+    var rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+    if (rgb) {
+        var hex = '0x' + [rgb[1], rgb[2], rgb[3]].map(function (c) {
+            return ('0' + Math.min(255, parseInt(c)).toString(16)).slice(-2);
+        }).join('');
+        return rgb[4] != null ? hex + '@' + Math.min(1, parseFloat(rgb[4])) : hex;
+    }
+    if (color.toLowerCase() === 'transparent') return 'black@0';
+    return /^[a-z]+$/i.test(color) ? color : null;
+}
+
+// ─── Progress tracking ───
+// Overall progress is split into weighted stages. Within a stage, FFmpeg's
+// time= output measured against the stage's expected output duration gives
+// the fine-grained position; the ETA extrapolates from the elapsed time.
+var EXPORT_STAGES = [
+    { name: 'render', weight: 40 },
+    { name: 'compose', weight: 20 },
+    { name: 'overlays', weight: 15 },
+    { name: 'audio', weight: 10 },
+    { name: 'encode', weight: 15 },
+];
+// The single-pass export is one FFmpeg run
+var SINGLE_PASS_STAGES = [{ name: 'render', weight: 100 }];
+var PROGRESS_INTERVAL_MS = 250;
+
+function createProgressTracker(onProgress, stages) {
+    var startedAt = Date.now();
+    var lastEmit = 0;
+    var current = null;
+    var base = 0;
+
+    function emit(progress, stage, force) {
+        var now = Date.now();
+        if (!onProgress || (!force && now - lastEmit < PROGRESS_INTERVAL_MS)) return;
+        lastEmit = now;
+        var elapsed = (now - startedAt) / 1000;
+        var eta = progress >= 1 ? elapsed * (100 - progress) / progress : null;
+        onProgress({ progress: progress, stage: stage, eta: eta });
+    }
+
+    var tracker = {
+        // Enter a stage; stages skipped for this project count as done
+        stage: function (name) {
+            base = 0;
+            for (var i = 0; i < stages.length; i++) {
+                if (stages[i].name === name) { current = stages[i]; break; }
+                base += stages[i].weight;
             }
-        }
+            emit(base, name, true);
+        },
+        // Fraction (0-1) of the current stage that is done
+        update: function (fraction) {
+            var f = Math.max(0, Math.min(1, fraction || 0));
+            emit(base + current.weight * f, current.name, false);
+        },
+        // runFfmpeg() callback for a command whose output covers
+        // [offset, offset + its duration] of a stage lasting `total` seconds
+        ffmpeg: function (offset, total) {
+            return function (secs) { tracker.update(total > 0 ? (offset + secs) / total : 1); };
+        },
+        done: function () {
+            if (onProgress) onProgress({ progress: 100, stage: 'done', eta: 0 });
+        },
+    };
+    return tracker;
+}
+
+/**
+ * Gather what the export renders: video clips (with their asset, fit rect and
+ * source range) in timeline order, overlays and AUDIO clips.
+ */
+function collectTimeline(projectData, db, frame) {
+    var timeline = { videoClips: [], overlays: [], audioClips: [], totalDuration: 0 };
+    function getAsset(id) { return db.prepare('SELECT * FROM assets WHERE id = ?').get(id); }
 
-        if (overlays.length > 0) {
-            var withOvPath = path.join(tempDir, 'with_ov.mp4');
-            var inputs = ['-i', outputPath];
-            var filterLines = [];
-            var streamIdx = 1;
-            var lastV = '[0:v]';
-            var fontPath = 'C\\:/Windows/Fonts/arial.ttf';
-
-            for (var i = 0; i < overlays.length; i++) {
-                var clip = overlays[i];
-                var start = clip.start_time;
-                var end = start + clip.duration;
-                var kfs = clip.overlayKeyframes || [];
-                var isLast = (i === overlays.length - 1);
-                var outLabel = isLast ? '' : '[v_tmp' + i + ']';
-
-                if (clip.trackType === 'OVERLAY_IMAGE') {
-                    var asset = db.prepare('SELECT * FROM assets WHERE id = ?').get(clip.asset_id);
-                    if (asset) {
-                        var x = buildAnimExpr(kfs, 'x', 100, start);
-                        var y = buildAnimExpr(kfs, 'y', 100, start);
-                        var sx = buildAnimExpr(kfs, 'scale_x', 1, start);
-                        var sy = buildAnimExpr(kfs, 'scale_y', 1, start);
-                        var r = buildAnimExpr(kfs, 'rotation', 0, start);
-                        var a = buildAnimExpr(kfs, 'opacity', 1, start);
-                        var rRad = '(' + r + ')*PI/180';
-                        var si = streamIdx++;
-                        inputs.push('-loop', '1', '-t', String(totalDuration), '-i', asset.path);
-                        filterLines.push(
-                            '[' + si + ':v]format=rgba,' +
-                            'rotate=' + rRad + ':c=none:ow=rotw(iw):oh=roth(ih),' +
-                            'scale=eval=frame:w=iw*(' + sx + '):h=ih*(' + sy + '),' +
-                            "colorchannelmixer=aa=" + a + '[ov' + i + ']'
-                        );
-                        filterLines.push(
-                            lastV + '[ov' + i + ']overlay=x=' + x + ':y=' + y + ':' +
-                            "enable=between(t\\," + start + "\\," + end + "):eval=frame" + outLabel
-                        );
-                        lastV = outLabel || lastV;
-                    }
-                } else {
-                    var props = clip.properties || {};
-                    var rawText = props.text || 'Text';
-                    // Escape text for drawtext
-                    var escapedText = rawText.replace(/\\/g, '\\\\').replace(/'/g, "'\\\\'").replace(/:/g, '\\\\:');
-                    var fontSize = props.fontSize || 48;
-                    var fontColor = ffmpegColor(props.color);
-                    var x = buildAnimExpr(kfs, 'x', '(w-text_w)/2', start);
-                    var y = buildAnimExpr(kfs, 'y', '(h-text_h)/2', start);
-                    var a = buildAnimExpr(kfs, 'opacity', 1, start);
-
-                    filterLines.push(
-                        lastV + "drawtext=fontfile=" + fontPath + ":text='" + escapedText + "'" +
-                        ':fontsize=' + fontSize + ':fontcolor=' + fontColor +
-                        ':x=' + x + ':y=' + y + ':alpha=' + a +
-                        ":enable=between(t\\," + start + "\\," + end + ")" + outLabel
-                    );
-                    lastV = outLabel || lastV;
-                }
+    for (var t = 0; t < projectData.tracks.length; t++) {
+        var track = projectData.tracks[t];
+        var clips = track.clips || [];
+        for (var c = 0; c < clips.length; c++) {
+            var clip = Object.assign({}, clips[c], { trackType: track.type });
+            timeline.totalDuration = Math.max(timeline.totalDuration, clip.start_time + clip.duration);
+
+            if (track.type === 'VIDEO_A' || track.type === 'VIDEO_B') {
+                var asset = getAsset(clip.asset_id);
+                if (!asset) continue;
+                timeline.videoClips.push({
+                    clip: clip,
+                    asset: asset,
+                    rect: clipFitRect(clip, asset, frame),
+                    range: clipSourceRange(clip, asset),
+                    hasAudio: hasAudioStream(asset.path),
+                });
+            } else if (track.type === 'OVERLAY_TEXT' || track.type === 'OVERLAY_IMAGE') {
+                var props = clip.properties || {};
+                var image = track.type === 'OVERLAY_IMAGE' ? getAsset(clip.asset_id) : null;
+                timeline.overlays.push({
+                    clip: clip,
+                    asset: image,
+                    // Images aren't probed on upload; the anchor box needs their aspect
+                    imageSize: image ? (image.width && image.height ? { width: image.width, height: image.height } : probeImageSize(image.path)) : null,
+                    font: track.type === 'OVERLAY_TEXT' ? resolveFont(db, props.fontFamily, props.fontWeight, props.fontStyle) : null,
+                });
+            } else if (track.type === 'AUDIO') {
+                timeline.audioClips.push({ clip: clip, asset: getAsset(clip.asset_id) });
             }
+        }
+    }
+    timeline.videoClips.sort(function (a, b) {
+        return (a.clip.start_time - b.clip.start_time) || (a.clip.trackType === 'VIDEO_B' ? -1 : 1);
+    });
+    return timeline;
+}
+
+/**
+ * Render the whole timeline with one FFmpeg run (see buildTimelineGraph()).
+ */
+async function renderSinglePass(timeline, frame, scale, settings, tempDir, outputPath, job, tracker) {
+    var graph = buildTimelineGraph(timeline, frame, scale, tempDir);
+    var filterScriptPath = path.join(tempDir, 'timeline_filter.txt');
+    fs.writeFileSync(filterScriptPath, graph.lines.join(';\n'));
+    var relFilterPath = path.relative(process.cwd(), filterScriptPath).replace(/\\/g, '/');
+
+    tracker.stage('render');
+    await runFfmpeg(['-y'].concat(graph.inputs).concat([
+        '-filter_complex_script', relFilterPath,
+        '-map', graph.v, '-map', graph.a,
+    ]).concat(buildEncoderArgs(settings)).concat(['-t', String(timeline.totalDuration), outputPath]),
+        tracker.ffmpeg(0, timeline.totalDuration), job);
+}
+
+/**
+ * Segmented fallback for timelines too long for one filter graph: each clip is
+ * rendered to an intermediate file, the files are concatenated and layered,
+ * then overlays, the audio mix and the final encode run as separate passes.
+ */
+async function renderSegmented(timeline, frame, scale, settings, tempDir, outputPath, job, tracker) {
+    // Intermediate steps work on an H.264 file; the requested codec is applied once at the end
+    var workPath = path.join(tempDir, 'work.mp4');
+    var totalDuration = timeline.totalDuration;
+    var videoClips = timeline.videoClips;
+    var segmentFiles = [];
+    var layerClips = [];
+
+    // == Step 1: Render video clips ==
+    tracker.stage('render');
+    var renderTotal = videoClips.reduce(function (sum, e) { return sum + e.clip.duration; }, 0);
+    var renderDone = 0;
+
+    for (var ci = 0; ci < videoClips.length; ci++) {
+        var entry = videoClips[ci];
+        var clip = entry.clip;
+        var asset = entry.asset;
+        var range = entry.range;
+        var clipBase = renderDone;
+        renderDone += clip.duration;
+
+        var isMuted = (clip.properties && clip.properties.muted === true);
+        var clipFrame = Object.assign({}, frame, { rect: entry.rect });
+        var segPath = path.join(tempDir, 'clip_' + ci + '_seg.mov');
+
+        if (range.pieces) {
+            await renderReversibleClip(entry, segPath, path.join(tempDir, 'clip_' + ci + '_tempo.txt'), frame, job,
+                tracker.ffmpeg(clipBase, renderTotal));
+        } else if (range.speed !== null) {
+            await renderClipSegment(asset.path, range.start, range.end, range.speed, segPath, settings.fps, isMuted, buildVolumeFilter(clip, 0), clipFrame, job,
+                tracker.ffmpeg(clipBase, renderTotal));
+        } else {
+            // Speed ramp: one encode driven by the continuous time remap
+            await renderSpeedRampClip(asset.path, range.start, range.end, clip.speedKeyframes, clip.duration, segPath,
+                path.join(tempDir, 'clip_' + ci + '_tempo.txt'), settings.fps, isMuted, buildVolumeFilter(clip, 0), clipFrame, job,
+                tracker.ffmpeg(clipBase, renderTotal));
+        }
+        var clipSeg = { path: segPath, start: clip.start_time, duration: clip.duration };
+
+        if (clip.trackType === 'VIDEO_B') {
+            // Layered over VIDEO_A in step 2; its transition blends with the layer below
+            layerClips.push({ path: segPath, clip: clip, rect: entry.rect });
+        } else if (buildTransitionGraph(clip.properties, clip.duration, 0, frame.width)) {
+            // Transitions are clip-local, so render them once over the whole clip
+            var transPath = path.join(tempDir, 'clip_' + ci + '_trans.mov');
+            await applyClipTransition(segPath, transPath, clip.properties, clip.duration, frame, job);
+            segmentFiles.push({ path: transPath, start: clip.start_time, duration: clip.duration });
+        } else {
+            segmentFiles.push(clipSeg);
+        }
+        tracker.update(renderDone / renderTotal);
+    }
+
+    // == Step 2: Concat VIDEO_A, then layer VIDEO_B on top ==
+    tracker.stage('compose');
+    if (segmentFiles.length === 0) {
+        await runFfmpeg([
+            '-y', '-f', 'lavfi', '-i', 'color=c=' + frame.background + ':s=' + frame.width + 'x' + frame.height + ':d=' + totalDuration + ':r=' + frame.fps,
+            '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=stereo',
+            '-c:v', 'libx264', '-c:a', 'aac', '-shortest', '-pix_fmt', 'yuv420p', workPath
+        ], null, job);
+    } else {
+        segmentFiles = await fillTimelineGaps(segmentFiles, totalDuration, tempDir, frame, job);
+        await concatSegments(segmentFiles, path.join(tempDir, 'concat.txt'), workPath, 'aac', job);
+    }
 
+    if (layerClips.length > 0) {
+        var withLayersPath = path.join(tempDir, 'with_layers.mov');
+        await compositeLayers(workPath, layerClips, withLayersPath, path.join(tempDir, 'layer_filter.txt'), frame, job,
+            tracker.ffmpeg(0, totalDuration));
+        await runFfmpeg(['-y', '-i', withLayersPath, '-c:v', 'copy', '-c:a', 'aac', workPath], null, job);
+    }
+
+    // == Step 3: Overlays ==
+    tracker.stage('overlays');
+    if (timeline.overlays.length > 0) {
+        var withOvPath = path.join(tempDir, 'with_ov.mp4');
+        var inputs = ['-i', workPath];
+        var overlays = buildOverlayFilters(timeline.overlays, '[0:v]', inputs, 1, totalDuration, frame, scale);
+
+        if (overlays.lines.length > 0) {
             var filterScriptPath = path.join(tempDir, 'overlay_filter.txt');
-            fs.writeFileSync(filterScriptPath, filterLines.join(';\n'));
+            fs.writeFileSync(filterScriptPath, overlays.lines.join(';\n'));
 
             // KEY FIX: Use relative path to avoid drive letter colon issues in Windows FFmpeg
             var relFilterPath = path.relative(process.cwd(), filterScriptPath).replace(/\\/g, '/');
 
-            var ffArgs = ['-y'].concat(inputs).concat([
+            await runFfmpeg(['-y'].concat(inputs).concat([
                 '-filter_complex_script', relFilterPath,
+                '-map', overlays.v, '-map', '0:a?',
                 '-c:v', 'libx264', '-preset', 'fast', '-pix_fmt', 'yuv420p', '-c:a', 'copy', withOvPath
-            ]);
-            await runFfmpeg(ffArgs);
-            fs.copyFileSync(withOvPath, outputPath);
+            ]), tracker.ffmpeg(0, totalDuration), job);
+            fs.copyFileSync(withOvPath, workPath);
         }
+    }
 
-        if (onProgress) onProgress(80);
+    // == Step 4: Multi-Track Audio Mixing ==
+    tracker.stage('audio');
+    var audInputs = ['-i', workPath];
+    var mix = buildAudioMixFilters(timeline.audioClips, '[0:a]', audInputs, 1, tempDir);
+    if (mix.lines.length > 0) {
+        var withAudPath = path.join(tempDir, 'with_aud.mp4');
+        await runFfmpeg(['-y'].concat(audInputs).concat([
+            '-filter_complex', mix.lines.join(';'),
+            '-map', '0:v', '-map', mix.a,
+            '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-shortest', withAudPath
+        ]), tracker.ffmpeg(0, totalDuration), job);
+        fs.copyFileSync(withAudPath, workPath);
+    }
 
-        // == Step 4: Multi-Track Audio Mixing ==
-        var audioTracks = projectData.tracks.filter(function (t) { return t.type === 'AUDIO'; });
-        var audioClips = [];
-        for (var t = 0; t < audioTracks.length; t++) {
-            var clips = audioTracks[t].clips || [];
-            for (var c = 0; c < clips.length; c++) audioClips.push(clips[c]);
-        }
+    // == Step 5: Final encode with the requested codec/container ==
+    tracker.stage('encode');
+    await runFfmpeg(['-y', '-i', workPath].concat(buildEncoderArgs(settings)).concat([outputPath]),
+        tracker.ffmpeg(0, totalDuration), job);
+}
 
-        if (audioClips.length > 0) {
-            var withAudPath = path.join(tempDir, 'with_aud.mp4');
-            var audInputs = [];
-            var audFilters = [];
-            var streamIdx = 1;
-
-            for (var i = 0; i < audioClips.length; i++) {
-                var clip = audioClips[i];
-                var asset = db.prepare('SELECT * FROM assets WHERE id = ?').get(clip.asset_id);
-                if (!asset || (asset.type !== 'audio' && asset.type !== 'video')) continue;
-
-                var si = streamIdx++;
-                audInputs.push('-i', asset.path);
-                var delay = Math.round(clip.start_time * 1000);
-                var vol = (clip.properties && clip.properties.volume != null) ? clip.properties.volume : 1;
-                var muted = (clip.properties && clip.properties.muted === true);
-                var volumeVal = muted ? 0 : vol;
-
-                audFilters.push(
-                    '[' + si + ':a]atrim=start=' + clip.in_point + ':duration=' + clip.duration +
-                    ',asetpts=PTS-STARTPTS,adelay=' + delay + '|' + delay +
-                    ',volume=' + volumeVal + '[a' + i + ']'
-                );
-            }
+/**
+ * Main export pipeline. Timelines up to SINGLE_PASS_MAX_DURATION seconds are
+ * rendered by one filter graph and encoded once; longer ones fall back to the
+ * segmented pipeline, which keeps each FFmpeg run small.
+ * `onProgress({ progress, stage, eta })` receives the overall percentage, the
+ * current stage name and the estimated seconds remaining.
+ */
+async function exportProject(projectData, db, jobId, onProgress, settings) {
+    var tempDir = path.join(TEMP, jobId);
+    fs.mkdirSync(tempDir, { recursive: true });
+    var job = { id: jobId, cancelled: false, proc: null };
+    activeJobs.set(jobId, job);
+    // Overlay keyframes are authored in project canvas pixels
+    var canvas = projectCanvas(projectData);
+    settings = settings || normalizeExportSettings(null, canvas);
 
-            if (audFilters.length > 0) {
-                var mixStr = audFilters.map(function (_, i) { return '[a' + i + ']'; }).join('') +
-                    'amix=inputs=' + audFilters.length + ':duration=longest[mixed_bg]';
-                var finalFilter = audFilters.join(';') + ';' + mixStr +
-                    ';[0:a]volume=1[maina];[maina][mixed_bg]amix=inputs=2:duration=first[final_a]';
-
-                await runFfmpeg(['-y', '-i', outputPath].concat(audInputs).concat([
-                    '-filter_complex', finalFilter,
-                    '-map', '0:v', '-map', '[final_a]',
-                    '-c:v', 'copy', '-c:a', 'aac', '-b:a', '192k', '-shortest', withAudPath
-                ]));
-                fs.copyFileSync(withAudPath, outputPath);
-            }
-        }
+    try {
+        var outputPath = path.join(EXPORTS, jobId + '.' + settings.container);
+        var scale = { kx: settings.width / canvas.width, ky: settings.height / canvas.height };
+        var frame = { width: settings.width, height: settings.height, fps: settings.fps, background: ffmpegColor(canvas.backgroundColor) };
+
+        var timeline = collectTimeline(projectData, db, frame);
+        if (timeline.totalDuration <= 0) throw new Error('No content on timeline');
+
+        var singlePass = timeline.totalDuration <= SINGLE_PASS_MAX_DURATION;
+        var tracker = createProgressTracker(onProgress, singlePass ? SINGLE_PASS_STAGES : EXPORT_STAGES);
+        var render = singlePass ? renderSinglePass : renderSegmented;
+        await render(timeline, frame, scale, settings, tempDir, outputPath, job, tracker);
 
-        if (onProgress) onProgress(100);
+        tracker.done();
         try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
         return outputPath;
     } catch (err) {
-        console.error('[ExportService] Fatal Error:', err);
+        if (err.code === 'CANCELLED') {
+            console.log('[ExportService] Job ' + jobId + ' cancelled');
+        } else {
+            console.error('[ExportService] Fatal Error:', err);
+        }
         try { fs.rmSync(tempDir, { recursive: true, force: true }); } catch (e) { }
         throw err;
+    } finally {
+        activeJobs.delete(jobId);
     }
 }
 
-module.exports = { exportProject, renderClipSegment, runFfmpeg, sanitize };
+/**
+ * Cancel a running export: kills its current FFmpeg process and makes every
+ * later step fail with an error whose code is 'CANCELLED'. exportProject()
+ * then removes the job's temp directory; the queue discards any partial
+ * output with discardJobFiles(). Returns false if the job is not rendering
+ * in this process.
+ */
+function cancelExport(jobId) {
+    var job = activeJobs.get(jobId);
+    if (!job) return false;
+    job.cancelled = true;
+    if (job.proc) job.proc.kill('SIGKILL');
+    return true;
+}
+
+/**
+ * Remove everything an unfinished job may have left behind: its temp
+ * directory and any partially written output file.
+ */
+function discardJobFiles(jobId) {
+    try { fs.rmSync(path.join(TEMP, jobId), { recursive: true, force: true }); } catch (e) { }
+    try {
+        fs.readdirSync(EXPORTS)
+            .filter(function (f) { return f.indexOf(jobId + '.') === 0; })
+            .forEach(function (f) { fs.rmSync(path.join(EXPORTS, f), { force: true }); });
+    } catch (e) { }
+}
+
+module.exports = { exportProject, cancelExport, EXPORT_STAGES, discardJobFiles, buildTimelineGraph, collectTimeline, renderClipSegment, runFfmpeg, sanitize, buildAnimExpr, buildSpeedRampPts, buildSourcePiecePts };
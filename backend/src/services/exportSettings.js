@@ -0,0 +1,122 @@
+// ============================================================
+// Export Settings – presets, validation, FFmpeg encoder args
+// ============================================================
+
+// Reference 16:9 sizes; other canvas aspects keep the same short side
+const RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '4k': { width: 3840, height: 2160 },
+};
+
+const FRAME_RATES = [24, 25, 30, 60];
+
+const CODECS = {
+    h264: { encoder: 'libx264', pixFmt: 'yuv420p', containers: ['mp4', 'mov'], crf: [0, 51] },
+    h265: { encoder: 'libx265', pixFmt: 'yuv420p', containers: ['mp4', 'mov'], crf: [0, 51], tag: 'hvc1' },
+    vp9: { encoder: 'libvpx-vp9', pixFmt: 'yuv420p', containers: ['webm', 'mp4'], crf: [0, 63] },
+    prores: { encoder: 'prores_ks', pixFmt: 'yuv422p10le', containers: ['mov'], profile: '3' },
+};
+
+const AUDIO_CODECS = { mp4: 'aac', mov: 'aac', webm: 'libopus' };
+
+const DEFAULT_SETTINGS = {
+    resolution: '720p',
+    fps: 30,
+    codec: 'h264',
+    rateControl: 'crf',
+    crf: 23,
+    bitrate: null,
+    container: 'mp4',
+};
+
+/**
+ * Output frame size for a resolution preset on a project canvas: the canvas
+ * aspect is kept and its short side matches the preset's (e.g. 1080p on a
+ * 9:16 canvas is 1080x1920). Dimensions are rounded to even for the encoders.
+ */
+function resolveOutputSize(res, canvas) {
+    if (!canvas) return { width: res.width, height: res.height };
+    const k = Math.min(res.width, res.height) / Math.min(canvas.width, canvas.height);
+    return {
+        width: Math.round(canvas.width * k / 2) * 2,
+        height: Math.round(canvas.height * k / 2) * 2,
+    };
+}
+
+/**
+ * Validate user-supplied export settings and fill in defaults.
+ * `canvas` is the project canvas ({ width, height }) the output size follows.
+ * Throws an Error with a user-facing message on invalid input.
+ */
+function normalizeExportSettings(input, canvas) {
+    const s = { ...DEFAULT_SETTINGS, ...(input || {}) };
+
+    const res = RESOLUTIONS[s.resolution];
+    if (!res) throw new Error(`Unsupported resolution: ${s.resolution}`);
+    const size = resolveOutputSize(res, canvas);
+
+    s.fps = Number(s.fps);
+    if (!FRAME_RATES.includes(s.fps)) throw new Error(`Unsupported frame rate: ${s.fps}`);
+
+    const codec = CODECS[s.codec];
+    if (!codec) throw new Error(`Unsupported codec: ${s.codec}`);
+    if (!codec.containers.includes(s.container)) {
+        throw new Error(`Codec ${s.codec} cannot be stored in .${s.container} (use ${codec.containers.join(' or ')})`);
+    }
+
+    if (s.rateControl === 'crf') {
+        s.bitrate = null;
+        if (codec.crf) {
+            s.crf = Number(s.crf);
+            if (!Number.isInteger(s.crf) || s.crf < codec.crf[0] || s.crf > codec.crf[1]) {
+                throw new Error(`CRF for ${s.codec} must be an integer between ${codec.crf[0]} and ${codec.crf[1]}`);
+            }
+        } else {
+            s.crf = null;
+        }
+    } else if (s.rateControl === 'bitrate') {
+        s.crf = null;
+        s.bitrate = Number(s.bitrate);
+        if (!Number.isFinite(s.bitrate) || s.bitrate <= 0) throw new Error('Bitrate must be a positive number (kbps)');
+    } else {
+        throw new Error(`Unsupported rate control: ${s.rateControl}`);
+    }
+
+    return {
+        resolution: s.resolution,
+        width: size.width,
+        height: size.height,
+        fps: s.fps,
+        codec: s.codec,
+        rateControl: s.rateControl,
+        crf: s.crf,
+        bitrate: s.bitrate,
+        container: s.container,
+    };
+}
+
+/**
+ * FFmpeg output args for the final encode of a normalized settings object.
+ */
+function buildEncoderArgs(settings) {
+    const codec = CODECS[settings.codec];
+    const args = ['-c:v', codec.encoder, '-pix_fmt', codec.pixFmt, '-r', String(settings.fps)];
+
+    if (codec.profile) args.push('-profile:v', codec.profile);
+    if (codec.tag) args.push('-tag:v', codec.tag);
+
+    if (settings.rateControl === 'bitrate') {
+        args.push('-b:v', settings.bitrate + 'k');
+    } else if (settings.crf != null) {
+        args.push('-crf', String(settings.crf));
+        // libvpx-vp9 only honours CRF in constant-quality mode
+        if (settings.codec === 'vp9') args.push('-b:v', '0');
+    }
+
+    args.push('-c:a', AUDIO_CODECS[settings.container], '-b:a', '192k');
+    if (settings.container !== 'webm') args.push('-movflags', '+faststart');
+    return args;
+}
+
+module.exports = { normalizeExportSettings, buildEncoderArgs, DEFAULT_SETTINGS, RESOLUTIONS, FRAME_RATES, CODECS };
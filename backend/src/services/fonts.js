@@ -0,0 +1,265 @@
+// ============================================================
+// Font Registry – bundled + uploaded TTF/OTF fonts for text overlays
+// ============================================================
+// Bundled fonts ship with the server (backend/fonts, plus FONT_DIRS); uploaded
+// fonts are stored under STORAGE_PATH/fonts and recorded in the fonts table.
+// Each face is described by the family/weight/style read from the font file
+// itself, and text overlays resolve to a face with matchFontFace() – the same
+// function the preview uses, so both render with the same file.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { matchFontFace } = require('../engine/timeEngine');
+
+const STORAGE = path.resolve(process.env.STORAGE_PATH || './storage');
+const FONTS = path.join(STORAGE, 'fonts');
+fs.mkdirSync(FONTS, { recursive: true });
+
+const BUNDLED_DIRS = [path.join(__dirname, '..', '..', 'fonts')]
+    .concat((process.env.FONT_DIRS || '').split(path.delimiter).filter(Boolean));
+
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// Name table IDs: typographic family/subfamily win over the legacy ones
+const NAME_FAMILY = 1;
+const NAME_SUBFAMILY = 2;
+const NAME_TYPO_FAMILY = 16;
+const NAME_TYPO_SUBFAMILY = 17;
+
+function readAt(fd, offset, length) {
+    const buf = Buffer.alloc(length);
+    const read = fs.readSync(fd, buf, 0, length, offset);
+    if (read < length) throw new Error('Font file is truncated');
+    return buf;
+}
+
+function decodeName(buf, platformId) {
+    // Windows and Unicode names are UTF-16BE, Macintosh Roman is close enough to latin1
+    if (platformId === 1) return buf.toString('latin1');
+    const swapped = Buffer.from(buf);
+    swapped.swap16();
+    return swapped.toString('utf16le');
+}
+
+// How much a name record is preferred: Windows US English, then any
+// Windows/Unicode record, then Macintosh English
+function nameScore(platformId, languageId) {
+    if (platformId === 3) return languageId === 0x409 ? 3 : 2;
+    if (platformId === 0) return 2;
+    if (platformId === 1 && languageId === 0) return 1;
+    return 0;
+}
+
+function readNames(table) {
+    const count = table.readUInt16BE(2);
+    const stringOffset = table.readUInt16BE(4);
+    const names = {};
+    const scores = {};
+    for (let i = 0; i < count; i++) {
+        const rec = 6 + i * 12;
+        const platformId = table.readUInt16BE(rec);
+        const nameId = table.readUInt16BE(rec + 6);
+        const length = table.readUInt16BE(rec + 8);
+        const offset = stringOffset + table.readUInt16BE(rec + 10);
+        const score = nameScore(platformId, table.readUInt16BE(rec + 4));
+        if (score === 0 || score <= (scores[nameId] || 0) || offset + length > table.length) continue;
+        names[nameId] = decodeName(table.subarray(offset, offset + length), platformId);
+        scores[nameId] = score;
+    }
+    return names;
+}
+
+// Table directory of an sfnt file: tag -> { offset, length }
+function readTables(fd) {
+    const header = readAt(fd, 0, 12);
+    const version = header.readUInt32BE(0);
+    if (version !== 0x00010000 && version !== 0x4f54544f && version !== 0x74727565) {
+        throw new Error('Not a TrueType/OpenType font');
+    }
+    const numTables = header.readUInt16BE(4);
+    const records = readAt(fd, 12, numTables * 16);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const tag = records.toString('latin1', i * 16, i * 16 + 4);
+        tables[tag] = { offset: records.readUInt32BE(i * 16 + 8), length: records.readUInt32BE(i * 16 + 12) };
+    }
+    return tables;
+}
+
+/**
+ * Read the family, weight and style of a TrueType/OpenType file from its
+ * name and OS/2 tables. Throws if the file is not a single-face sfnt font.
+ */
+function readFontInfo(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const tables = readTables(fd);
+        if (!tables.name) throw new Error('Font has no name table');
+
+        const names = readNames(readAt(fd, tables.name.offset, tables.name.length));
+        const family = (names[NAME_TYPO_FAMILY] || names[NAME_FAMILY] || '').trim();
+        if (!family) throw new Error('Font has no family name');
+        const subfamily = (names[NAME_TYPO_SUBFAMILY] || names[NAME_SUBFAMILY] || '').toLowerCase();
+
+        let weight = /bold/.test(subfamily) ? 700 : 400;
+        let italic = /italic|oblique/.test(subfamily);
+        if (tables['OS/2'] && tables['OS/2'].length >= 64) {
+            const os2 = readAt(fd, tables['OS/2'].offset, 64);
+            weight = os2.readUInt16BE(4) || weight;
+            italic = italic || (os2.readUInt16BE(62) & 1) === 1;
+        }
+        return { family, weight, style: italic ? 'italic' : 'normal' };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Character -> glyph lookup from a cmap subtable (format 4 or 12)
+function readCharMap(cmap) {
+    const count = cmap.readUInt16BE(2);
+    let best = null;
+    for (let i = 0; i < count; i++) {
+        const platformId = cmap.readUInt16BE(4 + i * 8);
+        const encodingId = cmap.readUInt16BE(6 + i * 8);
+        const offset = cmap.readUInt32BE(8 + i * 8);
+        if (offset + 4 > cmap.length) continue;
+        const format = cmap.readUInt16BE(offset);
+        // Full Unicode (format 12) beats the BMP-only format 4
+        const score = format === 12 && (platformId === 0 || encodingId === 10) ? 2
+            : format === 4 && (platformId === 0 || encodingId === 1) ? 1 : 0;
+        if (score > (best ? best.score : 0)) best = { offset, format, score };
+    }
+    if (!best) return () => 0;
+
+    const t = cmap.subarray(best.offset);
+    if (best.format === 12) {
+        const groups = t.readUInt32BE(12);
+        return (code) => {
+            for (let g = 0; g < groups; g++) {
+                const at = 16 + g * 12;
+                if (code >= t.readUInt32BE(at) && code <= t.readUInt32BE(at + 4)) {
+                    return t.readUInt32BE(at + 8) + code - t.readUInt32BE(at);
+                }
+            }
+            return 0;
+        };
+    }
+    const segCount = t.readUInt16BE(6) / 2;
+    const ends = 14, starts = ends + segCount * 2 + 2, deltas = starts + segCount * 2, ranges = deltas + segCount * 2;
+    return (code) => {
+        for (let s = 0; s < segCount; s++) {
+            if (code > t.readUInt16BE(ends + s * 2)) continue;
+            const start = t.readUInt16BE(starts + s * 2);
+            if (code < start) return 0;
+            const delta = t.readInt16BE(deltas + s * 2);
+            const rangeOffset = t.readUInt16BE(ranges + s * 2);
+            if (rangeOffset === 0) return (code + delta) & 0xffff;
+            const at = ranges + s * 2 + rangeOffset + (code - start) * 2;
+            const glyph = at + 2 <= t.length ? t.readUInt16BE(at) : 0;
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+// Horizontal metrics per font file; fonts don't change while the server runs
+const metricsCache = new Map();
+
+/**
+ * Advance widths of a TrueType/OpenType file: { unitsPerEm, advance(codePoint) }
+ * in font units. Text layout uses them to wrap and align lines the way the
+ * preview's canvas does (kerning is not applied).
+ */
+function readFontMetrics(filePath) {
+    if (metricsCache.has(filePath)) return metricsCache.get(filePath);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const tables = readTables(fd);
+        if (!tables.head || !tables.hhea || !tables.hmtx || !tables.cmap) throw new Error('Font has no horizontal metrics');
+        const unitsPerEm = readAt(fd, tables.head.offset, 54).readUInt16BE(18);
+        const numMetrics = readAt(fd, tables.hhea.offset, 36).readUInt16BE(34);
+        const hmtx = readAt(fd, tables.hmtx.offset, numMetrics * 4);
+        const glyphOf = readCharMap(readAt(fd, tables.cmap.offset, tables.cmap.length));
+        const metrics = {
+            unitsPerEm,
+            advance: (code) => hmtx.readUInt16BE(Math.min(glyphOf(code), numMetrics - 1) * 4),
+        };
+        metricsCache.set(filePath, metrics);
+        return metrics;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * measure(str) for layoutTextLines(): the advance width of a string set in
+ * `face` at `fontSize` pixels. Without a readable face (FFmpeg's default
+ * font) widths are estimated at an average character width.
+ */
+function createTextMeasure(face, fontSize) {
+    let metrics = null;
+    if (face) {
+        try { metrics = readFontMetrics(face.path); } catch (e) { console.warn(`[Fonts] No metrics for ${face.path}: ${e.message}`); }
+    }
+    if (!metrics) return (str) => Array.from(str).length * fontSize * 0.55;
+    const scale = fontSize / metrics.unitsPerEm;
+    return (str) => {
+        let units = 0;
+        for (const ch of str) units += metrics.advance(ch.codePointAt(0));
+        return units * scale;
+    };
+}
+
+function isFontFile(filePath) {
+    return FONT_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function findFontFiles(dir) {
+    let entries;
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return []; }
+    let files = [];
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files = files.concat(findFontFiles(full));
+        else if (isFontFile(full)) files.push(full);
+    }
+    return files;
+}
+
+// Bundled fonts don't change while the server runs; scan them once
+let bundledFaces = null;
+
+function getBundledFaces() {
+    if (bundledFaces) return bundledFaces;
+    bundledFaces = [];
+    for (const dir of BUNDLED_DIRS) {
+        for (const file of findFontFiles(dir).sort()) {
+            try {
+                const id = 'bundled-' + crypto.createHash('sha1').update(file).digest('hex').slice(0, 12);
+                bundledFaces.push({ id, ...readFontInfo(file), source: 'bundled', path: file });
+            } catch (e) {
+                console.warn(`[Fonts] Skipping ${file}: ${e.message}`);
+            }
+        }
+    }
+    return bundledFaces;
+}
+
+/**
+ * Every available face, bundled first.
+ */
+function listFonts(db) {
+    const uploaded = db.prepare('SELECT * FROM fonts ORDER BY family, weight').all()
+        .map(f => ({ id: f.id, family: f.family, weight: f.weight, style: f.style, source: 'uploaded', path: f.path }));
+    return getBundledFaces().concat(uploaded);
+}
+
+/**
+ * Face a text overlay with these properties renders with, or null when no
+ * fonts are available at all.
+ */
+function resolveFont(db, family, weight, style) {
+    return matchFontFace(listFonts(db), family, weight, style);
+}
+
+module.exports = { readFontInfo, readFontMetrics, createTextMeasure, isFontFile, listFonts, resolveFont, FONTS };
@@ -17,6 +17,8 @@ testDb.pragma('foreign_keys = ON');
 testDb.exec(`
   CREATE TABLE IF NOT EXISTS projects (
     id TEXT PRIMARY KEY, name TEXT NOT NULL,
+    canvas_width INTEGER NOT NULL DEFAULT 1280, canvas_height INTEGER NOT NULL DEFAULT 720,
+    background_color TEXT NOT NULL DEFAULT '#000000',
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at TEXT NOT NULL DEFAULT (datetime('now'))
   );
@@ -36,20 +38,30 @@ testDb.exec(`
     created_at TEXT NOT NULL DEFAULT (datetime('now'))
   );
   CREATE TABLE IF NOT EXISTS speed_keyframes (
-    id TEXT PRIMARY KEY, clip_id TEXT NOT NULL, time REAL NOT NULL, speed REAL DEFAULT 1.0
+    id TEXT PRIMARY KEY, clip_id TEXT NOT NULL, time REAL NOT NULL, speed REAL DEFAULT 1.0, easing TEXT NOT NULL DEFAULT 'linear'
   );
   CREATE TABLE IF NOT EXISTS overlay_keyframes (
     id TEXT PRIMARY KEY, clip_id TEXT NOT NULL, time REAL NOT NULL,
     x REAL DEFAULT 0, y REAL DEFAULT 0, scale_x REAL DEFAULT 1, scale_y REAL DEFAULT 1,
-    rotation REAL DEFAULT 0, opacity REAL DEFAULT 1
+    rotation REAL DEFAULT 0, opacity REAL DEFAULT 1, easing TEXT NOT NULL DEFAULT 'linear',
+    anchor_x REAL, anchor_y REAL
+  );
+  CREATE TABLE IF NOT EXISTS property_keyframes (
+    id TEXT PRIMARY KEY, clip_id TEXT NOT NULL, property TEXT NOT NULL, time REAL NOT NULL,
+    value TEXT NOT NULL, easing TEXT NOT NULL DEFAULT 'linear'
   );
   CREATE TABLE IF NOT EXISTS export_jobs (
     id TEXT PRIMARY KEY, project_id TEXT NOT NULL, request_id TEXT UNIQUE,
     status TEXT DEFAULT 'QUEUED', progress REAL DEFAULT 0,
-    output_path TEXT, error TEXT,
+    stage TEXT, eta REAL, output_path TEXT, error TEXT, settings TEXT, attempts INTEGER NOT NULL DEFAULT 0,
     created_at TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at TEXT NOT NULL DEFAULT (datetime('now'))
   );
+  CREATE TABLE IF NOT EXISTS fonts (
+    id TEXT PRIMARY KEY, family TEXT NOT NULL, weight INTEGER NOT NULL DEFAULT 400,
+    style TEXT NOT NULL DEFAULT 'normal', original_name TEXT NOT NULL, path TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+  );
 `);
 
 const { v4: uuid } = require('uuid');
@@ -117,7 +129,7 @@ function testProjectSaveLoad() {
 
     // Add speed keyframes
     const kf1Id = uuid(), kf2Id = uuid();
-    testDb.prepare('INSERT INTO speed_keyframes (id, clip_id, time, speed) VALUES (?, ?, ?, ?)').run(kf1Id, clipId, 0, 1.0);
+    testDb.prepare('INSERT INTO speed_keyframes (id, clip_id, time, speed, easing) VALUES (?, ?, ?, ?, ?)').run(kf1Id, clipId, 0, 1.0, 'cubic-bezier(0.42,0,0.58,1)');
     testDb.prepare('INSERT INTO speed_keyframes (id, clip_id, time, speed) VALUES (?, ?, ?, ?)').run(kf2Id, clipId, 3.0, 2.5);
 
     // Create overlay track + clip + keyframes
@@ -132,9 +144,9 @@ function testProjectSaveLoad() {
 
     const okfId = uuid();
     testDb.prepare(`
-    INSERT INTO overlay_keyframes (id, clip_id, time, x, y, scale_x, scale_y, rotation, opacity)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(okfId, overlayClipId, 0, 10, 20, 1.5, 1.5, 30, 0.8);
+    INSERT INTO overlay_keyframes (id, clip_id, time, x, y, scale_x, scale_y, rotation, opacity, easing, anchor_x, anchor_y)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(okfId, overlayClipId, 0, 10, 20, 1.5, 1.5, 30, 0.8, 'easeInOut', 0.5, 1);
 
     // ── Now load everything back and verify ──────────────────
     const project = testDb.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
@@ -160,26 +172,841 @@ function testProjectSaveLoad() {
     const speedKfs = testDb.prepare('SELECT * FROM speed_keyframes WHERE clip_id = ? ORDER BY time').all(clipId);
     if (speedKfs.length !== 2) throw new Error('Expected 2 speed keyframes');
     if (speedKfs[0].speed !== 1.0 || speedKfs[1].speed !== 2.5) throw new Error('Speed keyframe values mismatch');
+    if (speedKfs[0].easing !== 'cubic-bezier(0.42,0,0.58,1)' || speedKfs[1].easing !== 'linear') throw new Error('Speed keyframe easing mismatch');
 
     // Overlay keyframes
     const overlayKfs = testDb.prepare('SELECT * FROM overlay_keyframes WHERE clip_id = ?').all(overlayClipId);
     if (overlayKfs.length !== 1) throw new Error('Expected 1 overlay keyframe');
     if (overlayKfs[0].x !== 10 || overlayKfs[0].rotation !== 30) throw new Error('Overlay keyframe values mismatch');
+    if (overlayKfs[0].easing !== 'easeInOut') throw new Error('Overlay keyframe easing mismatch');
+    if (overlayKfs[0].anchor_x !== 0.5 || overlayKfs[0].anchor_y !== 1) throw new Error('Overlay keyframe anchor mismatch');
 
     console.log('  ✓ Test 2: Project save/load integrity PASSED');
 }
 
+// ── Test 3: Export Settings Validation ───────────────────────
+function testExportSettings() {
+    const { normalizeExportSettings, buildEncoderArgs } = require('../services/exportSettings');
+
+    // Defaults
+    const def = normalizeExportSettings();
+    if (def.width !== 1280 || def.height !== 720 || def.fps !== 30) throw new Error('Default resolution/fps mismatch');
+    if (def.codec !== 'h264' || def.crf !== 23 || def.container !== 'mp4') throw new Error('Default codec settings mismatch');
+
+    // Explicit settings round-trip through the job row
+    const settings = normalizeExportSettings({ resolution: '4k', fps: '60', codec: 'vp9', container: 'webm', rateControl: 'bitrate', bitrate: 20000 });
+    if (settings.width !== 3840 || settings.fps !== 60 || settings.crf !== null) throw new Error('Normalized settings mismatch');
+
+    // Output size keeps the project canvas aspect; the preset sets the short side
+    const vertical = normalizeExportSettings({ resolution: '1080p' }, { width: 720, height: 1280 });
+    if (vertical.width !== 1080 || vertical.height !== 1920) throw new Error(`Expected 1080x1920, got ${vertical.width}x${vertical.height}`);
+    const square = normalizeExportSettings({ resolution: '720p' }, { width: 1080, height: 1080 });
+    if (square.width !== 720 || square.height !== 720) throw new Error('Square canvas output size mismatch');
+
+    const jobId = uuid();
+    testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id, settings) VALUES (?, ?, ?, ?)`)
+        .run(jobId, uuid(), 'settings-request', JSON.stringify(settings));
+    const stored = JSON.parse(testDb.prepare('SELECT settings FROM export_jobs WHERE id = ?').get(jobId).settings);
+    if (stored.codec !== 'vp9' || stored.bitrate !== 20000) throw new Error('Stored settings mismatch');
+
+    const args = buildEncoderArgs(stored);
+    if (args[args.indexOf('-c:v') + 1] !== 'libvpx-vp9') throw new Error('Encoder arg mismatch');
+    if (args[args.indexOf('-b:v') + 1] !== '20000k') throw new Error('Bitrate arg mismatch');
+    if (args[args.indexOf('-c:a') + 1] !== 'libopus') throw new Error('WebM should use Opus audio');
+
+    // Invalid input is rejected
+    const invalid = [
+        { resolution: '8k' },
+        { fps: 29.97 },
+        { codec: 'prores', container: 'webm' },
+        { codec: 'h264', crf: 60 },
+        { rateControl: 'bitrate', bitrate: 0 },
+    ];
+    for (const input of invalid) {
+        let threw = false;
+        try { normalizeExportSettings(input); } catch (e) { threw = true; }
+        if (!threw) throw new Error(`Should reject ${JSON.stringify(input)}`);
+    }
+
+    console.log('  ✓ Test 3: Export settings validation PASSED');
+}
+
+// ── Test 4: Project Canvas ───────────────────────────────────
+function testProjectCanvas() {
+    const { normalizeCanvas, projectCanvas } = require('../services/canvas');
+
+    // Defaults from the schema
+    const projectId = uuid();
+    testDb.prepare('INSERT INTO projects (id, name) VALUES (?, ?)').run(projectId, 'Canvas Test');
+    const row = testDb.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+    const def = projectCanvas(row);
+    if (def.width !== 1280 || def.height !== 720 || def.backgroundColor !== '#000000') throw new Error('Default canvas mismatch');
+
+    // Partial update keeps the other fields
+    const vertical = normalizeCanvas({ canvas_width: 1080, canvas_height: 1920 }, def);
+    if (vertical.width !== 1080 || vertical.height !== 1920 || vertical.backgroundColor !== '#000000') throw new Error('Canvas update mismatch');
+    testDb.prepare('UPDATE projects SET canvas_width = ?, canvas_height = ?, background_color = ? WHERE id = ?')
+        .run(vertical.width, vertical.height, '#112233', projectId);
+    const saved = projectCanvas(testDb.prepare('SELECT * FROM projects WHERE id = ?').get(projectId));
+    if (saved.height !== 1920 || saved.backgroundColor !== '#112233') throw new Error('Saved canvas mismatch');
+
+    // Invalid input is rejected
+    const invalid = [{ canvas_width: 0 }, { canvas_height: 1080.5 }, { canvas_width: 10000 }, { background_color: 'red' }];
+    for (const input of invalid) {
+        let threw = false;
+        try { normalizeCanvas(input, def); } catch (e) { threw = true; }
+        if (!threw) throw new Error(`Should reject ${JSON.stringify(input)}`);
+    }
+
+    console.log('  ✓ Test 4: Project canvas PASSED');
+}
+
+// ── Test 5: Export Queue ─────────────────────────────────────
+async function testExportQueue() {
+    const { createExportQueue } = require('../services/exportQueue');
+    const { subscribeJob } = require('../services/exportEvents');
+    const projectId = uuid();
+    testDb.prepare('INSERT INTO projects (id, name) VALUES (?, ?)').run(projectId, 'Queue Test');
+    // Earlier tests leave QUEUED rows behind; settle them so only this test's jobs run
+    testDb.prepare(`UPDATE export_jobs SET status = 'COMPLETE' WHERE status = 'QUEUED'`).run();
+
+    // FIFO order (same created_at second, so insertion order breaks the tie)
+    const ids = ['q1', 'q2', 'q3', 'q4'];
+    for (const id of ids) {
+        testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id) VALUES (?, ?, ?)`).run(id, projectId, 'req-' + id);
+    }
+    // Cancelled while still queued: never claimed
+    testDb.prepare(`UPDATE export_jobs SET status = 'CANCELLED' WHERE id = 'q3'`).run();
+
+    // Progress streams are notified when a job is claimed
+    const q1Updates = [];
+    const unsubscribe = subscribeJob('q1', () => {
+        q1Updates.push(testDb.prepare('SELECT status FROM export_jobs WHERE id = ?').get('q1').status);
+    });
+
+    const started = [];
+    let concurrent = 0, maxConcurrent = 0;
+    const queue = createExportQueue(testDb, {
+        workers: 2,
+        runJob: async (job) => {
+            started.push(job.id);
+            maxConcurrent = Math.max(maxConcurrent, ++concurrent);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            concurrent--;
+            testDb.prepare(`UPDATE export_jobs SET status = 'COMPLETE' WHERE id = ?`).run(job.id);
+        },
+    });
+    queue.notify();
+    if (queue.running !== 2) throw new Error(`Expected 2 running jobs, got ${queue.running}`);
+    while (queue.running > 0) await queue.idle();
+
+    if (started.join(',') !== 'q1,q2,q4') throw new Error(`Jobs ran out of order: ${started.join(',')}`);
+    if (maxConcurrent !== 2) throw new Error(`Worker limit not respected (max ${maxConcurrent})`);
+    const q1 = testDb.prepare('SELECT * FROM export_jobs WHERE id = ?').get('q1');
+    if (q1.status !== 'COMPLETE' || q1.attempts !== 1) throw new Error('Claimed job should record one attempt');
+    unsubscribe();
+    if (q1Updates[0] !== 'RUNNING') throw new Error('Claiming a job should publish an update');
+
+    // Crash recovery: interrupted jobs are re-queued until they run out of attempts
+    testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id, status, attempts) VALUES ('r1', ?, 'req-r1', 'RUNNING', 1)`).run(projectId);
+    testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id, status, attempts) VALUES ('r2', ?, 'req-r2', 'RUNNING', 3)`).run(projectId);
+    const recovering = createExportQueue(testDb, { maxAttempts: 3, runJob: async () => { } });
+    if (recovering.recover() !== 2) throw new Error('Expected 2 interrupted jobs');
+    const r1 = testDb.prepare('SELECT * FROM export_jobs WHERE id = ?').get('r1');
+    const r2 = testDb.prepare('SELECT * FROM export_jobs WHERE id = ?').get('r2');
+    if (r1.status !== 'QUEUED') throw new Error('Interrupted job should be re-queued');
+    if (r2.status !== 'FAILED' || !r2.error) throw new Error('Job out of attempts should fail');
+
+    // 'fail' policy never re-queues
+    testDb.prepare(`UPDATE export_jobs SET status = 'RUNNING' WHERE id = 'r1'`).run();
+    createExportQueue(testDb, { recovery: 'fail', runJob: async () => { } }).recover();
+    if (testDb.prepare('SELECT status FROM export_jobs WHERE id = ?').get('r1').status !== 'FAILED') {
+        throw new Error("'fail' recovery should fail interrupted jobs");
+    }
+
+    console.log('  ✓ Test 5: Export queue PASSED');
+}
+
+// ── Test 6: Single-pass export graph ─────────────────────
+// Every label is produced once and consumed once; the outputs are left for -map
+function checkGraphLabels(graph) {
+    const produced = [], consumed = [];
+    for (const line of graph.lines) {
+        const labels = line.match(/\[[^\]]+\]/g) || [];
+        const body = line.replace(/^(\[[^\]]+\])+/, '');
+        consumed.push(...labels.slice(0, labels.length - (body.match(/\[[^\]]+\]/g) || []).length));
+        produced.push(...(body.match(/\[[^\]]+\]/g) || []));
+    }
+    for (const label of produced) {
+        const uses = consumed.filter(l => l === label).length;
+        const isOutput = label === graph.v || label === graph.a;
+        if (uses !== (isOutput ? 0 : 1)) throw new Error(`Label ${label} is used ${uses} times`);
+    }
+}
+
+function testTimelineGraph() {
+    const { buildTimelineGraph } = require('../services/exportService');
+    const frame = { width: 1280, height: 720, fps: 30, background: '0x000000' };
+    const rect = { x: 0, y: 0, width: 1280, height: 720 };
+    const asset = { path: 'source.mp4', type: 'video', duration: 60 };
+    const clip = (id, trackType, start, duration, extra) => ({
+        id, trackType, start_time: start, duration, in_point: 0,
+        properties: {}, speedKeyframes: [], overlayKeyframes: [], ...extra,
+    });
+    const tempDir = path.join(process.env.STORAGE_PATH, 'graph_test');
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const graph = buildTimelineGraph({
+        totalDuration: 10,
+        videoClips: [
+            { clip: clip('a1', 'VIDEO_A', 1, 3, { properties: { transition: 'fade' } }), asset, rect, range: { start: 0, end: 3, speed: 1 }, hasAudio: true },
+            { clip: clip('b1', 'VIDEO_B', 2, 2), asset, rect, range: { start: 0, end: 2, speed: 1 }, hasAudio: false },
+            {
+                clip: clip('a2', 'VIDEO_A', 4, 4, { speedKeyframes: [{ time: 0, speed: 1 }, { time: 4, speed: 2 }] }),
+                asset, rect, range: { start: 0, end: 6, speed: null }, hasAudio: true,
+            },
+        ],
+        overlays: [{ clip: clip('t1', 'OVERLAY_TEXT', 0, 2, { properties: { text: 'Title' } }) }],
+        audioClips: [{ clip: clip('m1', 'AUDIO', 0, 10), asset: { path: 'music.mp3', type: 'audio' } }],
+    }, frame, { kx: 1, ky: 1 }, tempDir);
+
+    // One input per clip plus the music; everything else is generated in the graph
+    const inputCount = graph.inputs.filter(arg => arg === '-i').length;
+    if (inputCount !== 4) throw new Error(`Expected 4 inputs, got ${inputCount}`);
+
+    // VIDEO_A: leading gap, transitioned clip, ramped clip, trailing gap
+    const concat = graph.lines.find(line => line.includes('concat='));
+    if (!concat || !concat.includes('concat=n=4:v=1:a=1')) throw new Error('VIDEO_A should be concatenated with its gaps');
+    if (!graph.lines.some(line => line.startsWith('[2:v]setpts=(if(lt(T\\,'))) throw new Error('Speed ramp should be retimed in the graph');
+    if (!fs.existsSync(path.join(tempDir, 'clip_2_tempo.txt'))) throw new Error('Ramp audio commands should be written');
+
+    checkGraphLabels(graph);
+    if (graph.v !== '[vo0]' || graph.a !== '[final_a]') throw new Error('Graph should end with overlays and the audio mix');
+
+    console.log('  ✓ Test 6: Single-pass export graph PASSED');
+}
+
+// ── Test 7: Font registry ────────────────────────────────
+// Minimal sfnt with just the tables the registry reads: name (family and
+// subfamily as Windows UTF-16BE records) and OS/2 (weight + italic bit)
+function buildTestFont(family, subfamily, weight, italic) {
+    const strings = [family, subfamily].map(str => {
+        const buf = Buffer.from(str, 'utf16le');
+        buf.swap16();
+        return buf;
+    });
+    const name = Buffer.alloc(6 + strings.length * 12);
+    name.writeUInt16BE(strings.length, 2);
+    name.writeUInt16BE(name.length, 4);
+    let offset = 0;
+    strings.forEach((str, i) => {
+        const rec = 6 + i * 12;
+        name.writeUInt16BE(3, rec);           // Windows
+        name.writeUInt16BE(1, rec + 2);       // Unicode BMP
+        name.writeUInt16BE(0x409, rec + 4);   // en-US
+        name.writeUInt16BE(i + 1, rec + 6);   // family, subfamily
+        name.writeUInt16BE(str.length, rec + 8);
+        name.writeUInt16BE(offset, rec + 10);
+        offset += str.length;
+    });
+    const nameTable = Buffer.concat([name].concat(strings));
+
+    const os2 = Buffer.alloc(96);
+    os2.writeUInt16BE(weight, 4);
+    os2.writeUInt16BE(italic ? 1 : 0, 62);
+
+    const header = Buffer.alloc(12 + 2 * 16);
+    header.writeUInt32BE(0x00010000, 0);
+    header.writeUInt16BE(2, 4);
+    [['OS/2', os2, header.length], ['name', nameTable, header.length + os2.length]].forEach(([tag, table, at], i) => {
+        header.write(tag, 12 + i * 16, 'latin1');
+        header.writeUInt32BE(at, 12 + i * 16 + 8);
+        header.writeUInt32BE(table.length, 12 + i * 16 + 12);
+    });
+    return Buffer.concat([header, os2, nameTable]);
+}
+
+function testFontRegistry() {
+    const { readFontInfo, listFonts, resolveFont, FONTS } = require('../services/fonts');
+
+    const files = {
+        regular: buildTestFont('Test Grotesk', 'Regular', 400, false),
+        black: buildTestFont('Test Grotesk', 'Black Italic', 900, true),
+    };
+    for (const [key, buf] of Object.entries(files)) {
+        const file = path.join(FONTS, `test-${key}.ttf`);
+        fs.writeFileSync(file, buf);
+        const info = readFontInfo(file);
+        testDb.prepare('INSERT INTO fonts (id, family, weight, style, original_name, path) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(`font-${key}`, info.family, info.weight, info.style, `${key}.ttf`, file);
+    }
+
+    const black = readFontInfo(path.join(FONTS, 'test-black.ttf'));
+    if (black.family !== 'Test Grotesk' || black.weight !== 900 || black.style !== 'italic') {
+        throw new Error(`Unexpected font info: ${JSON.stringify(black)}`);
+    }
+
+    // Not a font
+    const bogus = path.join(FONTS, 'bogus.ttf');
+    fs.writeFileSync(bogus, 'definitely not a font');
+    let threw = false;
+    try { readFontInfo(bogus); } catch (e) { threw = true; }
+    if (!threw) throw new Error('Non-font files should be rejected');
+
+    if (!listFonts(testDb).some(f => f.id === 'font-regular' && f.source === 'uploaded')) throw new Error('Uploaded fonts should be listed');
+    if (resolveFont(testDb, 'test grotesk', 400).id !== 'font-regular') throw new Error('Should resolve the regular face');
+    if (resolveFont(testDb, 'Test Grotesk', 800, 'italic').id !== 'font-black') throw new Error('Should resolve the black italic face');
+
+    // The default face is the bundled Inter, the same file the preview loads
+    const { DEFAULT_FONT_FAMILY, DEFAULT_FONT_WEIGHT } = require('../engine/timeEngine');
+    const bundledDir = path.join(__dirname, '..', '..', 'fonts');
+    const inter = resolveFont(testDb, DEFAULT_FONT_FAMILY, DEFAULT_FONT_WEIGHT);
+    if (!inter || inter.source !== 'bundled' || path.dirname(inter.path) !== bundledDir || inter.weight !== DEFAULT_FONT_WEIGHT) {
+        throw new Error(`Default font should be bundled in backend/fonts, got ${inter && inter.path}`);
+    }
+
+    console.log('  ✓ Test 7: Font registry PASSED');
+}
+
+// ── Test 8: Text overlay styling ─────────────────────────
+function testTextOverlayStyling() {
+    const { buildTimelineGraph } = require('../services/exportService');
+    const frame = { width: 1280, height: 720, fps: 30, background: '0x000000' };
+    const text = (props, overlayKeyframes) => ({
+        clip: { trackType: 'OVERLAY_TEXT', start_time: 0, duration: 2, properties: props, overlayKeyframes },
+        font: null,
+    });
+    const still = [{ time: 0, x: 100, y: 300, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 }];
+    const spin = [{ time: 0, x: 100, y: 300, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1 },
+        { time: 2, x: 100, y: 300, scale_x: 2, scale_y: 1, rotation: 90, opacity: 1 }];
+
+    const graph = buildTimelineGraph({
+        totalDuration: 2, videoClips: [], audioClips: [],
+        overlays: [
+            text({ text: 'Boxed', backgroundColor: 'rgba(0,0,0,0.6)' }, still),
+            text({ text: 'Spin', color: '#fff' }, spin),
+            text({ text: '' }, still),
+            text({ text: 'One\nTwo', lineHeight: 1.5, strokeWidth: 3, shadowColor: '#000' }, still),
+            text({ text: 'Go now', textAnimation: { type: 'typewriter', stagger: 0.1, delay: 1 } }, still),
+        ],
+    }, frame, { kx: 1, ky: 1 }, process.env.STORAGE_PATH);
+
+    const boxed = graph.lines.find(line => line.includes("text='Boxed'"));
+    if (!boxed || !boxed.includes('box=1:boxcolor=0x000000@0.6:boxborderw=4|8')) throw new Error('Background box should be drawn with the preview padding');
+    if (boxed.includes('rotate=')) throw new Error('Untransformed text should be drawn directly');
+
+    const layer = graph.lines.find(line => line.includes("text='Spin'"));
+    if (!layer || !layer.startsWith('color=c=black@0:s=1280x720') || !layer.includes('rotate=') || !layer.includes('scale=eval=frame')) {
+        throw new Error('Rotated/scaled text should be drawn on a transformed layer');
+    }
+    if (!layer.includes('fontcolor=0xffffff')) throw new Error('Short hex colors should be expanded');
+    if (graph.lines.some(line => line.includes("text=''"))) throw new Error('Empty text should not be drawn');
+
+    const rich = graph.lines.find(line => line.includes("text='One'"));
+    if (!rich || !rich.includes("text='Two'") || !rich.includes('borderw=3') || !rich.includes('shadowcolor=0x000000')) {
+        throw new Error('Multi-line text should draw every line with its outline and shadow');
+    }
+    if (!rich.includes(':y=if(lte(t-0\\,0)\\,300\\,300)+72[')) throw new Error('Lines should be spaced by the line height');
+
+    // Typewriter: one drawtext per character, each appearing at its own time
+    const typed = graph.lines.find(line => line.includes("text='G'"));
+    if (!typed || (typed.match(/drawtext=/g) || []).length !== 5) throw new Error('Typewriter text should be drawn per character');
+    if (!typed.includes("gte((t-0)\\,1.3):text='n'")) throw new Error('Characters should appear at their typing time');
+
+    console.log('  ✓ Test 8: Text overlay styling PASSED');
+}
+
+// ── Test 9: Keyframe easing in export expressions ────────
+// Minimal FFmpeg expression evaluator (the subset buildAnimExpr emits), so
+// export expressions can be compared with the engine numerically
+function evalFfmpegExpr(expr, names) {
+    const src = expr.replace(/\\([,;])/g, '$1');
+    const vars = new Array(10).fill(0);
+    let pos = 0;
+    const skip = (ch) => {
+        if (src[pos] !== ch) throw new Error(`Expected '${ch}' at ${pos} in ${src}`);
+        pos++;
+    };
+    const fns = {
+        if: (a) => (a[0]() ? a[1]() : a[2]()),
+        while: (a) => { let r = 0; while (a[0]()) r = a[1](); return r; },
+        st: (a) => (vars[a[0]()] = a[1]()),
+        ld: (a) => vars[a[0]()],
+        lt: (a) => (a[0]() < a[1]() ? 1 : 0),
+        lte: (a) => (a[0]() <= a[1]() ? 1 : 0),
+        gte: (a) => (a[0]() >= a[1]() ? 1 : 0),
+        pow: (a) => Math.pow(a[0](), a[1]()),
+        sin: (a) => Math.sin(a[0]()),
+        cos: (a) => Math.cos(a[0]()),
+        exp: (a) => Math.exp(a[0]()),
+        sqrt: (a) => Math.sqrt(a[0]()),
+        max: (a) => Math.max(a[0](), a[1]()),
+        min: (a) => Math.min(a[0](), a[1]()),
+        clip: (a) => Math.min(a[2](), Math.max(a[1](), a[0]())),
+        // FFmpeg rounds halves away from zero
+        round: (a) => Math.sign(a[0]()) * Math.round(Math.abs(a[0]())),
+    };
+    // Each parser returns a thunk, so if() and while() only evaluate what they need
+    function parseSeq() {
+        const parts = [parseSum()];
+        while (src[pos] === ';') { pos++; parts.push(parseSum()); }
+        return () => parts.reduce((_, p) => p(), 0);
+    }
+    function parseSum() {
+        let left = parseTerm();
+        while (src[pos] === '+' || src[pos] === '-') {
+            const op = src[pos++], l = left, r = parseTerm();
+            left = op === '+' ? () => l() + r() : () => l() - r();
+        }
+        return left;
+    }
+    function parseTerm() {
+        let left = parseUnary();
+        while (src[pos] === '*' || src[pos] === '/') {
+            const op = src[pos++], l = left, r = parseUnary();
+            left = op === '*' ? () => l() * r() : () => l() / r();
+        }
+        return left;
+    }
+    function parseUnary() {
+        if (src[pos] === '-') { pos++; const v = parseUnary(); return () => -v(); }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        if (src[pos] === '(') { pos++; const v = parseSeq(); skip(')'); return v; }
+        const num = /^\d*\.?\d+(e[-+]?\d+)?/.exec(src.slice(pos));
+        if (num) { pos += num[0].length; const v = parseFloat(num[0]); return () => v; }
+        const name = /^[a-zA-Z]+/.exec(src.slice(pos))[0];
+        pos += name.length;
+        if (name in names) return () => names[name];
+        const args = [];
+        skip('(');
+        do { if (args.length) pos++; args.push(parseSeq()); } while (src[pos] === ',');
+        skip(')');
+        return () => fns[name](args);
+    }
+    const result = parseSeq();
+    if (pos !== src.length) throw new Error(`Unexpected '${src[pos]}' at ${pos} in ${src}`);
+    return result();
+}
+
+function testKeyframeEasing() {
+    const { buildAnimExpr } = require('../services/exportService');
+    const { interpolateOverlay, EASING_PRESETS } = require('../engine/timeEngine');
+
+    const easings = EASING_PRESETS.concat(['cubic-bezier(0.42,0,0.58,1)', 'cubic-bezier(0.3,-0.6,0.2,1.8)']);
+    for (const easing of easings) {
+        const kfs = [
+            { time: 0.5, x: -40, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing },
+            { time: 2.5, x: 160, y: 0, scale_x: 1, scale_y: 1, rotation: 90, opacity: 0, easing: 'linear' },
+        ];
+        const x = buildAnimExpr(kfs, 'x', 0, 3);
+        const rotation = buildAnimExpr(kfs, 'rotation', 0, 3);
+        for (const local of [0, 0.5, 0.7, 0.9, 1.3, 1.5, 2.1, 2.4, 2.5, 3]) {
+            const expected = interpolateOverlay(local, kfs);
+            if (Math.abs(evalFfmpegExpr(x, { t: 3 + local }) - expected.x) > 1e-6 ||
+                Math.abs(evalFfmpegExpr(rotation, { t: 3 + local }) - expected.rotation) > 1e-6) {
+                throw new Error(`${easing} export expression differs from the preview at ${local}s`);
+            }
+        }
+    }
+
+    // Smooth motion paths follow the engine's spline through the keyframes
+    const path = [
+        { time: 0, x: 0, y: 0, easing: 'easeInOut' },
+        { time: 1, x: 300, y: -120, easing: 'cubic-bezier(0.3,-0.6,0.2,1.8)' },
+        { time: 2.5, x: 150, y: 200, easing: 'linear' },
+        { time: 3, x: -50, y: 80 },
+    ];
+    const pathX = buildAnimExpr(path, 'x', 0, 1, 'smooth');
+    const pathY = buildAnimExpr(path, 'y', 0, 1, 'smooth');
+    for (const local of [0, 0.2, 0.5, 1, 1.4, 2, 2.7, 3, 3.5]) {
+        const expected = interpolateOverlay(local, path, 'smooth');
+        if (Math.abs(evalFfmpegExpr(pathX, { t: 1 + local }) - expected.x) > 1e-6 ||
+            Math.abs(evalFfmpegExpr(pathY, { t: 1 + local }) - expected.y) > 1e-6) {
+            throw new Error(`Smooth motion path export differs from the preview at ${local}s`);
+        }
+    }
+
+    // Eased speed ramps: setpts must invert the engine's source-time integral
+    const { buildSpeedRampPts } = require('../services/exportService');
+    const { mapClipSourceTime } = require('../engine/timeEngine');
+    for (const easing of easings) {
+        const speedKfs = [{ time: 0, speed: 1, easing }, { time: 2, speed: 2.5, easing }, { time: 3, speed: 1 }];
+        const pts = buildSpeedRampPts(speedKfs);
+        for (const local of [0, 0.3, 1, 1.7, 2, 2.2, 2.9, 3.5]) {
+            const output = evalFfmpegExpr(pts, { T: mapClipSourceTime(local, speedKfs) });
+            if (Math.abs(output - local) > 1e-6) {
+                throw new Error(`${easing} speed ramp retimes source to ${output}s instead of ${local}s`);
+            }
+        }
+    }
+
+    console.log('  ✓ Test 9: Keyframe easing in export expressions PASSED');
+}
+
+// ── Test 10: Reverse playback in export ─────────────────
+function testReversePlayback() {
+    const { buildTimelineGraph, buildSourcePiecePts } = require('../services/exportService');
+    const { getClipSourcePieces, getClipSourceTime } = require('../engine/timeEngine');
+
+    // Each piece's setpts must invert the engine's source time within the piece
+    const clips = [
+        { in_point: 2, duration: 3, properties: { reverse: true }, speedKeyframes: [] },
+        { in_point: 1, duration: 4, properties: {}, speedKeyframes: [{ time: 0, speed: 2, easing: 'easeInOut' }, { time: 3, speed: -1.5 }] },
+        { in_point: 5, duration: 4, properties: { reverse: true }, speedKeyframes: [{ time: 0, speed: -1, easing: 'cubic-bezier(0.42,0,0.58,1)' }, { time: 2, speed: 1 }] },
+    ];
+    for (const clip of clips) {
+        for (const piece of getClipSourcePieces(clip)) {
+            const pts = buildSourcePiecePts(clip, piece);
+            for (let i = 1; i < 10; i++) {
+                const local = piece.start + (piece.end - piece.start) * i / 10;
+                const T = Math.abs(getClipSourceTime(clip, local) - piece.sourceStart);
+                const output = evalFfmpegExpr(pts, { T });
+                if (Math.abs(output - (local - piece.start)) > 1e-4) {
+                    throw new Error(`Piece at ${piece.start}s retimes source to ${output}s instead of ${local - piece.start}s`);
+                }
+            }
+        }
+    }
+
+    // A clip that rewinds is cut into pieces, the backward ones reversed
+    const frame = { width: 1280, height: 720, fps: 30, background: '0x000000' };
+    const rect = { x: 0, y: 0, width: 1280, height: 720 };
+    const tempDir = path.join(process.env.STORAGE_PATH, 'reverse_test');
+    fs.mkdirSync(tempDir, { recursive: true });
+    const clip = { id: 'r1', trackType: 'VIDEO_A', start_time: 0, ...clips[1], overlayKeyframes: [] };
+    const pieces = getClipSourcePieces(clip);
+    const graph = buildTimelineGraph({
+        totalDuration: 4,
+        videoClips: [{ clip, asset: { path: 'source.mp4', type: 'video', duration: 60 }, rect, range: { start: 1, end: 5, speed: null, pieces }, hasAudio: true }],
+        overlays: [],
+        audioClips: [{
+            clip: { id: 'm1', start_time: 0, duration: 4, in_point: 0, properties: { reverse: true } },
+            asset: { path: 'music.mp3', type: 'audio' },
+        }, {
+            // The same rewinding ramp on the AUDIO track
+            clip: { ...clips[1], id: 'm2', start_time: 0 },
+            asset: { path: 'voice.mp3', type: 'audio' },
+        }],
+    }, frame, { kx: 1, ky: 1 }, tempDir);
+
+    if (pieces.length !== 2) throw new Error(`Expected 2 pieces, got ${pieces.length}`);
+    if (!graph.lines.some(line => line.startsWith('[0:v]split=2'))) throw new Error('Clip should be split into its pieces');
+    if (!graph.lines.some(line => line.startsWith('[rv0_1]') && line.includes(',reverse,'))) throw new Error('Rewinding piece should be reversed');
+    if (graph.lines.some(line => line.startsWith('[rv0_0]') && line.includes('reverse'))) throw new Error('Forward piece should not be reversed');
+    if (!graph.lines.some(line => line.startsWith('[ra0_1]') && line.includes(',areverse,'))) throw new Error('Rewinding audio should be reversed');
+    if (!graph.lines.some(line => line.includes('concat=n=2:v=1:a=1[pv0][pa0]'))) throw new Error('Pieces should be joined into the clip');
+    if (!graph.lines.some(line => line.startsWith('[1:a]') && line.includes(',areverse,'))) throw new Error('Reversed audio clip should play backwards');
+    if (!fs.existsSync(path.join(tempDir, 'clip_0_tempo_1.txt'))) throw new Error('Piece audio commands should be written');
+    if (!graph.lines.some(line => line.startsWith('[2:a]asplit=2'))) throw new Error('Ramped audio clip should be split into its pieces');
+    if (!graph.lines.some(line => line.startsWith('[as1_1]') && line.includes(',areverse,asendcmd='))) throw new Error('Rewinding audio clip piece should be reversed');
+    if (graph.lines.some(line => line.startsWith('[as1_0]') && line.includes('areverse'))) throw new Error('Forward audio clip piece should not be reversed');
+    if (!graph.lines.some(line => line.includes('concat=n=2:v=0:a=1,adelay='))) throw new Error('Audio clip pieces should be joined');
+    if (!fs.existsSync(path.join(tempDir, 'audio_1_tempo_1.txt'))) throw new Error('Audio clip piece commands should be written');
+    checkGraphLabels(graph);
+
+    console.log('  ✓ Test 10: Reverse playback in export PASSED');
+}
+
+// ── Test 11: Overlay anchor points ──────────────────────
+// The export turns overlays about their anchor like the engine: the centre of
+// each transformed layer must land where getOverlayPoint() puts it
+function testOverlayAnchors() {
+    const { buildTimelineGraph } = require('../services/exportService');
+    const { interpolateOverlay, getDefaultAnchor, getOverlayPoint, getImageOverlaySize, getTextStyle, getTextBlockSize, layoutTextLines, TEXT_BOX_PADDING } = require('../engine/timeEngine');
+    const { createTextMeasure } = require('../services/fonts');
+    const frame = { width: 1280, height: 720, fps: 30, background: '0x000000' };
+    const kfs = [
+        { time: 0, x: 300, y: 200, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, anchor_x: 1, anchor_y: 0, easing: 'easeInOut' },
+        { time: 2, x: 500, y: 260, scale_x: 2, scale_y: 0.5, rotation: 120, opacity: 1, anchor_x: 0.25 },
+    ];
+    const props = { text: 'Anchored', fontSize: 40 };
+    const graph = buildTimelineGraph({
+        totalDuration: 2, videoClips: [], audioClips: [],
+        overlays: [
+            { clip: { trackType: 'OVERLAY_IMAGE', start_time: 0, duration: 2, overlayKeyframes: kfs }, asset: { path: 'logo.png' }, imageSize: { width: 400, height: 300 } },
+            { clip: { trackType: 'OVERLAY_TEXT', start_time: 0, duration: 2, properties: props, overlayKeyframes: kfs }, font: null },
+        ],
+    }, frame, { kx: 1, ky: 1 }, process.env.STORAGE_PATH);
+
+    const position = (line) => {
+        const m = /overlay=x=([^:]+):y=([^:]+):/.exec(line);
+        if (!m) throw new Error('Overlay position not found');
+        return m;
+    };
+    const style = getTextStyle(props);
+    const block = getTextBlockSize(layoutTextLines(props.text, style, createTextMeasure(null, style.fontSize)), style);
+    const cases = [
+        // Image: the rotated, scaled bitmap is centred on the box centre
+        { line: graph.lines.find(line => line.includes('[ov0]overlay=')), type: 'OVERLAY_IMAGE', box: getImageOverlaySize(400, 300), u: 0.5, v: 0.5 },
+        // Text: the frame-sized layer's centre, relative to the padded block
+        {
+            line: graph.lines.find(line => line.includes('[ot1]overlay=')), type: 'OVERLAY_TEXT', box: block,
+            u: (frame.width / 2 - TEXT_BOX_PADDING.x) / block.width, v: (frame.height / 2 - TEXT_BOX_PADDING.y) / block.height,
+        },
+    ];
+    for (const { line, type, box, u, v } of cases) {
+        const [, x, y] = position(line);
+        for (const local of [0, 0.4, 1, 1.7, 2]) {
+            const expected = getOverlayPoint(interpolateOverlay(local, kfs, undefined, getDefaultAnchor(type)), box, u, v);
+            const names = { t: local, w: 0, h: 0, PI: Math.PI };
+            if (Math.abs(evalFfmpegExpr(x, names) - expected.x) > 1e-6 || Math.abs(evalFfmpegExpr(y, names) - expected.y) > 1e-6) {
+                throw new Error(`${type} anchor differs from the preview at ${local}s`);
+            }
+        }
+    }
+    if (!graph.lines.some(line => line.startsWith('[0:v]format=rgba,scale=200:150,'))) throw new Error('Image should be sized like the preview');
+
+    // Untransformed text is drawn directly, its block moved so the anchor sits on (x, y)
+    const still = [{ time: 0, x: 300, y: 200, anchor_x: 0.5, anchor_y: 1 }];
+    const direct = buildTimelineGraph({
+        totalDuration: 2, videoClips: [], audioClips: [],
+        overlays: [{ clip: { trackType: 'OVERLAY_TEXT', start_time: 0, duration: 2, properties: props, overlayKeyframes: still }, font: null }],
+    }, frame, { kx: 1, ky: 1 }, process.env.STORAGE_PATH).lines.find(line => line.includes("text='Anchored'"));
+    const m = /:x=([^:]+):y=([^:[]+)/.exec(direct);
+    if (Math.abs(evalFfmpegExpr(m[1], { t: 1 }) - (300 - block.width / 2)) > 1e-3 ||
+        Math.abs(evalFfmpegExpr(m[2], { t: 1 }) - (200 - block.height)) > 1e-3) {
+        throw new Error('Text block should hang from its anchor');
+    }
+
+    console.log('  ✓ Test 11: Overlay anchor points PASSED');
+}
+
+// ── Test 12: Property keyframes in export ───────────────
+function testPropertyKeyframes() {
+    const { buildTimelineGraph } = require('../services/exportService');
+    const { getPropertyValue, parseColor } = require('../engine/timeEngine');
+    const frame = { width: 1280, height: 720, fps: 30, background: '0x000000' };
+    const rect = { x: 0, y: 0, width: 1280, height: 720 };
+    const volumeKfs = [
+        { property: 'volume', time: 0.5, value: '0', easing: 'easeOut' },
+        { property: 'volume', time: 2, value: '1.5', easing: 'easeInOutBack' },
+        { property: 'volume', time: 3, value: '0' },
+    ];
+    const textKfs = [
+        { property: 'fontSize', time: 0, value: '30', easing: 'easeInOut' },
+        { property: 'fontSize', time: 2, value: '60' },
+        { property: 'color', time: 0.5, value: '#ff8000', easing: 'easeIn' },
+        { property: 'color', time: 1.5, value: 'rgba(20, 40, 255, 0.5)' },
+    ];
+    const graph = buildTimelineGraph({
+        totalDuration: 4,
+        videoClips: [{
+            clip: { id: 'v1', trackType: 'VIDEO_A', start_time: 0, duration: 4, in_point: 0, properties: {}, speedKeyframes: [], overlayKeyframes: [], propertyKeyframes: volumeKfs },
+            asset: { path: 'source.mp4', type: 'video', duration: 60 }, rect, range: { start: 0, end: 4, speed: 1 }, hasAudio: true,
+        }],
+        overlays: [{
+            clip: { trackType: 'OVERLAY_TEXT', start_time: 1, duration: 3, properties: { text: 'Grow', fontSize: 30 }, overlayKeyframes: [], propertyKeyframes: textKfs },
+            font: null,
+        }],
+        audioClips: [{
+            clip: { id: 'm1', start_time: 1, duration: 3, in_point: 0, properties: { volume: 0.2 }, propertyKeyframes: volumeKfs },
+            asset: { path: 'music.mp3', type: 'audio' },
+        }],
+    }, frame, { kx: 1, ky: 1 }, process.env.STORAGE_PATH);
+    checkGraphLabels(graph);
+
+    // Volume curves: on the clip's own clock for clip audio, the timeline's for the mix
+    const volumeOf = (line) => /volume=eval=frame:volume=((?:\\,|[^,[])+)/.exec(line)[1];
+    const clipVolume = volumeOf(graph.lines.find(line => line.startsWith('[0:a]')));
+    const mixVolume = volumeOf(graph.lines.find(line => line.startsWith('[1:a]')));
+    for (const local of [0, 0.5, 0.9, 1.6, 2, 2.4, 3, 3.5]) {
+        const expected = getPropertyValue(volumeKfs, 'volume', local);
+        if (Math.abs(evalFfmpegExpr(clipVolume, { t: local }) - expected) > 1e-6 ||
+            Math.abs(evalFfmpegExpr(mixVolume, { t: 1 + local }) - expected) > 1e-6) {
+            throw new Error(`Exported volume differs from the preview at ${local}s`);
+        }
+    }
+
+    // Font size and color are evaluated per frame by drawtext
+    const text = graph.lines.find(line => line.includes("text='Grow'"));
+    const fontSize = /fontsize=([^:]+):/.exec(text)[1];
+    const channels = [...text.matchAll(/%\{eif\\\\:(.+?)\\\\:x\\\\:2\}/g)].map(m => m[1]);
+    if (channels.length !== 4) throw new Error('Color keyframes should expand all four channels');
+    for (const local of [0, 0.5, 0.8, 1.2, 1.5, 2, 2.5]) {
+        if (Math.abs(evalFfmpegExpr(fontSize, { t: 1 + local }) - getPropertyValue(textKfs, 'fontSize', local)) > 1e-6) {
+            throw new Error(`Exported font size differs from the preview at ${local}s`);
+        }
+        const rgba = parseColor(getPropertyValue(textKfs, 'color', local));
+        channels.forEach((channel, c) => {
+            const expected = Math.round(c === 3 ? rgba[3] * 255 : rgba[c]);
+            if (Math.abs(evalFfmpegExpr(channel, { t: 1 + local }) - expected) > 1) {
+                throw new Error(`Exported color channel ${c} differs from the preview at ${local}s`);
+            }
+        });
+    }
+
+    console.log('  ✓ Test 12: Property keyframes in export PASSED');
+}
+
+// ── Test 13: Property keyframe validation on save ────────
+async function testPropertyKeyframeValidation() {
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    app.use('/projects', require('../routes/projects')(testDb));
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/projects`;
+
+    try {
+        const projectId = uuid();
+        const trackId = uuid();
+        testDb.prepare('INSERT INTO projects (id, name) VALUES (?, ?)').run(projectId, 'Validation Test');
+        testDb.prepare('INSERT INTO tracks (id, project_id, type, "order") VALUES (?, ?, ?, ?)').run(trackId, projectId, 'OVERLAY_TEXT', 0);
+        const save = (propertyKeyframes) => fetch(`${base}/${projectId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: 'Renamed',
+                tracks: [{ id: trackId, clips: [{ id: 'c1', type: 'text', duration: 4, properties: { text: 'Hi' }, propertyKeyframes }] }],
+            }),
+        });
+
+        const rejected = [
+            [{ time: 0, value: '30' }],
+            [{ property: 'opacityX', time: 0, value: '1' }],
+            [{ property: 'constructor', time: 0, value: '1' }],
+            [{ property: 'color', time: 0, value: 'not-a-color' }],
+            [{ property: 'fontSize', time: 0, value: 'big' }],
+            [{ property: 'fontSize', time: 0, value: '0' }],
+            [{ property: 'fontSize', time: 'soon', value: '30' }],
+        ];
+        for (const kfs of rejected) {
+            const res = await save(kfs);
+            const body = await res.json();
+            if (res.status !== 400 || !body.error) throw new Error(`Expected 400 for ${JSON.stringify(kfs)}, got ${res.status}`);
+        }
+        if (testDb.prepare('SELECT name FROM projects WHERE id = ?').get(projectId).name !== 'Validation Test' ||
+            testDb.prepare('SELECT COUNT(*) AS n FROM clips WHERE track_id = ?').get(trackId).n !== 0) {
+            throw new Error('A rejected save should not write anything');
+        }
+
+        const res = await save([
+            { property: 'fontSize', time: 0, value: 30 },
+            { property: 'color', time: 1, value: '#ff8000' },
+        ]);
+        if (res.status !== 200) throw new Error(`Valid keyframes should save, got ${res.status}`);
+        const saved = testDb.prepare('SELECT property, value FROM property_keyframes WHERE clip_id = ? ORDER BY time').all('c1');
+        if (saved.map(kf => `${kf.property}=${kf.value}`).join(',') !== 'fontSize=30,color=#ff8000') {
+            throw new Error('Valid property keyframes were not saved');
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    console.log('  ✓ Test 13: Property keyframe validation on save PASSED');
+}
+
+// ── Test 14: Export cancellation ─────────────────────────
+async function testExportCancel() {
+    // Stand-in for FFmpeg: starts writing its output file, then never finishes
+    const fakeFfmpeg = path.join(testDbPath, 'fake-ffmpeg.sh');
+    const pidFile = path.join(testDbPath, 'fake-ffmpeg.pid');
+    fs.writeFileSync(fakeFfmpeg, `#!/bin/sh\nfor last; do :; done\necho partial > "$last"\necho $$ > "${pidFile}"\nexec sleep 30\n`, { mode: 0o755 });
+
+    // Fresh copies of the export modules so they pick up the stand-in binary
+    const savedFfmpeg = process.env.FFMPEG_PATH;
+    process.env.FFMPEG_PATH = fakeFfmpeg;
+    for (const mod of ['../services/exportService', '../services/exportQueue', '../routes/exports']) {
+        delete require.cache[require.resolve(mod)];
+    }
+    const { createExportQueue } = require('../services/exportQueue');
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    const queue = createExportQueue(testDb);
+    app.use('/api', require('../routes/exports')(testDb, queue));
+    if (savedFfmpeg === undefined) delete process.env.FFMPEG_PATH;
+    else process.env.FFMPEG_PATH = savedFfmpeg;
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const cancel = (id) => fetch(`http://127.0.0.1:${server.address().port}/api/exports/${id}/cancel`, { method: 'POST' });
+    const statusOf = (id) => testDb.prepare('SELECT * FROM export_jobs WHERE id = ?').get(id);
+    const exportsDir = path.join(process.env.STORAGE_PATH, 'exports');
+    let pid = null;
+
+    try {
+        const projectId = uuid();
+        const trackId = uuid();
+        testDb.prepare('INSERT INTO projects (id, name) VALUES (?, ?)').run(projectId, 'Cancel Test');
+        testDb.prepare('INSERT INTO tracks (id, project_id, type, "order") VALUES (?, ?, ?, ?)').run(trackId, projectId, 'OVERLAY_TEXT', 0);
+        testDb.prepare(`INSERT INTO clips (id, track_id, type, start_time, duration, properties) VALUES (?, ?, 'text', 0, 2, ?)`)
+            .run(uuid(), trackId, JSON.stringify({ text: 'Cancel me' }));
+        testDb.prepare(`UPDATE export_jobs SET status = 'COMPLETE' WHERE status = 'QUEUED'`).run();
+
+        // Finished or unknown jobs can't be cancelled
+        testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id, status) VALUES ('done1', ?, 'req-done1', 'COMPLETE')`).run(projectId);
+        let res = await cancel('done1');
+        if (res.status !== 409) throw new Error(`Cancelling a finished job should be a 409, got ${res.status}`);
+        if (statusOf('done1').status !== 'COMPLETE') throw new Error('A refused cancel should not change the job');
+        res = await cancel('no-such-job');
+        if (res.status !== 404) throw new Error(`Cancelling an unknown job should be a 404, got ${res.status}`);
+
+        // A running job: its FFmpeg process is killed and its partial output discarded
+        const jobId = uuid();
+        testDb.prepare(`INSERT INTO export_jobs (id, project_id, request_id) VALUES (?, ?, ?)`).run(jobId, projectId, 'req-' + jobId);
+        queue.notify();
+        for (let i = 0; i < 200 && !fs.existsSync(pidFile); i++) await new Promise(resolve => setTimeout(resolve, 25));
+        if (!fs.existsSync(pidFile)) throw new Error('Export never started FFmpeg');
+        pid = parseInt(fs.readFileSync(pidFile, 'utf8'));
+        const outputs = () => fs.readdirSync(exportsDir).filter(f => f.startsWith(jobId + '.'));
+        if (statusOf(jobId).status !== 'RUNNING' || outputs().length !== 1) throw new Error('Job should be running with a partial output');
+
+        res = await cancel(jobId);
+        if (res.status !== 200 || (await res.json()).status !== 'CANCELLED') throw new Error('Cancelling a running job should succeed');
+        await queue.idle();
+
+        const job = statusOf(jobId);
+        if (job.status !== 'CANCELLED' || job.error) throw new Error(`Cancelled job ended ${job.status}: ${job.error}`);
+        try {
+            process.kill(pid, 0);
+            throw new Error('FFmpeg process should have been killed');
+        } catch (err) {
+            if (err.code !== 'ESRCH') throw err;
+        }
+        pid = null;
+        if (outputs().length !== 0) throw new Error('Partial output should be discarded');
+        if (fs.existsSync(path.join(process.env.STORAGE_PATH, 'temp', jobId))) throw new Error('Temp directory should be removed');
+
+        res = await cancel(jobId);
+        if (res.status !== 409) throw new Error('Cancelling twice should be a 409');
+    } finally {
+        if (pid) try { process.kill(pid, 'SIGKILL'); } catch (e) { /* already gone */ }
+        await new Promise(resolve => server.close(resolve));
+    }
+
+    console.log('  ✓ Test 14: Export cancellation PASSED');
+}
+
 // ── Run ──────────────────────────────────────────────────────
 console.log('\n🗃️  Backend Tests\n');
-try {
-    testExportIdempotency();
-    testProjectSaveLoad();
-    console.log('\n✓ All backend tests passed!\n');
-} catch (err) {
-    console.error('\n✗ Test failed:', err.message, '\n');
-    process.exit(1);
-} finally {
-    testDb.close();
-    // Cleanup
-    try { fs.rmSync(testDbPath, { recursive: true, force: true }); } catch (e) { /* ignore */ }
-}
+(async () => {
+    try {
+        testExportIdempotency();
+        testProjectSaveLoad();
+        testExportSettings();
+        testProjectCanvas();
+        await testExportQueue();
+        testTimelineGraph();
+        testFontRegistry();
+        testTextOverlayStyling();
+        testKeyframeEasing();
+        testReversePlayback();
+        testOverlayAnchors();
+        testPropertyKeyframes();
+        await testPropertyKeyframeValidation();
+        await testExportCancel();
+        console.log('\n✓ All backend tests passed!\n');
+    } catch (err) {
+        console.error('\n✗ Test failed:', err.message, '\n');
+        process.exitCode = 1;
+    } finally {
+        testDb.close();
+        // Cleanup
+        try { fs.rmSync(testDbPath, { recursive: true, force: true }); } catch (e) { /* ignore */ }
+        try { fs.rmSync(process.env.STORAGE_PATH, { recursive: true, force: true }); } catch (e) { /* ignore */ }
+    }
+})();
@@ -19,9 +19,9 @@ async function request(path, options = {}) {
 
 export const api = {
     // Projects
-    createProject: (name) => request('/projects', {
+    createProject: (name, canvas) => request('/projects', {
         method: 'POST',
-        body: JSON.stringify({ name }),
+        body: JSON.stringify({ name, ...canvas }),
     }),
     listProjects: () => request('/projects'),
     getProject: (id) => request(`/projects/${id}`),
@@ -62,12 +62,32 @@ export const api = {
     getThumbnailUrl: (id) => `${BASE}/assets/${id}/thumbnail`,
     getStreamUrl: (id) => `${BASE}/assets/${id}/stream`,
 
+    // Fonts
+    listFonts: () => request('/fonts'),
+    uploadFont: async (file) => {
+        const form = new FormData();
+        form.append('file', file);
+        const res = await fetch(`${BASE}/fonts`, {
+            method: 'POST',
+            body: form,
+        });
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({ error: 'Upload failed' }));
+            throw new Error(err.error);
+        }
+        return res.json();
+    },
+    deleteFont: (id) => request(`/fonts/${id}`, { method: 'DELETE' }),
+    getFontUrl: (id) => `${BASE}/fonts/${id}/file`,
+
     // Export
-    startExport: (projectId, requestId) => request(`/${projectId}/export`, {
+    startExport: (projectId, requestId, settings) => request(`/${projectId}/export`, {
         method: 'POST',
-        body: JSON.stringify({ requestId }),
+        body: JSON.stringify({ requestId, settings }),
     }),
     getExportStatus: (id) => request(`/exports/${id}`),
+    cancelExport: (id) => request(`/exports/${id}/cancel`, { method: 'POST' }),
     listExports: (projectId) => request(`/${projectId}/exports`),
+    getExportEventsUrl: (id) => `${BASE}/exports/${id}/events`,
     getDownloadUrl: (id) => `${BASE}/exports/${id}/download`,
 };
@@ -3,12 +3,20 @@
 // ============================================================
 import { api } from './api.js';
 import { useStore } from './store.js';
-import { evaluateTimeline, getSpeedAtTime } from './engine/timeEngine.js';
+import { evaluateTimeline, splitClip, fitSpeedRampToDuration, getTransitionBlur, getFitRect, matchFontFace, DEFAULT_FONT_FAMILY, DEFAULT_FONT_WEIGHT, TEXT_BOX_PADDING, TEXT_ALIGNS, getTextStyle, layoutTextLines, TEXT_ANIMATIONS, getTextAnimation, getTextPieces, getTextReveal, MOTION_PATHS, sampleMotionPath, ANCHOR_PRESETS, KEYFRAMABLE_PROPERTIES, getPropertyValue, parseColor, getDefaultAnchor, getOverlayPoint, getOverlayBoxPoint, getTextBlockSize, getImageOverlaySize, EASING_PRESETS, getEasedProgress, parseCubicBezier, formatCubicBezier } from './engine/timeEngine.js';
 
 // ── DOM refs ───────────────────────────────────────────────
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
 
+// ── Canvas presets ─────────────────────────────────────────
+const CANVAS_PRESETS = {
+    landscape: { label: '16:9 Landscape', canvas_width: 1280, canvas_height: 720 },
+    vertical: { label: '9:16 Vertical', canvas_width: 720, canvas_height: 1280 },
+    square: { label: '1:1 Square', canvas_width: 1080, canvas_height: 1080 },
+    portrait: { label: '4:5 Portrait', canvas_width: 1080, canvas_height: 1350 },
+};
+
 // ── Init ───────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
@@ -17,6 +25,7 @@ document.addEventListener('DOMContentLoaded', () => {
     initRippleEffect();
     initStoreSubscriptions();
     initResizablePanels();
+    loadFonts();
 });
 
 // ── Store Subscriptions ────────────────────────────────────
@@ -31,6 +40,7 @@ function initStoreSubscriptions() {
         const timeChanged = state.currentTime !== prevState.currentTime;
         const playingChanged = state.playing !== prevState.playing;
         const assetsChanged = state.currentProject?.assets !== prevState.currentProject?.assets;
+        const historyChanged = state.past !== prevState.past || state.future !== prevState.future;
 
         if (projectChanged || zoomChanged || selectionChanged) {
             renderTimeline();
@@ -44,6 +54,10 @@ function initStoreSubscriptions() {
             renderAssetList();
         }
 
+        if (historyChanged) {
+            renderHistory();
+        }
+
         if (projectChanged) {
             if (state.currentProject) {
                 $('#project-name').textContent = state.currentProject.name;
@@ -67,8 +81,9 @@ function initStoreSubscriptions() {
         }
 
         // Also refresh preview when clip properties change (mute, volume, etc)
-        // but only if time didn't already trigger it
-        if (projectChanged && !timeChanged) {
+        // or the selection (its motion path is drawn), but only if time didn't
+        // already trigger it
+        if ((projectChanged || selectionChanged) && !timeChanged) {
             updatePreview();
         }
 
@@ -80,6 +95,72 @@ function initStoreSubscriptions() {
     });
 }
 
+// ════════════════════════════════════════════════════════════
+// FONTS
+// ════════════════════════════════════════════════════════════
+// Faces from the backend font registry. Each one is registered with the
+// browser under its own alias, so the preview draws text with exactly the file
+// matchFontFace() picks – the same file the export renders with.
+let fontFaces = [];
+const loadedFontIds = new Set();
+
+const fontAlias = (face) => `font-${face.id}`;
+
+async function loadFonts() {
+    try {
+        fontFaces = await api.listFonts();
+    } catch (err) {
+        console.error('Failed to load fonts:', err);
+        return;
+    }
+    await Promise.all(fontFaces.filter(face => !loadedFontIds.has(face.id)).map(async (face) => {
+        try {
+            const fontFace = new FontFace(fontAlias(face), `url(${api.getFontUrl(face.id)})`);
+            document.fonts.add(await fontFace.load());
+            loadedFontIds.add(face.id);
+        } catch (err) {
+            console.warn(`Font ${face.family} ${face.weight} failed to load:`, err);
+        }
+    }));
+    renderProperties();
+    updatePreview();
+}
+
+async function uploadFont(file) {
+    try {
+        const face = await api.uploadFont(file);
+        toast(`Added ${face.family} ${face.weight}`, 'success');
+        await loadFonts();
+    } catch (err) {
+        toast('Font upload failed: ' + err.message, 'error');
+    }
+}
+
+// Canvas font string for a text overlay, at `size` preview pixels
+function overlayFont(props, size) {
+    const face = matchFontFace(fontFaces, props.fontFamily, props.fontWeight, props.fontStyle);
+    if (face && loadedFontIds.has(face.id)) return `${size}px "${fontAlias(face)}"`;
+    return `bold ${size}px Inter, sans-serif`;
+}
+
+// Draw one piece of laid-out text the way drawtext does: shadow, then
+// outline, then fill
+function drawTextPiece(ctx, text, x, baseline, style, scaleX, scaleY) {
+    if (style.shadowColor) {
+        ctx.fillStyle = style.shadowColor;
+        ctx.fillText(text, x + style.shadowX * scaleX, baseline + style.shadowY * scaleY);
+    }
+    if (style.strokeWidth > 0) {
+        // Canvas strokes straddle the outline; drawtext's border is all outside
+        ctx.strokeStyle = style.strokeColor;
+        ctx.lineWidth = style.strokeWidth * 2 * scaleY;
+        ctx.lineJoin = 'round';
+        ctx.strokeText(text, x, baseline);
+    }
+    ctx.fillStyle = style.color;
+    ctx.fillText(text, x, baseline);
+}
+
 // ════════════════════════════════════════════════════════════
 // RESIZABLE PANELS
 // ════════════════════════════════════════════════════════════
@@ -263,7 +344,11 @@ function initProjectManager() {
             btn.disabled = true;
             btn.textContent = 'Creating...';
 
-            const project = await api.createProject(name);
+            const preset = CANVAS_PRESETS[$('#input-project-canvas').value] || CANVAS_PRESETS.landscape;
+            const project = await api.createProject(name, {
+                canvas_width: preset.canvas_width,
+                canvas_height: preset.canvas_height,
+            });
             toast('Project created', 'success');
 
             input.value = '';
@@ -363,6 +448,9 @@ function initEditorControls() {
     $('#btn-skip-start').addEventListener('click', () => { seekTo(0); });
     $('#btn-skip-end').addEventListener('click', () => { seekTo(getTimelineDuration()); });
 
+    $('#btn-undo').addEventListener('click', () => useStore.getState().undo());
+    $('#btn-redo').addEventListener('click', () => useStore.getState().redo());
+
     $('#btn-split').addEventListener('click', splitAtPlayhead);
     $('#btn-delete-clip').addEventListener('click', deleteSelectedClip);
 
@@ -372,6 +460,7 @@ function initEditorControls() {
         'Content library': 'panel-library',
         'Text overlays': 'panel-media',   // Text adds overlay, stays on media
         'Transitions': 'panel-transitions',
+        'Edit history': 'panel-history',
     };
 
     document.querySelectorAll('.nav-top .nav-item').forEach(btn => {
@@ -436,7 +525,7 @@ function initEditorControls() {
                     { id: generateId(), time: 0, x: 0, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing: 'linear' }
                 ],
             }];
-            useStore.getState().updateTrackClips(textTrack.id, newClips);
+            useStore.getState().updateTrackClips(textTrack.id, newClips, 'Add background');
             useStore.getState().selectClip(newClips[newClips.length - 1].id);
             toast(`${bgType === 'gradient' ? 'Gradient' : 'Solid'} background added`, 'success');
         });
@@ -448,6 +537,9 @@ function initEditorControls() {
         'subtitle': { text: 'Subtitle', fontSize: 36, color: '#cccccc' },
         'lower-third': { text: 'Name Here', fontSize: 28, color: '#ffffff', backgroundColor: 'rgba(0,0,0,0.6)' },
         'caption': { text: 'Caption text...', fontSize: 24, color: '#ffffff', backgroundColor: 'rgba(0,0,0,0.75)' },
+        'typewriter': { text: 'Typing it out...', fontSize: 40, color: '#ffffff', textAnimation: { type: 'typewriter' } },
+        'word-fade': { text: 'One word at a time', fontSize: 48, color: '#ffffff', textAnimation: { type: 'wordFade' } },
+        'slide-up': { text: 'First line\nSecond line', fontSize: 40, color: '#ffffff', textAlign: 'center', textAnimation: { type: 'slideUp' } },
     };
 
     document.querySelectorAll('.library-item[data-text-preset]').forEach(item => {
@@ -475,7 +567,7 @@ function initEditorControls() {
                     { id: generateId(), time: 0, x: 100, y: 300, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing: 'linear' }
                 ],
             }];
-            useStore.getState().updateTrackClips(textTrack.id, newClips);
+            useStore.getState().updateTrackClips(textTrack.id, newClips, 'Add text');
             useStore.getState().selectClip(newClips[newClips.length - 1].id);
             toast(`${item.dataset.textPreset} template added`, 'success');
         });
@@ -520,15 +612,23 @@ function initEditorControls() {
     $('#btn-export').addEventListener('click', () => $('#export-modal').classList.remove('hidden'));
     $('#btn-export-close').addEventListener('click', () => $('#export-modal').classList.add('hidden'));
     $('#btn-export-start').addEventListener('click', startExport);
+    $('#btn-export-cancel').addEventListener('click', cancelExport);
+    $('#export-codec').addEventListener('change', syncExportSettingsForm);
+    $('#export-rate-control').addEventListener('change', syncExportSettingsForm);
     $('.modal-backdrop').addEventListener('click', () => $('#export-modal').classList.add('hidden'));
 
     $('#timeline-ruler').addEventListener('mousedown', onRulerMouseDown);
+    $('#preview-canvas').addEventListener('mousedown', onPreviewMouseDown);
+    $('#preview-canvas').addEventListener('mousemove', onPreviewHover);
 
     document.addEventListener('keydown', (e) => {
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
         if (e.code === 'Space') { e.preventDefault(); togglePlayback(); }
         if (e.code === 'Delete' || e.code === 'Backspace') deleteSelectedClip();
         if (e.key === 's' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); saveProject(); }
+        // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes
+        if (e.code === 'KeyZ' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); e.shiftKey ? useStore.getState().redo() : useStore.getState().undo(); }
+        if (e.code === 'KeyY' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); useStore.getState().redo(); }
     });
 }
 
@@ -646,6 +746,37 @@ async function deleteAsset(id) {
     }
 }
 
+// ════════════════════════════════════════════════════════════
+// HISTORY
+// ════════════════════════════════════════════════════════════
+// Oldest first: the opened project, every undoable edit, then the undone
+// edits (greyed out) that redo would bring back. Clicking an entry undoes or
+// redoes to the state right after it.
+function renderHistory() {
+    const list = $('#history-list');
+    list.innerHTML = '';
+    const { past, future, historyTrimmed } = useStore.getState();
+    $('#btn-undo').disabled = past.length === 0;
+    $('#btn-redo').disabled = future.length === 0;
+
+    // Once the oldest edits have been dropped, undoing can't reach the opened project
+    const start = historyTrimmed ? 'Earlier edits' : 'Open project';
+    const labels = [start, ...past.map(e => e.label), ...future.map(e => e.label).reverse()];
+    labels.forEach((label, i) => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        if (i === past.length) item.classList.add('current');
+        if (i > past.length) item.classList.add('undone');
+        item.textContent = label;
+        item.onclick = () => {
+            const state = useStore.getState();
+            for (let n = state.past.length; n > i; n--) state.undo();
+            for (let n = state.past.length; n < i; n++) state.redo();
+        };
+        list.appendChild(item);
+    });
+}
+
 // ════════════════════════════════════════════════════════════
 // ASSET LIST
 // ════════════════════════════════════════════════════════════
@@ -932,7 +1063,7 @@ async function addClipToTrack(track, assetId, assetType, startTime) {
         ] : [],
     }];
 
-    useStore.getState().updateTrackClips(track.id, newClips);
+    useStore.getState().updateTrackClips(track.id, newClips, 'Add clip');
     toast('Clip added', 'success');
 }
 
@@ -973,34 +1104,32 @@ function addTextOverlayToTrack(track) {
             { id: generateId(), time: 0, x: 100, y: 100, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing: 'linear' }
         ],
     }];
-    useStore.getState().updateTrackClips(track.id, newClips);
+    useStore.getState().updateTrackClips(track.id, newClips, 'Add text');
     // Auto select last clip
     useStore.getState().selectClip(newClips[newClips.length - 1].id);
 }
 
 // ── Operations ─────────────────────────────────────────────
+// Clip drags update the store on every move (never the clip object itself,
+// which the undo history shares) inside one history group
 function startDragClip(e, clip, track, zoom) {
     const startX = e.clientX;
     const origStart = clip.start_time;
     let moved = false;
+    useStore.getState().beginHistoryGroup('Move clip');
 
     function onMove(ev) {
         const dx = ev.clientX - startX;
         if (Math.abs(dx) > 3) moved = true;
+        if (!moved) return;
         const dt = dx / zoom;
-        const newStart = Math.max(0, snapTime(origStart + dt, track, clip.id));
-        // Optimistic update
-        clip.start_time = newStart;
-        renderTimeline();
+        useStore.getState().updateClip(clip.id, { start_time: Math.max(0, snapTime(origStart + dt, track, clip.id)) });
     }
 
     function onUp() {
         document.removeEventListener('mousemove', onMove);
         document.removeEventListener('mouseup', onUp);
-        if (moved) {
-            // Commit to store
-            useStore.getState().updateClip(clip.id, { start_time: clip.start_time });
-        }
+        useStore.getState().endHistoryGroup();
     }
     document.addEventListener('mousemove', onMove);
     document.addEventListener('mouseup', onUp);
@@ -1013,30 +1142,30 @@ function startTrim(e, clip, track, side, zoom) {
     const origDur = clip.duration;
     const origIn = clip.in_point;
     const origOut = clip.out_point;
+    useStore.getState().beginHistoryGroup('Trim clip');
 
     function onMove(ev) {
         const dt = (ev.clientX - startX) / zoom;
         if (side === 'left') {
             const newStart = Math.max(0, origStart + dt);
             const delta = newStart - origStart;
-            clip.start_time = newStart;
-            clip.duration = Math.max(0.1, origDur - delta);
-            clip.in_point = origIn + delta;
+            useStore.getState().updateClip(clip.id, {
+                start_time: newStart,
+                duration: Math.max(0.1, origDur - delta),
+                in_point: origIn + delta,
+            });
         } else {
-            clip.duration = Math.max(0.1, origDur + dt);
-            clip.out_point = origOut + dt;
+            useStore.getState().updateClip(clip.id, {
+                duration: Math.max(0.1, origDur + dt),
+                out_point: origOut + dt,
+            });
         }
-        renderTimeline();
     }
 
     function onUp() {
         document.removeEventListener('mousemove', onMove);
         document.removeEventListener('mouseup', onUp);
-        // Commit
-        useStore.getState().updateClip(clip.id, {
-            start_time: clip.start_time, duration: clip.duration,
-            in_point: clip.in_point, out_point: clip.out_point
-        });
+        useStore.getState().endHistoryGroup();
     }
     document.addEventListener('mousemove', onMove);
     document.addEventListener('mouseup', onUp);
@@ -1052,25 +1181,16 @@ function splitAtPlayhead() {
             const clip = track.clips[clipIdx];
             const localT = currentTime - clip.start_time;
 
-            const clip1 = { ...clip, duration: localT, out_point: clip.in_point + localT };
-            if (clip1.speedKeyframes) clip1.speedKeyframes = clip.speedKeyframes.filter(k => k.time <= localT);
-
-            const clip2 = {
-                ...JSON.parse(JSON.stringify(clip)),
-                id: generateId(),
-                start_time: currentTime,
-                duration: clip.duration - localT,
-                in_point: clip.in_point + localT
-            };
-            if (clip2.speedKeyframes) {
-                clip2.speedKeyframes = clip.speedKeyframes
-                    .filter(k => k.time >= localT)
-                    .map(k => ({ ...k, id: generateId(), time: k.time - localT }));
+            const [clip1, clip2] = splitClip(clip, localT);
+            clip2.id = generateId();
+            if (clip1.speedKeyframes) {
+                clip1.speedKeyframes = clip1.speedKeyframes.map(k => k.id ? k : { ...k, id: generateId() });
+                clip2.speedKeyframes = clip2.speedKeyframes.map(k => ({ ...k, id: generateId() }));
             }
 
             const newClips = [...track.clips];
             newClips.splice(clipIdx, 1, clip1, clip2);
-            useStore.getState().updateTrackClips(track.id, newClips);
+            useStore.getState().updateTrackClips(track.id, newClips, 'Split clip');
             useStore.getState().selectClip(clip1.id);
             toast('Clip split', 'success');
             return;
@@ -1085,7 +1205,7 @@ function deleteSelectedClip() {
     for (const track of currentProject.tracks) {
         if (track.clips.some(c => c.id === selectedClipId)) {
             const newClips = track.clips.filter(c => c.id !== selectedClipId);
-            useStore.getState().updateTrackClips(track.id, newClips);
+            useStore.getState().updateTrackClips(track.id, newClips, 'Delete clip');
             useStore.getState().selectClip(null);
             toast('Clip deleted', 'success');
             return;
@@ -1123,21 +1243,11 @@ function startPlaybackLoop() {
         const delta = (now - last) / 1000;
         last = now;
 
-        const { currentProject, currentTime } = useStore.getState();
-
-        // Calculate speed
-        let playbackSpeed = 1;
-        const eval_ = evaluateTimeline(currentProject, currentTime);
-        const activeClip = eval_.videoB || eval_.videoA;
-        if (activeClip) {
-            const clip = findClip(activeClip.clipId);
-            if (clip?.speedKeyframes?.length) {
-                playbackSpeed = getSpeedAtTime(currentTime - clip.start_time, clip.speedKeyframes);
-                if (playbackSpeed < 0.01) playbackSpeed = 0;
-            }
-        }
+        const { currentTime } = useStore.getState();
 
-        const nextTime = currentTime + delta * Math.max(0, playbackSpeed);
+        // The timeline runs in real time; clip speeds (holds and rewinds
+        // included) only change which source frame each moment shows
+        const nextTime = currentTime + delta;
         if (nextTime >= getTimelineDuration() - 5) {
             useStore.getState().setPlaying(false);
             return;
@@ -1184,7 +1294,72 @@ function updateTimecode() {
     $('#timecode').textContent = formatTimeFull(currentTime);
 }
 
+// ── Reversed audio ─────────────────────────────────────────
+// Media elements cannot play backwards, so a clip that is rewinding is heard
+// through Web Audio: the asset's audio is decoded once, reversed, and played
+// from the mirrored position at the clip's speed (pitch follows the speed).
+let audioContext = null;
+const reversedAudio = {}; // assetId -> reversed AudioBuffer, null while decoding or without audio
+const reversedVoices = {}; // media key -> { source, gain, assetId, offset, startedAt, rate }
+
+function getReversedAudio(assetId) {
+    if (assetId in reversedAudio) return reversedAudio[assetId];
+    reversedAudio[assetId] = null;
+    audioContext = audioContext || new AudioContext();
+    fetch(api.getStreamUrl(assetId))
+        .then(res => res.arrayBuffer())
+        .then(data => audioContext.decodeAudioData(data))
+        .then(buffer => {
+            for (let c = 0; c < buffer.numberOfChannels; c++) buffer.getChannelData(c).reverse();
+            reversedAudio[assetId] = buffer;
+        })
+        .catch(e => console.warn(`No reversed audio for ${assetId}:`, e));
+    return null;
+}
+
+function syncReversedAudio(key, assetId, sourceTime, rate, volume) {
+    const buffer = getReversedAudio(assetId);
+    if (!buffer) return;
+    if (audioContext.state === 'suspended') audioContext.resume();
+    const offset = buffer.duration - sourceTime;
+    const voice = reversedVoices[key];
+    if (voice) {
+        const playedTo = voice.offset + (audioContext.currentTime - voice.startedAt) * voice.rate;
+        if (voice.assetId === assetId && Math.abs(playedTo - offset) <= 0.15) {
+            Object.assign(voice, { offset: playedTo, startedAt: audioContext.currentTime, rate });
+            voice.source.playbackRate.value = rate;
+            voice.gain.gain.value = volume;
+            return;
+        }
+        stopReversedAudio(key);
+    }
+    if (offset <= 0 || offset >= buffer.duration) return;
+
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    const gain = audioContext.createGain();
+    gain.gain.value = volume;
+    source.connect(gain).connect(audioContext.destination);
+    source.start(0, offset);
+    reversedVoices[key] = { source, gain, assetId, offset, startedAt: audioContext.currentTime, rate };
+}
+
+function stopReversedAudio(key) {
+    const voice = reversedVoices[key];
+    if (!voice) return;
+    voice.source.stop();
+    delete reversedVoices[key];
+}
+
 // ── Preview (Pure Canvas) ──────────────────────────────────
+// Where the project canvas was last drawn in the preview canvas, for mapping
+// pointer positions back to project pixels
+let previewView = null;
+// Overlays drawn in the last preview frame, bottom to top:
+// { clipId, transform, box } in project pixels, for hit-testing
+let previewOverlays = [];
+
 function updatePreview() {
     const state = useStore.getState();
     const { currentProject, currentTime, videoElements, playing } = state;
@@ -1200,8 +1375,10 @@ function updatePreview() {
     ctx.fillStyle = '#000';
     ctx.fillRect(0, 0, canvas.width, canvas.height); // Black background
 
-    // Viewport calculation (16:9 Fit)
-    const targetAspect = 16 / 9;
+    // Viewport calculation (fit the project canvas)
+    const projectW = currentProject.canvas_width || 1280;
+    const projectH = currentProject.canvas_height || 720;
+    const targetAspect = projectW / projectH;
     const canvasAspect = canvas.width / canvas.height;
     let viewW, viewH, viewX, viewY;
 
@@ -1216,9 +1393,26 @@ function updatePreview() {
         viewX = 0;
         viewY = (canvas.height - viewH) / 2;
     }
+    ctx.fillStyle = currentProject.background_color || '#000000';
+    ctx.fillRect(viewX, viewY, viewW, viewH);
+    previewView = { x: viewX, y: viewY, scaleX: viewW / projectW, scaleY: viewH / projectH };
+    previewOverlays = [];
 
     // Identify all active media elements for sync
     const activeMediaKeys = new Set();
+    const rewindingKeys = new Set();
+
+    // Rewinding: show the frame at the source time and play the audio reversed
+    const rewind = (key, el, item, volume) => {
+        if (!el.paused) el.pause();
+        if (!el.seeking && Math.abs(el.currentTime - item.sourceTime) > 1 / 30) {
+            el.currentTime = Math.max(0, item.sourceTime);
+        }
+        if (volume > 0) {
+            syncReversedAudio(key, item.assetId, item.sourceTime, -item.speed, volume);
+            rewindingKeys.add(key);
+        }
+    };
 
     // Helper to draw a video layer
     const drawVideoLayer = (layer) => {
@@ -1259,6 +1453,8 @@ function updatePreview() {
                 if (Math.abs(video.currentTime - duration) > 0.1) {
                     video.currentTime = duration;
                 }
+            } else if (layer.speed < 0) {
+                rewind(key, video, layer, Math.min(1, Math.max(0, rawVol)));
             } else {
                 // If mute state just changed while playing, force a pause-play cycle
                 // to break the browser's audio pipeline and apply the new mute state
@@ -1296,26 +1492,14 @@ function updatePreview() {
             }
         }
 
+        // Place the source on the canvas (fit / fill / stretch), cropped to the viewport
+        const fit = getFitRect(video.videoWidth, video.videoHeight, viewW, viewH, layer.properties.fit || 'fit');
         ctx.save();
-        // Apply Transition Effects
-        const { effect } = layer;
-        if (effect && effect.type !== 'none') {
-            if (effect.type === 'fade' || effect.type === 'crossfade' || effect.type === 'dissolve') {
-                ctx.globalAlpha = effect.opacity;
-            } else if (effect.type.startsWith('wipe')) {
-                let progress = effect.phase === 'in' ? effect.progress : effect.opacity;
-                ctx.beginPath();
-                let clipX = viewX, clipY = viewY, clipW = viewW, clipH = viewH;
-                if (effect.type === 'wipe-left') clipW = viewW * progress;
-                else if (effect.type === 'wipe-right') { clipX = viewX + viewW * (1 - progress); clipW = viewW * progress; }
-                else if (effect.type === 'wipe-up') { clipH = viewH * progress; clipY = viewY + viewH * (1 - progress); }
-                else if (effect.type === 'wipe-down') clipH = viewH * progress;
-                ctx.rect(clipX, clipY, clipW, clipH);
-                ctx.clip();
-            }
-        }
-
-        ctx.drawImage(video, viewX, viewY, viewW, viewH);
+        ctx.beginPath();
+        ctx.rect(viewX, viewY, viewW, viewH);
+        ctx.clip();
+        applyTransitionEffect(ctx, layer.effect, viewX, viewY, viewW, viewH);
+        ctx.drawImage(video, viewX + fit.x, viewY + fit.y, fit.width, fit.height);
         ctx.restore();
     };
 
@@ -1348,7 +1532,9 @@ function updatePreview() {
         const rawVol = audioIsMuted ? 0 : (audio.volume ?? 1);
         el.volume = Math.min(1, Math.max(0, rawVol));
 
-        if (playing) {
+        if (playing && audio.speed < 0) {
+            rewind(key, el, audio, Math.min(1, Math.max(0, rawVol)));
+        } else if (playing) {
             // Force pause-play cycle on mute change to break audio pipeline
             if (audioMuteChanged && !el.paused) {
                 el.pause();
@@ -1376,13 +1562,17 @@ function updatePreview() {
             if (!el.paused) el.pause();
         }
     }
+    for (const key in reversedVoices) {
+        if (!playing || !rewindingKeys.has(key)) stopReversedAudio(key);
+    }
 
-    // 4. Draw Overlays (Text/Image)
-    const scaleX = viewW / 1280;
-    const scaleY = viewH / 720;
+    // 4. Draw Overlays (Text/Image) – positions are in project canvas pixels
+    const scaleX = viewW / projectW;
+    const scaleY = viewH / projectH;
 
     for (const textOverlay of evalResult.overlayTexts) {
         const { properties: props, transform } = textOverlay;
+        if (!props.text || !props.text.trim()) continue;
         ctx.save();
         if (textOverlay.effect && textOverlay.effect.type === 'fade') {
             ctx.globalAlpha = textOverlay.effect.opacity * transform.opacity;
@@ -1391,21 +1581,53 @@ function updatePreview() {
         }
         const tx = viewX + transform.x * scaleX;
         const ty = viewY + transform.y * scaleY;
+        // Turn about the anchor and scale in frame axes after rotating, like
+        // the export's rotate + scale
         ctx.translate(tx, ty);
-        ctx.rotate((transform.rotation * Math.PI) / 180);
         ctx.scale(transform.scaleX, transform.scaleY);
+        ctx.rotate((transform.rotation * Math.PI) / 180);
 
-        const fontSize = (props.fontSize || 48) * scaleY;
-        ctx.font = `bold ${fontSize}px Inter, sans-serif`;
-        ctx.textBaseline = 'top';
-
-        if (props.backgroundColor) {
-            const metrics = ctx.measureText(props.text);
-            ctx.fillStyle = props.backgroundColor;
-            ctx.fillRect(-8, -4, metrics.width + 16, fontSize + 8);
-        }
-        ctx.fillStyle = props.color || '#fff';
-        ctx.fillText(props.text, 0, 0);
+        const style = getTextStyle(props);
+        ctx.font = overlayFont(props, style.fontSize * scaleY);
+        // Lines are laid out in canvas pixels at the clip's font size, like
+        // the export, then drawn fontScale times that
+        const measure = (str) => ctx.measureText(str).width / scaleY;
+        const layout = layoutTextLines(props.text, style, measure);
+        const animation = getTextAnimation(props);
+        const pieces = getTextPieces(layout, style, measure, animation);
+        const k = textOverlay.fontScale ?? 1;
+        const block = getTextBlockSize(layout, style);
+        previewOverlays.push({ clipId: textOverlay.clipId, transform, box: { width: block.width * k, height: block.height * k } });
+        ctx.translate(-transform.anchorX * block.width * k * scaleX, -transform.anchorY * block.height * k * scaleY);
+        ctx.font = overlayFont(props, style.fontSize * k * scaleY);
+        // A line's top is the font's ascent (drawtext's y_align=font)
+        ctx.textBaseline = 'alphabetic';
+        const metrics = ctx.measureText(props.text);
+        const ascent = metrics.fontBoundingBoxAscent ?? style.fontSize * k * scaleY * 0.8;
+        const descent = metrics.fontBoundingBoxDescent ?? style.fontSize * k * scaleY * 0.2;
+        const padX = TEXT_BOX_PADDING.x * scaleX;
+        const padY = TEXT_BOX_PADDING.y * scaleY;
+
+        // Pieces fade/slide in with their animation unit; a line's box shows
+        // with its first piece
+        const baseAlpha = ctx.globalAlpha;
+        const reveal = (index) => getTextReveal(textOverlay.clipLocalTime, index, animation);
+        layout.lines.forEach((line, li) => {
+            const linePieces = pieces.filter(p => p.line === li);
+            if (linePieces.length === 0) return;
+            if (style.backgroundColor) {
+                const r = reveal(linePieces[0].index);
+                ctx.globalAlpha = baseAlpha * r.opacity;
+                ctx.fillStyle = style.backgroundColor;
+                ctx.fillRect(line.x * k * scaleX - padX, (line.y + r.offsetY * style.fontSize) * k * scaleY - padY,
+                    line.width * k * scaleX + padX * 2, ascent + descent + padY * 2);
+            }
+            for (const piece of linePieces) {
+                const r = reveal(piece.index);
+                ctx.globalAlpha = baseAlpha * r.opacity;
+                drawTextPiece(ctx, piece.text, piece.x * k * scaleX, (piece.y + r.offsetY * style.fontSize) * k * scaleY + ascent, style, scaleX, scaleY);
+            }
+        });
         ctx.restore();
     }
 
@@ -1432,17 +1654,449 @@ function updatePreview() {
             const tx = viewX + transform.x * scaleX;
             const ty = viewY + transform.y * scaleY;
             ctx.translate(tx, ty);
-            ctx.rotate((transform.rotation * Math.PI) / 180);
             ctx.scale(transform.scaleX, transform.scaleY);
-            const drawW = 200 * scaleX;
-            const drawH = drawW * (img.naturalHeight / img.naturalWidth);
-            ctx.drawImage(img, -drawW / 2, -drawH / 2, drawW, drawH);
+            ctx.rotate((transform.rotation * Math.PI) / 180);
+            const size = getImageOverlaySize(img.naturalWidth, img.naturalHeight);
+            previewOverlays.push({ clipId: imgOverlay.clipId, transform, box: size });
+            const drawW = size.width * scaleX;
+            const drawH = size.height * scaleY;
+            ctx.drawImage(img, -transform.anchorX * drawW, -transform.anchorY * drawH, drawW, drawH);
             ctx.restore();
         }
     }
+
+    // 5. Motion path of the selected overlay
+    drawMotionPath(ctx);
+
+    // 6. Selection handles of the selected overlay
+    drawOverlayHandles(ctx);
+}
+
+// ── Motion paths ───────────────────────────────────────────
+// The selected overlay's position keyframes and the path between them are
+// drawn over the preview; dragging a keyframe's dot moves it.
+const MOTION_PATH_COLOR = '#d946ef';
+const MOTION_PATH_HIT_RADIUS = 8;
+
+function getSelectedOverlay() {
+    const { clip, track } = findClipAndTrack(useStore.getState().selectedClipId);
+    if (!clip || !track.type.startsWith('OVERLAY')) return null;
+    return (clip.overlayKeyframes || []).length >= 2 ? clip : null;
+}
+
+function drawMotionPath(ctx) {
+    const clip = getSelectedOverlay();
+    if (!clip || !previewView) return;
+    const v = previewView;
+    const points = sampleMotionPath(clip.overlayKeyframes, clip.properties?.motionPath, 24);
+
+    ctx.save();
+    ctx.strokeStyle = MOTION_PATH_COLOR;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    points.forEach((p, i) => {
+        const px = v.x + p.x * v.scaleX, py = v.y + p.y * v.scaleY;
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    });
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    ctx.fillStyle = MOTION_PATH_COLOR;
+    ctx.strokeStyle = '#fff';
+    for (const kf of clip.overlayKeyframes) {
+        ctx.beginPath();
+        ctx.arc(v.x + (kf.x ?? 0) * v.scaleX, v.y + (kf.y ?? 0) * v.scaleY, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+// Index of the selected overlay's position keyframe under a pointer
+// position in the preview canvas, or -1
+function hitMotionPathKeyframe(clip, px, py) {
+    const v = previewView;
+    return clip.overlayKeyframes.findIndex(kf => Math.hypot(
+        v.x + (kf.x ?? 0) * v.scaleX - px, v.y + (kf.y ?? 0) * v.scaleY - py) <= MOTION_PATH_HIT_RADIUS);
+}
+
+// ── Overlay handles ────────────────────────────────────────
+// The selected overlay gets a box with corner handles (scale about the
+// anchor) and a rotation handle; dragging its body moves it. Every drag
+// writes the overlay keyframe at the playhead, adding one if needed.
+const HANDLE_COLOR = '#6366f1';
+const HANDLE_SIZE = 8;
+const HANDLE_HIT_RADIUS = 8;
+const ROTATE_HANDLE_DISTANCE = 24;
+const ROTATE_SNAP_DEGREES = 15;
+
+// Preview canvas position of a project-pixel point
+function toPreview(p) {
+    return { x: previewView.x + p.x * previewView.scaleX, y: previewView.y + p.y * previewView.scaleY };
+}
+
+// Screen geometry of an overlay drawn in the last frame: corners (clockwise
+// from top-left), anchor, and the rotation handle above the top edge
+function getOverlayHandles(overlay) {
+    const { transform, box } = overlay;
+    const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([u, v]) => toPreview(getOverlayPoint(transform, box, u, v)));
+    const top = toPreview(getOverlayPoint(transform, box, 0.5, 0));
+    const centre = toPreview(getOverlayPoint(transform, box, 0.5, 0.5));
+    let dx = top.x - centre.x, dy = top.y - centre.y;
+    let len = Math.hypot(dx, dy);
+    if (len < 1) {
+        // Flat box: point the handle along the rotated "up"
+        const r = transform.rotation * Math.PI / 180;
+        dx = Math.sin(r); dy = -Math.cos(r); len = 1;
+    }
+    return {
+        corners, top,
+        anchor: toPreview(transform),
+        rotate: { x: top.x + dx / len * ROTATE_HANDLE_DISTANCE, y: top.y + dy / len * ROTATE_HANDLE_DISTANCE },
+    };
+}
+
+function getPreviewOverlay(clipId) {
+    return previewOverlays.find(o => o.clipId === clipId) || null;
+}
+
+function drawOverlayHandles(ctx) {
+    const overlay = getPreviewOverlay(useStore.getState().selectedClipId);
+    if (!overlay || !previewView) return;
+    const h = getOverlayHandles(overlay);
+
+    ctx.save();
+    ctx.strokeStyle = HANDLE_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    h.corners.forEach((c, i) => (i === 0 ? ctx.moveTo(c.x, c.y) : ctx.lineTo(c.x, c.y)));
+    ctx.closePath();
+    ctx.moveTo(h.top.x, h.top.y);
+    ctx.lineTo(h.rotate.x, h.rotate.y);
+    ctx.stroke();
+
+    ctx.fillStyle = '#fff';
+    for (const c of h.corners) {
+        ctx.fillRect(c.x - HANDLE_SIZE / 2, c.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        ctx.strokeRect(c.x - HANDLE_SIZE / 2, c.y - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+    }
+    ctx.beginPath();
+    ctx.arc(h.rotate.x, h.rotate.y, HANDLE_SIZE / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    // Anchor: a small crosshair
+    ctx.beginPath();
+    ctx.moveTo(h.anchor.x - 5, h.anchor.y); ctx.lineTo(h.anchor.x + 5, h.anchor.y);
+    ctx.moveTo(h.anchor.x, h.anchor.y - 5); ctx.lineTo(h.anchor.x, h.anchor.y + 5);
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * What a pointer at (px, py) on the preview canvas would grab: a handle of
+ * the selected overlay, a keyframe on its motion path, or an overlay's body.
+ * Where overlays overlap the selected one wins, so it stays draggable under
+ * others; otherwise the topmost. With `cycle` (Alt) the next overlay below
+ * the selected one is picked instead, to reach covered overlays.
+ * Returns { type: 'rotate' | 'scale' | 'path' | 'move', clipId, ... } or null.
+ */
+function hitPreview(px, py, cycle) {
+    if (!previewView) return null;
+    const { selectedClipId } = useStore.getState();
+    const selected = getPreviewOverlay(selectedClipId);
+    if (selected && !cycle) {
+        const h = getOverlayHandles(selected);
+        if (Math.hypot(h.rotate.x - px, h.rotate.y - py) <= HANDLE_HIT_RADIUS) return { type: 'rotate', clipId: selectedClipId };
+        const corner = h.corners.findIndex(c => Math.hypot(c.x - px, c.y - py) <= HANDLE_HIT_RADIUS);
+        if (corner >= 0) return { type: 'scale', clipId: selectedClipId, corner: h.corners[corner] };
+    }
+    const pathClip = getSelectedOverlay();
+    if (pathClip && !cycle) {
+        const index = hitMotionPathKeyframe(pathClip, px, py);
+        if (index >= 0) return { type: 'path', clipId: pathClip.id, index };
+    }
+
+    const x = (px - previewView.x) / previewView.scaleX;
+    const y = (py - previewView.y) / previewView.scaleY;
+    const hits = previewOverlays.filter(o => {
+        const p = getOverlayBoxPoint(o.transform, o.box, x, y);
+        return p && p.u >= 0 && p.u <= 1 && p.v >= 0 && p.v <= 1;
+    }).reverse();
+    if (hits.length === 0) return null;
+    const at = hits.findIndex(o => o.clipId === selectedClipId);
+    const hit = at < 0 ? hits[0] : hits[cycle ? (at + 1) % hits.length : at];
+    return { type: 'move', clipId: hit.clipId };
+}
+
+const PREVIEW_CURSORS = { rotate: 'grab', scale: 'nwse-resize', path: 'pointer', move: 'move' };
+const PREVIEW_DRAG_LABELS = { rotate: 'Rotate overlay', scale: 'Scale overlay', path: 'Move motion path point', move: 'Move overlay' };
+
+function onPreviewHover(e) {
+    const canvas = $('#preview-canvas');
+    const rect = canvas.getBoundingClientRect();
+    const hit = hitPreview(e.clientX - rect.left, e.clientY - rect.top, e.altKey);
+    canvas.style.cursor = hit ? PREVIEW_CURSORS[hit.type] : '';
+}
+
+function onPreviewMouseDown(e) {
+    const rect = $('#preview-canvas').getBoundingClientRect();
+    const hit = hitPreview(e.clientX - rect.left, e.clientY - rect.top, e.altKey);
+    if (!hit) return;
+    e.preventDefault();
+    const v = previewView;
+    const state = useStore.getState();
+    if (hit.clipId !== state.selectedClipId) state.selectClip(hit.clipId);
+
+    let onMove;
+    if (hit.type === 'path') {
+        onMove = ev => useStore.getState().updateKeyframe(hit.clipId, 'overlay', hit.index, {
+            x: Math.round((ev.clientX - rect.left - v.x) / v.scaleX),
+            y: Math.round((ev.clientY - rect.top - v.y) / v.scaleY),
+        });
+    } else {
+        // Auto-key at the playhead, starting from the transform on screen
+        const { clip } = findClipAndTrack(hit.clipId);
+        const time = state.currentTime - clip.start_time;
+        const { transform } = getPreviewOverlay(hit.clipId);
+        const anchor = toPreview(transform);
+        const start = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        const key = updates => useStore.getState().keyOverlayAt(hit.clipId, time, updates);
+
+        if (hit.type === 'move') {
+            onMove = ev => key({
+                x: Math.round(transform.x + (ev.clientX - rect.left - start.x) / v.scaleX),
+                y: Math.round(transform.y + (ev.clientY - rect.top - start.y) / v.scaleY),
+            });
+        } else if (hit.type === 'scale') {
+            // Uniform scale about the anchor, by how far the corner moves from it
+            const from = Math.hypot(hit.corner.x - anchor.x, hit.corner.y - anchor.y);
+            if (from < 1) return;
+            onMove = ev => {
+                const k = Math.hypot(ev.clientX - rect.left - anchor.x, ev.clientY - rect.top - anchor.y) / from;
+                key({
+                    scale_x: Math.round(transform.scaleX * k * 1000) / 1000,
+                    scale_y: Math.round(transform.scaleY * k * 1000) / 1000,
+                });
+            };
+        } else {
+            // Turned by the pointer's angle about the anchor, unwrapped so
+            // whole turns keep adding up
+            const angle = (p) => Math.atan2(p.y - anchor.y, p.x - anchor.x) * 180 / Math.PI;
+            let last = angle(start), rotation = transform.rotation;
+            onMove = ev => {
+                const a = angle({ x: ev.clientX - rect.left, y: ev.clientY - rect.top });
+                rotation += a - last - 360 * Math.round((a - last) / 360);
+                last = a;
+                // Shift snaps to whole steps
+                key({ rotation: ev.shiftKey ? Math.round(rotation / ROTATE_SNAP_DEGREES) * ROTATE_SNAP_DEGREES : Math.round(rotation * 10) / 10 });
+            };
+        }
+    }
+
+    // The whole drag undoes as one step
+    useStore.getState().beginHistoryGroup(PREVIEW_DRAG_LABELS[hit.type]);
+    function onUp() {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        useStore.getState().endHistoryGroup();
+    }
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Set up the canvas state for a clip's transition before its frame is drawn.
+ * The FFmpeg export builds the same effects in buildTransitionGraph().
+ */
+function applyTransitionEffect(ctx, effect, viewX, viewY, viewW, viewH) {
+    if (!effect || effect.type === 'none') return;
+    const progress = effect.opacity;
+
+    if (effect.type === 'fade' || effect.type === 'crossfade' || effect.type === 'dissolve') {
+        ctx.globalAlpha = progress;
+    } else if (effect.type.startsWith('wipe')) {
+        ctx.beginPath();
+        let clipX = viewX, clipY = viewY, clipW = viewW, clipH = viewH;
+        if (effect.type === 'wipe-left') clipW = viewW * progress;
+        else if (effect.type === 'wipe-right') { clipX = viewX + viewW * (1 - progress); clipW = viewW * progress; }
+        else if (effect.type === 'wipe-up') { clipH = viewH * progress; clipY = viewY + viewH * (1 - progress); }
+        else if (effect.type === 'wipe-down') clipH = viewH * progress;
+        ctx.rect(clipX, clipY, clipW, clipH);
+        ctx.clip();
+    } else {
+        // Slides, zooms and blur move or resample the frame, so keep it inside the viewport
+        ctx.beginPath();
+        ctx.rect(viewX, viewY, viewW, viewH);
+        ctx.clip();
+
+        if (effect.type === 'slide-left' || effect.type === 'slide-right') {
+            // Enter from the leading edge, leave towards the trailing edge
+            const offset = viewW * (1 - progress);
+            const dir = effect.type === 'slide-left' ? 1 : -1;
+            ctx.translate(effect.phase === 'in' ? dir * offset : -dir * offset, 0);
+        } else if (effect.type === 'zoom-in' || effect.type === 'zoom-out') {
+            const scale = effect.type === 'zoom-in' ? progress : 2 - progress;
+            const cx = viewX + viewW / 2, cy = viewY + viewH / 2;
+            ctx.translate(cx, cy);
+            ctx.scale(scale, scale);
+            ctx.translate(-cx, -cy);
+            if (effect.type === 'zoom-out') ctx.globalAlpha = progress;
+        } else if (effect.type === 'blur') {
+            ctx.filter = `blur(${getTransitionBlur(progress) * viewW}px)`;
+            ctx.globalAlpha = progress;
+        }
+    }
 }
 
 // ── Properties Panel ───────────────────────────────────────
+const TEXT_ANIMATION_LABELS = {
+    typewriter: 'Typewriter',
+    wordFade: 'Word by word',
+    slideUp: 'Line slide-up',
+};
+
+// Easing select groups; every EASING_PRESETS entry appears once
+const EASING_GROUPS = [
+    { label: 'Basic', options: { linear: 'Linear', hold: 'Hold (Step)' } },
+    { label: 'Quad', options: { easeIn: 'Ease In', easeOut: 'Ease Out', easeInOut: 'Ease In Out' } },
+    { label: 'Back', options: { easeInBack: 'Back In', easeOutBack: 'Back Out', easeInOutBack: 'Back In Out' } },
+    { label: 'Bounce', options: { easeInBounce: 'Bounce In', easeOutBounce: 'Bounce Out' } },
+    { label: 'Elastic', options: { easeInElastic: 'Elastic In', easeOutElastic: 'Elastic Out' } },
+];
+// Starting handles of a custom curve: CSS 'ease'
+const DEFAULT_BEZIER = [0.25, 0.1, 0.25, 1];
+
+/**
+ * Small SVG plot of an easing curve. y runs from -0.5 to 1.5 so back and
+ * elastic overshoots stay visible.
+ */
+function createEasingCurve(easing) {
+    const W = 56, H = 40, STEPS = 40;
+    const toY = v => (H * (1.5 - v) / 2).toFixed(2);
+    const points = [];
+    for (let i = 0; i <= STEPS; i++) {
+        const t = i / STEPS;
+        points.push(`${(t * W).toFixed(2)},${toY(getEasedProgress(t, easing))}`);
+    }
+    const wrap = document.createElement('div');
+    wrap.className = 'kf-curve';
+    wrap.title = easing || 'linear';
+    wrap.innerHTML = `
+        <svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}">
+            <line x1="0" y1="${toY(0)}" x2="${W}" y2="${toY(0)}"/>
+            <line x1="0" y1="${toY(1)}" x2="${W}" y2="${toY(1)}"/>
+            <polyline points="${points.join(' ')}"/>
+        </svg>
+    `;
+    return wrap;
+}
+
+/**
+ * Easing select with a plot of the curve, plus a row of handle inputs when the
+ * easing is a cubic-bezier(). `setEasing(easing)` stores the new value.
+ */
+function createEasingRows(easing, setEasing) {
+    const bezier = parseCubicBezier(easing);
+    const row = document.createElement('div');
+    row.className = 'kf-row';
+    row.innerHTML = `
+        <div class="kf-field kf-field-full">
+            <label>Easing</label>
+            <select class="kf-select">
+                ${EASING_GROUPS.map(g => `
+                    <optgroup label="${g.label}">
+                        ${Object.entries(g.options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </optgroup>
+                `).join('')}
+                <optgroup label="Custom">
+                    <option value="bezier">Cubic Bezier…</option>
+                </optgroup>
+            </select>
+        </div>
+    `;
+    const select = row.querySelector('select');
+    select.value = bezier ? 'bezier' : (EASING_PRESETS.includes(easing) ? easing : 'linear');
+    select.onchange = () => setEasing(select.value === 'bezier' ? formatCubicBezier(...(bezier || DEFAULT_BEZIER)) : select.value);
+    row.appendChild(createEasingCurve(easing));
+    if (!bezier) return [row];
+
+    const handles = document.createElement('div');
+    handles.className = 'kf-row';
+    ['x1', 'y1', 'x2', 'y2'].forEach((label, h) => {
+        const wrap = document.createElement('div');
+        wrap.className = 'kf-field';
+        // x handles must stay within 0..1, y handles may overshoot
+        const range = h % 2 === 0 ? 'min="0" max="1"' : '';
+        wrap.innerHTML = `<label>${label}</label><input type="number" step="0.05" ${range} value="${bezier[h]}" class="kf-bezier"/>`;
+        handles.appendChild(wrap);
+    });
+    const inputs = [...handles.querySelectorAll('.kf-bezier')];
+    inputs.forEach(input => {
+        input.onchange = () => setEasing(formatCubicBezier(...inputs.map((el, h) => {
+            const n = parseFloat(el.value);
+            const value = Number.isFinite(n) ? n : bezier[h];
+            return h % 2 === 0 ? Math.min(1, Math.max(0, value)) : value;
+        })));
+    });
+    return [row, handles];
+}
+
+// Plays the clip's source range backwards (video and audio clips)
+function createReverseRow(clip) {
+    const row = document.createElement('div');
+    row.className = 'prop-inline-row';
+    row.innerHTML = `
+        <div class="prop-field">
+            <label class="toggle-label">
+                <input type="checkbox" class="toggle-check" ${clip.properties?.reverse ? 'checked' : ''} />
+                <span>Play reversed</span>
+            </label>
+        </div>
+    `;
+    row.querySelector('input').onchange = e => {
+        useStore.getState().updateClip(clip.id, { properties: { ...clip.properties, reverse: e.target.checked } });
+    };
+    return row;
+}
+
+// Fit to duration: solve the speeds so the clip plays `Source` seconds of
+// source in `Duration` seconds, keeping the ramp's shape
+// Defaults to the clip's source range (in → out point); fitting also moves
+// the out point so trims and splits read the range the clip now plays
+function createFitDurationRow(clip) {
+    const source = clip.out_point - clip.in_point;
+    const row = document.createElement('div');
+    row.className = 'prop-inline-row prop-fit-row';
+    row.innerHTML = `
+        <div class="prop-field">
+            <label class="prop-field-label">Source (s)</label>
+            <input type="number" class="prop-input fit-source" min="0.01" step="0.1" value="${+source.toFixed(3)}" />
+        </div>
+        <div class="prop-field">
+            <label class="prop-field-label">Duration (s)</label>
+            <input type="number" class="prop-input fit-duration" min="0.01" step="0.1" value="${+clip.duration.toFixed(3)}" />
+        </div>
+        <button class="btn btn-small btn-secondary" title="Solve the speeds so the source range fills the duration">Fit</button>
+    `;
+    row.querySelector('button').onclick = () => {
+        const duration = parseFloat(row.querySelector('.fit-duration').value);
+        const source = parseFloat(row.querySelector('.fit-source').value);
+        const fitted = fitSpeedRampToDuration(clip.speedKeyframes, clip.duration, duration, source);
+        if (!fitted) {
+            toast('Cannot fit: durations must be positive and the ramp must play the source forwards overall', 'error');
+            return;
+        }
+        useStore.getState().updateClip(clip.id, {
+            duration,
+            out_point: clip.in_point + source,
+            speedKeyframes: fitted.map(kf => kf.id ? kf : { ...kf, id: generateId() }),
+        }, 'Fit speed ramp');
+    };
+    return row;
+}
+
 function renderProperties() {
     const { selectedClipId, currentProject } = useStore.getState();
     const content = $('#props-content');
@@ -1451,6 +2105,7 @@ function renderProperties() {
     if (!selectedClipId || !currentProject) {
         title.textContent = 'Properties';
         content.innerHTML = '<div class="placeholder-text"><div class="empty-icon">🎬</div><p>Select a clip to edit its properties</p></div>';
+        if (currentProject) content.prepend(createCanvasGroup(currentProject));
         return;
     }
     const { clip, track } = findClipAndTrack(selectedClipId);
@@ -1473,6 +2128,28 @@ function renderProperties() {
     grp.appendChild(createPropRow('Duration (s)', 'number', clip.duration, v => useStore.getState().updateClip(clip.id, { duration: parseFloat(v) })));
     content.appendChild(grp);
 
+    // Framing – how the source sits on the project canvas
+    if (track.type.startsWith('VIDEO')) {
+        const fGrp = createPropGroup('Framing');
+        const row = document.createElement('div');
+        row.className = 'prop-row';
+        row.innerHTML = `
+            <span class="prop-label">Fit</span>
+            <select class="kf-select">
+                <option value="fit">Fit (letterbox)</option>
+                <option value="fill">Fill (crop)</option>
+                <option value="stretch">Stretch</option>
+            </select>
+        `;
+        const select = row.querySelector('select');
+        select.value = clip.properties?.fit || 'fit';
+        select.onchange = e => {
+            useStore.getState().updateClip(clip.id, { properties: { ...clip.properties, fit: e.target.value } });
+        };
+        fGrp.appendChild(row);
+        content.appendChild(fGrp);
+    }
+
     // Audio (Video & Audio clips)
     if (track.type.startsWith('VIDEO') || track.type === 'AUDIO') {
         const aGrp = createPropGroup('Audio');
@@ -1515,6 +2192,8 @@ function renderProperties() {
                 useStore.getState().updateClip(clipId, { properties: { ...freshProps, volume: parseFloat(v) } });
             }));
         }
+        // Video clips reverse from the Speed Ramp group
+        if (track.type === 'AUDIO') aGrp.appendChild(createReverseRow(clip));
         content.appendChild(aGrp);
     }
 
@@ -1526,20 +2205,34 @@ function renderProperties() {
             });
         });
 
+        sGrp.appendChild(createReverseRow(clip));
+        sGrp.appendChild(createFitDurationRow(clip));
+
         const kList = document.createElement('div');
         kList.className = 'kf-list';
+        const speedKfs = [...(clip.speedKeyframes || [])].sort((a, b) => a.time - b.time);
         (clip.speedKeyframes || []).forEach((kf, i) => {
             const item = document.createElement('div');
-            item.className = 'kf-item kf-item-row';
-            item.innerHTML = `
-                <span class="kf-diamond speed">◆</span>
-                <div class="kf-field"><label>Time</label><input type="number" step="0.1" value="${kf.time}" class="kf-time" /></div>
-                <div class="kf-field"><label>Speed</label><input type="number" step="0.1" value="${kf.speed}" class="kf-val" /></div>
+            item.className = 'kf-item kf-item-column';
+            const row = document.createElement('div');
+            row.className = 'kf-row kf-row-header';
+            row.innerHTML = `
+                <div class="kf-row-left">
+                    <span class="kf-diamond speed">◆</span>
+                    <div class="kf-field"><label>Time</label><input type="number" step="0.1" value="${kf.time}" class="kf-time" /></div>
+                    <div class="kf-field"><label>Speed</label><input type="number" step="0.1" value="${kf.speed}" class="kf-val" /></div>
+                </div>
                 <button class="kf-rem" title="Remove keyframe">×</button>
             `;
-            item.querySelector('.kf-time').onchange = e => useStore.getState().updateKeyframe(clip.id, 'speed', i, { time: parseFloat(e.target.value) });
-            item.querySelector('.kf-val').onchange = e => useStore.getState().updateKeyframe(clip.id, 'speed', i, { speed: parseFloat(e.target.value) });
-            item.querySelector('.kf-rem').onclick = () => useStore.getState().removeKeyframe(clip.id, 'speed', i);
+            row.querySelector('.kf-time').onchange = e => useStore.getState().updateKeyframe(clip.id, 'speed', i, { time: parseFloat(e.target.value) });
+            row.querySelector('.kf-val').onchange = e => useStore.getState().updateKeyframe(clip.id, 'speed', i, { speed: parseFloat(e.target.value) });
+            row.querySelector('.kf-rem').onclick = () => useStore.getState().removeKeyframe(clip.id, 'speed', i);
+            item.appendChild(row);
+            // The easing shapes the ramp to the next keyframe, so the last one has none
+            if (kf !== speedKfs[speedKfs.length - 1]) {
+                createEasingRows(kf.easing, easing => useStore.getState().updateKeyframe(clip.id, 'speed', i, { easing }))
+                    .forEach(r => item.appendChild(r));
+            }
             kList.appendChild(item);
         });
         sGrp.appendChild(kList);
@@ -1592,6 +2285,166 @@ function renderProperties() {
         };
         tGrp.appendChild(styleRow);
 
+        // Font family + weight, resolved the same way as the preview and export
+        const family = tp.fontFamily || DEFAULT_FONT_FAMILY;
+        const weight = Number(tp.fontWeight) || DEFAULT_FONT_WEIGHT;
+        const families = [...new Set(fontFaces.map(f => f.family))];
+        if (!families.includes(family)) families.unshift(family);
+        const resolved = matchFontFace(fontFaces, family, weight, tp.fontStyle);
+        const weights = [...new Set(fontFaces.filter(f => f.family === family).map(f => f.weight))];
+        if (!weights.includes(weight)) weights.push(weight);
+
+        const fontRow = document.createElement('div');
+        fontRow.className = 'prop-inline-row';
+        fontRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Font</label>
+                <select class="kf-select font-family"></select>
+            </div>
+            <div class="prop-field">
+                <label class="prop-field-label">Weight</label>
+                <select class="kf-select font-weight"></select>
+            </div>
+        `;
+        const familySelect = fontRow.querySelector('.font-family');
+        families.forEach(f => familySelect.add(new Option(fontFaces.some(face => face.family === f) ? f : `${f} (missing)`, f)));
+        familySelect.value = family;
+        familySelect.onchange = () => {
+            // Keep the closest weight the new family has
+            const face = matchFontFace(fontFaces.filter(f => f.family === familySelect.value), familySelect.value, weight, tp.fontStyle);
+            useStore.getState().updateClip(clip.id, {
+                properties: { ...tp, fontFamily: familySelect.value, fontWeight: face ? face.weight : weight }
+            });
+        };
+        const weightSelect = fontRow.querySelector('.font-weight');
+        weights.sort((a, b) => a - b).forEach(w => weightSelect.add(new Option(String(w), String(w))));
+        weightSelect.value = String(weight);
+        weightSelect.onchange = () => {
+            useStore.getState().updateClip(clip.id, { properties: { ...tp, fontWeight: parseInt(weightSelect.value) } });
+        };
+        tGrp.appendChild(fontRow);
+
+        const fontNote = document.createElement('div');
+        fontNote.className = 'prop-inline-row';
+        fontNote.innerHTML = `
+            <span class="prop-field-label font-resolved"></span>
+            <label class="btn btn-secondary btn-sm">
+                Upload font
+                <input type="file" accept=".ttf,.otf" hidden />
+            </label>
+        `;
+        fontNote.querySelector('.font-resolved').textContent = resolved
+            ? `Renders with ${resolved.family} ${resolved.weight}${resolved.style === 'italic' ? ' italic' : ''}`
+            : 'No fonts installed';
+        const fontInput = fontNote.querySelector('input[type="file"]');
+        fontInput.onchange = () => {
+            if (fontInput.files[0]) uploadFont(fontInput.files[0]);
+        };
+        tGrp.appendChild(fontNote);
+
+        // Layout + outline/shadow; defaults come from the engine so the panel
+        // shows what the preview and export draw
+        const ts = getTextStyle(tp);
+        const setText = (patch) => useStore.getState().updateClip(clip.id, { properties: { ...tp, ...patch } });
+
+        const layoutRow = document.createElement('div');
+        layoutRow.className = 'prop-inline-row';
+        layoutRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Align</label>
+                <select class="kf-select text-align">
+                    ${TEXT_ALIGNS.map(a => `<option value="${a}">${a[0].toUpperCase() + a.slice(1)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="prop-field">
+                <label class="prop-field-label">Max Width</label>
+                <input type="number" class="prop-input text-max-width" value="${ts.maxWidth}" min="0" step="10" title="0 = no wrapping" />
+            </div>
+        `;
+        layoutRow.querySelector('.text-align').value = ts.align;
+        layoutRow.querySelector('.text-align').onchange = e => setText({ textAlign: e.target.value });
+        layoutRow.querySelector('.text-max-width').onchange = e => setText({ maxWidth: Math.max(0, parseFloat(e.target.value) || 0) });
+        tGrp.appendChild(layoutRow);
+
+        const spacingRow = document.createElement('div');
+        spacingRow.className = 'prop-inline-row';
+        spacingRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Line Height</label>
+                <input type="number" class="prop-input text-line-height" value="${ts.lineHeight}" min="0.5" max="4" step="0.1" />
+            </div>
+            <div class="prop-field">
+                <label class="prop-field-label">Letter Spacing</label>
+                <input type="number" class="prop-input text-letter-spacing" value="${ts.letterSpacing}" step="0.5" />
+            </div>
+        `;
+        spacingRow.querySelector('.text-line-height').onchange = e => setText({ lineHeight: parseFloat(e.target.value) });
+        spacingRow.querySelector('.text-letter-spacing').onchange = e => setText({ letterSpacing: parseFloat(e.target.value) || 0 });
+        tGrp.appendChild(spacingRow);
+
+        const strokeRow = document.createElement('div');
+        strokeRow.className = 'prop-inline-row';
+        strokeRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Outline</label>
+                <div class="color-picker-wrap">
+                    <input type="color" class="prop-color" value="${ts.strokeColor}" />
+                    <span class="color-hex">${ts.strokeColor}</span>
+                </div>
+            </div>
+            <div class="prop-field">
+                <label class="prop-field-label">Width</label>
+                <input type="number" class="prop-input text-stroke-width" value="${ts.strokeWidth}" min="0" max="20" step="1" />
+            </div>
+        `;
+        const strokeColor = strokeRow.querySelector('input[type="color"]');
+        strokeColor.oninput = e => { strokeRow.querySelector('.color-hex').textContent = e.target.value; };
+        strokeColor.onchange = e => setText({ strokeColor: e.target.value });
+        strokeRow.querySelector('.text-stroke-width').onchange = e => setText({ strokeWidth: Math.max(0, parseFloat(e.target.value) || 0) });
+        tGrp.appendChild(strokeRow);
+
+        const shadowRow = document.createElement('div');
+        shadowRow.className = 'prop-inline-row';
+        shadowRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Shadow</label>
+                <div class="color-picker-wrap">
+                    <input type="color" class="prop-color" value="${ts.shadowColor || '#000000'}" />
+                    <span class="color-hex">${ts.shadowColor || 'none'}</span>
+                </div>
+            </div>
+            <div class="prop-field">
+                <label class="toggle-label">
+                    <input type="checkbox" class="toggle-check" ${ts.shadowColor ? 'checked' : ''} />
+                    <span>Enable</span>
+                </label>
+            </div>
+        `;
+        const shadowColor = shadowRow.querySelector('input[type="color"]');
+        const shadowCheck = shadowRow.querySelector('input[type="checkbox"]');
+        shadowColor.oninput = e => { shadowRow.querySelector('.color-hex').textContent = e.target.value; };
+        shadowColor.onchange = e => { if (shadowCheck.checked) setText({ shadowColor: e.target.value }); };
+        shadowCheck.onchange = e => setText({ shadowColor: e.target.checked ? shadowColor.value : null });
+        tGrp.appendChild(shadowRow);
+
+        if (ts.shadowColor) {
+            const offsetRow = document.createElement('div');
+            offsetRow.className = 'prop-inline-row';
+            offsetRow.innerHTML = `
+                <div class="prop-field">
+                    <label class="prop-field-label">Shadow X</label>
+                    <input type="number" class="prop-input text-shadow-x" value="${ts.shadowX}" step="1" />
+                </div>
+                <div class="prop-field">
+                    <label class="prop-field-label">Shadow Y</label>
+                    <input type="number" class="prop-input text-shadow-y" value="${ts.shadowY}" step="1" />
+                </div>
+            `;
+            offsetRow.querySelector('.text-shadow-x').onchange = e => setText({ shadowX: parseFloat(e.target.value) || 0 });
+            offsetRow.querySelector('.text-shadow-y').onchange = e => setText({ shadowY: parseFloat(e.target.value) || 0 });
+            tGrp.appendChild(offsetRow);
+        }
+
         // Background Color
         const bgRow = document.createElement('div');
         bgRow.className = 'prop-inline-row';
@@ -1627,6 +2480,49 @@ function renderProperties() {
         };
         tGrp.appendChild(bgRow);
 
+        // Animation preset + timing (seconds); the engine fills in preset defaults
+        const anim = getTextAnimation(tp);
+        const setAnim = (patch) => setText({ textAnimation: { ...(tp.textAnimation || {}), ...patch } });
+        const animRow = document.createElement('div');
+        animRow.className = 'prop-inline-row';
+        animRow.innerHTML = `
+            <div class="prop-field">
+                <label class="prop-field-label">Animation</label>
+                <select class="kf-select text-anim">
+                    <option value="">None</option>
+                    ${Object.keys(TEXT_ANIMATIONS).map(type => `<option value="${type}">${TEXT_ANIMATION_LABELS[type]}</option>`).join('')}
+                </select>
+            </div>
+            <div class="prop-field">
+                <label class="prop-field-label">Delay</label>
+                <input type="number" class="prop-input text-anim-delay" value="${anim ? anim.delay : 0}" min="0" step="0.1" ${anim ? '' : 'disabled'} />
+            </div>
+        `;
+        animRow.querySelector('.text-anim').value = anim ? anim.type : '';
+        // A new preset starts from its own timing
+        animRow.querySelector('.text-anim').onchange = e => setText({ textAnimation: e.target.value ? { type: e.target.value } : null });
+        animRow.querySelector('.text-anim-delay').onchange = e => setAnim({ delay: Math.max(0, parseFloat(e.target.value) || 0) });
+        tGrp.appendChild(animRow);
+
+        if (anim) {
+            const unitLabel = { char: 'letter', word: 'word', line: 'line' }[anim.unit];
+            const timingRow = document.createElement('div');
+            timingRow.className = 'prop-inline-row';
+            timingRow.innerHTML = `
+                <div class="prop-field">
+                    <label class="prop-field-label">Per ${unitLabel}</label>
+                    <input type="number" class="prop-input text-anim-stagger" value="${anim.stagger}" min="0" step="0.01" />
+                </div>
+                <div class="prop-field">
+                    <label class="prop-field-label">Fade</label>
+                    <input type="number" class="prop-input text-anim-duration" value="${anim.duration}" min="0" step="0.05" />
+                </div>
+            `;
+            timingRow.querySelector('.text-anim-stagger').onchange = e => setAnim({ stagger: Math.max(0, parseFloat(e.target.value) || 0) });
+            timingRow.querySelector('.text-anim-duration').onchange = e => setAnim({ duration: Math.max(0, parseFloat(e.target.value) || 0) });
+            tGrp.appendChild(timingRow);
+        }
+
         content.appendChild(tGrp);
     }
 
@@ -1655,22 +2551,6 @@ function renderProperties() {
                 <button class="kf-rem" title="Remove keyframe">×</button>
             `;
 
-            // Row 2: Easing
-            const row2 = document.createElement('div');
-            row2.className = 'kf-row';
-            row2.innerHTML = `
-                <div class="kf-field kf-field-full">
-                    <label>Easing</label>
-                    <select class="kf-select">
-                        <option value="linear">Linear</option>
-                        <option value="easeIn">Ease In (Quad)</option>
-                        <option value="easeOut">Ease Out (Quad)</option>
-                        <option value="easeInOut">Ease In Out</option>
-                    </select>
-                </div>
-            `;
-            row2.querySelector('select').value = kf.easing || 'linear';
-
             // Row 3: Transform values
             const row3 = document.createElement('div');
             row3.className = 'kf-row kf-row-wrap';
@@ -1691,19 +2571,206 @@ function renderProperties() {
             // Bindings
             row1.querySelector('.kf-time').onchange = e => useStore.getState().updateKeyframe(clip.id, 'overlay', i, { time: parseFloat(e.target.value) });
             row1.querySelector('.kf-rem').onclick = () => useStore.getState().removeKeyframe(clip.id, 'overlay', i);
-            row2.querySelector('.kf-select').onchange = e => useStore.getState().updateKeyframe(clip.id, 'overlay', i, { easing: e.target.value });
             fields.forEach(({ key }) => {
                 row3.querySelector(`.kf-v-${key}`).onchange = e => useStore.getState().updateKeyframe(clip.id, 'overlay', i, { [key]: parseFloat(e.target.value) });
             });
 
             item.appendChild(row1);
-            item.appendChild(row2);
+            createEasingRows(kf.easing, easing => useStore.getState().updateKeyframe(clip.id, 'overlay', i, { easing }))
+                .forEach(row => item.appendChild(row));
             item.appendChild(row3);
+            item.appendChild(createAnchorRow(clip, track, kf, i));
             kList.appendChild(item);
         });
         ovGrp.appendChild(kList);
+
+        const pathRow = document.createElement('div');
+        pathRow.className = 'prop-row';
+        pathRow.innerHTML = `
+            <span class="prop-label">Motion path</span>
+            <select class="kf-select">
+                ${MOTION_PATHS.map(p => `<option value="${p}">${p === 'smooth' ? 'Smooth (spline)' : 'Linear'}</option>`).join('')}
+            </select>
+        `;
+        const pathSelect = pathRow.querySelector('select');
+        pathSelect.value = clip.properties?.motionPath || 'linear';
+        pathSelect.onchange = e => {
+            useStore.getState().updateClip(clip.id, { properties: { ...clip.properties, motionPath: e.target.value } });
+        };
+        ovGrp.appendChild(pathRow);
         content.appendChild(ovGrp);
     }
+
+    // Property keyframes – curves for the clip's keyframable properties
+    const properties = Object.keys(KEYFRAMABLE_PROPERTIES).filter(k => KEYFRAMABLE_PROPERTIES[k].tracks.includes(track.type));
+    if (properties.length > 0) content.appendChild(createPropertyKeyframesGroup(clip, properties));
+}
+
+// Current value of a keyframable property: its curve at the playhead, else
+// the clip's static value
+function currentPropertyValue(clip, property, clipLocalTime) {
+    const animated = getPropertyValue(clip.propertyKeyframes, property, clipLocalTime);
+    if (animated !== undefined) return animated;
+    if (property === 'volume') return clip.properties?.volume ?? 1;
+    return getTextStyle(clip.properties || {})[property];
+}
+
+// #rrggbb for a color input (alpha is kept by rgba() values, not edited here)
+function colorInputValue(color) {
+    const rgba = parseColor(color) || [255, 255, 255, 1];
+    return '#' + rgba.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Keyframe lists for the clip's KEYFRAMABLE_PROPERTIES. "+ Key" adds a
+ * keyframe at the playhead holding the property's current value; `index` in
+ * the store actions is into the clip's whole propertyKeyframes list.
+ */
+function createPropertyKeyframesGroup(clip, properties) {
+    const grp = createPropGroup('Property Keyframes');
+    const kfs = clip.propertyKeyframes || [];
+
+    properties.forEach(property => {
+        const def = KEYFRAMABLE_PROPERTIES[property];
+        const title = document.createElement('div');
+        title.className = 'kf-property-title';
+        title.innerHTML = `<span>${def.label}</span><button class="btn btn-small btn-secondary">+ Key</button>`;
+        title.querySelector('button').onclick = () => {
+            const { currentTime } = useStore.getState();
+            const time = Math.round(Math.max(0, Math.min(clip.duration, currentTime - clip.start_time)) * 100) / 100;
+            useStore.getState().addKeyframe(clip.id, 'property', {
+                id: generateId(), property, time, value: currentPropertyValue(clip, property, time), easing: 'linear'
+            });
+        };
+        grp.appendChild(title);
+
+        const kList = document.createElement('div');
+        kList.className = 'kf-list';
+        const own = kfs.filter(kf => kf.property === property);
+        kfs.forEach((kf, i) => {
+            if (kf.property !== property) return;
+            const item = document.createElement('div');
+            item.className = 'kf-item kf-item-column';
+            const row = document.createElement('div');
+            row.className = 'kf-row kf-row-header';
+            const valueInput = def.type === 'color'
+                ? `<input type="color" class="prop-color kf-val" value="${colorInputValue(kf.value)}" />`
+                : `<input type="number" step="${property === 'volume' ? 0.05 : 1}" min="${def.min ?? ''}" value="${kf.value}" class="kf-val" />`;
+            row.innerHTML = `
+                <div class="kf-row-left">
+                    <span class="kf-diamond property">◆</span>
+                    <div class="kf-field"><label>Time</label><input type="number" step="0.1" value="${kf.time}" class="kf-time" /></div>
+                    <div class="kf-field"><label>Value</label>${valueInput}</div>
+                </div>
+                <button class="kf-rem" title="Remove keyframe">×</button>
+            `;
+            row.querySelector('.kf-time').onchange = e => useStore.getState().updateKeyframe(clip.id, 'property', i, { time: parseFloat(e.target.value) });
+            row.querySelector('.kf-val').onchange = e => useStore.getState().updateKeyframe(clip.id, 'property', i, {
+                value: def.type === 'color' ? e.target.value : parseFloat(e.target.value)
+            });
+            row.querySelector('.kf-rem').onclick = () => useStore.getState().removeKeyframe(clip.id, 'property', i);
+            item.appendChild(row);
+            // The easing shapes the curve to the next keyframe, so the last one has none
+            if (kf !== own[own.length - 1]) {
+                createEasingRows(kf.easing, easing => useStore.getState().updateKeyframe(clip.id, 'property', i, { easing }))
+                    .forEach(r => item.appendChild(r));
+            }
+            kList.appendChild(item);
+        });
+        grp.appendChild(kList);
+    });
+    return grp;
+}
+
+const ANCHOR_LABELS = {
+    'top-left': 'Top left', 'top-right': 'Top right', center: 'Center',
+    'bottom-left': 'Bottom left', 'bottom-right': 'Bottom right',
+};
+
+/**
+ * Anchor point of an overlay keyframe: a preset, or custom fractions of the
+ * overlay's box (0 = left/top, 1 = right/bottom).
+ */
+function createAnchorRow(clip, track, kf, index) {
+    const fallback = getDefaultAnchor(track.type);
+    const ax = kf.anchor_x ?? fallback.x;
+    const ay = kf.anchor_y ?? fallback.y;
+    const preset = Object.keys(ANCHOR_PRESETS).find(k => ANCHOR_PRESETS[k].x === ax && ANCHOR_PRESETS[k].y === ay);
+
+    const row = document.createElement('div');
+    row.className = 'kf-row kf-row-wrap';
+    row.innerHTML = `
+        <div class="kf-field"><label>Anchor</label>
+            <select class="kf-select kf-anchor">
+                ${Object.keys(ANCHOR_PRESETS).map(k => `<option value="${k}">${ANCHOR_LABELS[k]}</option>`).join('')}
+                <option value="custom">Custom</option>
+            </select>
+        </div>
+        <div class="kf-field"><label>AX</label><input type="number" step="0.05" value="${ax}" class="kf-v-anchor_x"/></div>
+        <div class="kf-field"><label>AY</label><input type="number" step="0.05" value="${ay}" class="kf-v-anchor_y"/></div>
+    `;
+    const update = updates => useStore.getState().updateKeyframe(clip.id, 'overlay', index, updates);
+    const select = row.querySelector('.kf-anchor');
+    select.value = preset || 'custom';
+    select.onchange = e => {
+        const p = ANCHOR_PRESETS[e.target.value];
+        if (p) update({ anchor_x: p.x, anchor_y: p.y });
+    };
+    row.querySelector('.kf-v-anchor_x').onchange = e => update({ anchor_x: parseFloat(e.target.value) });
+    row.querySelector('.kf-v-anchor_y').onchange = e => update({ anchor_y: parseFloat(e.target.value) });
+    return row;
+}
+
+/**
+ * Project-level canvas settings, shown when no clip is selected.
+ */
+function createCanvasGroup(project) {
+    const grp = createPropGroup('Project Canvas');
+    const width = project.canvas_width || 1280;
+    const height = project.canvas_height || 720;
+    const presetKey = Object.keys(CANVAS_PRESETS).find(k =>
+        CANVAS_PRESETS[k].canvas_width === width && CANVAS_PRESETS[k].canvas_height === height) || 'custom';
+
+    const presetRow = document.createElement('div');
+    presetRow.className = 'prop-row';
+    presetRow.innerHTML = `
+        <span class="prop-label">Preset</span>
+        <select class="kf-select">
+            ${Object.entries(CANVAS_PRESETS).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('')}
+            <option value="custom">Custom</option>
+        </select>
+    `;
+    const presetSelect = presetRow.querySelector('select');
+    presetSelect.value = presetKey;
+    presetSelect.onchange = e => {
+        const preset = CANVAS_PRESETS[e.target.value];
+        if (preset) useStore.getState().updateProject({ canvas_width: preset.canvas_width, canvas_height: preset.canvas_height });
+    };
+    grp.appendChild(presetRow);
+
+    const setSize = (key, v) => {
+        const n = Math.round(parseFloat(v));
+        if (!(n >= 16 && n <= 7680)) { toast('Canvas size must be between 16 and 7680 px', 'error'); renderProperties(); return; }
+        useStore.getState().updateProject({ [key]: n });
+    };
+    grp.appendChild(createPropRow('Width (px)', 'number', width, v => setSize('canvas_width', v)));
+    grp.appendChild(createPropRow('Height (px)', 'number', height, v => setSize('canvas_height', v)));
+
+    const bg = project.background_color || '#000000';
+    const bgRow = document.createElement('div');
+    bgRow.className = 'prop-row';
+    bgRow.innerHTML = `
+        <span class="prop-label">Background</span>
+        <div class="color-picker-wrap">
+            <input type="color" class="prop-color" value="${bg}" />
+            <span class="color-hex">${bg}</span>
+        </div>
+    `;
+    const bgInput = bgRow.querySelector('input');
+    bgInput.oninput = e => { bgRow.querySelector('.color-hex').textContent = e.target.value; };
+    bgInput.onchange = e => useStore.getState().updateProject({ background_color: e.target.value });
+    grp.appendChild(bgRow);
+    return grp;
 }
 
 // ── Helpers ────────────────────────────────────────────────
@@ -1754,6 +2821,69 @@ function createPropRow(l, typ, val, chg) {
     r.appendChild(i); return r;
 }
 
+// Containers each codec can be muxed into (mirrors backend exportSettings)
+const EXPORT_CODEC_CONTAINERS = {
+    h264: ['mp4', 'mov'],
+    h265: ['mp4', 'mov'],
+    vp9: ['webm', 'mp4'],
+    prores: ['mov'],
+};
+
+function syncExportSettingsForm() {
+    const codec = $('#export-codec').value;
+    const allowed = EXPORT_CODEC_CONTAINERS[codec];
+    const container = $('#export-container');
+    Array.from(container.options).forEach(o => { o.disabled = !allowed.includes(o.value); });
+    if (!allowed.includes(container.value)) container.value = allowed[0];
+
+    // ProRes is profile-based and has no CRF mode
+    const rateControl = $('#export-rate-control');
+    rateControl.querySelector('option[value="crf"]').disabled = codec === 'prores';
+    if (codec === 'prores' && rateControl.value === 'crf') rateControl.value = 'bitrate';
+
+    const rateValue = $('#export-rate-value');
+    if (rateControl.value === 'crf') {
+        $('#export-rate-label').textContent = 'CRF';
+        rateValue.max = codec === 'vp9' ? 63 : 51;
+        if (+rateValue.value > +rateValue.max || +rateValue.value < 0) rateValue.value = codec === 'vp9' ? 31 : 23;
+    } else {
+        $('#export-rate-label').textContent = 'Bitrate (kbps)';
+        rateValue.removeAttribute('max');
+        if (+rateValue.value < 500) rateValue.value = 8000;
+    }
+}
+
+function readExportSettings() {
+    const rateControl = $('#export-rate-control').value;
+    const rateValue = +$('#export-rate-value').value;
+    return {
+        resolution: $('#export-resolution').value,
+        fps: +$('#export-fps').value,
+        codec: $('#export-codec').value,
+        container: $('#export-container').value,
+        rateControl,
+        crf: rateControl === 'crf' ? rateValue : null,
+        bitrate: rateControl === 'bitrate' ? rateValue : null,
+    };
+}
+
+// Id of the export job the modal is currently tracking
+let activeExportJobId = null;
+
+const EXPORT_STAGE_LABELS = {
+    render: 'Rendering',
+    compose: 'Compositing tracks',
+    overlays: 'Drawing overlays',
+    audio: 'Mixing audio',
+    encode: 'Encoding output',
+    done: 'Finishing up',
+};
+
+function formatEta(seconds) {
+    const s = Math.max(0, Math.round(seconds));
+    return s >= 60 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${s}s`;
+}
+
 async function startExport() {
     const { currentProject } = useStore.getState();
     if (!currentProject) return;
@@ -1762,48 +2892,88 @@ async function startExport() {
     await saveProject();
 
     try {
-        const job = await api.startExport(currentProject.id, requestId);
+        const job = await api.startExport(currentProject.id, requestId, readExportSettings());
         toast('Export started', 'info');
+        activeExportJobId = job.id;
         $('#btn-export-start').disabled = true;
+        $('#btn-export-cancel').classList.remove('hidden');
         $('#export-progress-wrap').classList.remove('hidden');
         $('#export-download').classList.add('hidden');
         $('#export-status').innerHTML = '<p>Rendering your project...</p>';
 
-        const poll = setInterval(async () => {
-            try {
-                const status = await api.getExportStatus(job.id);
-                $('#export-progress-bar').style.width = status.progress + '%';
-                $('#export-progress-label').textContent = Math.round(status.progress) + '%';
-
-                if (status.status === 'COMPLETE') {
-                    clearInterval(poll);
-                    $('#export-status').innerHTML = '<p style="color:var(--success)">✓ Export complete!</p>';
-                    $('#export-download').classList.remove('hidden');
-                    const dlLink = $('#export-download-link');
-                    dlLink.href = api.getDownloadUrl(job.id);
-                    $('#btn-export-start').disabled = false;
-                    toast('Export complete!', 'success');
-                } else if (status.status === 'FAILED') {
-                    clearInterval(poll);
-                    $('#export-status').innerHTML = `<p style="color:var(--danger)">✗ Export failed: ${status.error || 'Unknown error'}</p>`;
-                    $('#btn-export-start').disabled = false;
-                    toast('Export failed', 'error');
-                }
-            } catch (e) {
-                console.error('Poll error:', e);
+        // Progress streams over SSE; EventSource reconnects by itself and the
+        // server re-sends the current state on every (re)connect
+        const events = new EventSource(api.getExportEventsUrl(job.id));
+        const showProgress = (status) => {
+            $('#export-progress-bar').style.width = status.progress + '%';
+            $('#export-progress-label').textContent = Math.round(status.progress) + '%';
+        };
+
+        events.addEventListener('progress', (e) => {
+            const status = JSON.parse(e.data);
+            showProgress(status);
+            if (status.status === 'QUEUED') {
+                $('#export-status').innerHTML = '<p>Waiting in the export queue...</p>';
+            } else if (activeExportJobId) {
+                const stage = EXPORT_STAGE_LABELS[status.stage] || 'Rendering your project';
+                const eta = status.eta != null ? ` · ${formatEta(status.eta)} left` : '';
+                $('#export-status').innerHTML = `<p>${stage}...${eta}</p>`;
             }
-        }, 2000);
+        });
+
+        events.addEventListener('done', (e) => {
+            const status = JSON.parse(e.data);
+            events.close();
+            showProgress(status);
+            activeExportJobId = null;
+            $('#btn-export-cancel').classList.add('hidden');
+
+            if (status.status === 'COMPLETE') {
+                $('#export-status').innerHTML = '<p style="color:var(--success)">✓ Export complete!</p>';
+                $('#export-download').classList.remove('hidden');
+                const dlLink = $('#export-download-link');
+                dlLink.href = api.getDownloadUrl(job.id);
+                $('#btn-export-start').disabled = false;
+                toast('Export complete!', 'success');
+            } else if (status.status === 'CANCELLED') {
+                $('#export-status').innerHTML = '<p>Export cancelled.</p>';
+                $('#export-progress-wrap').classList.add('hidden');
+                $('#btn-export-start').disabled = false;
+                toast('Export cancelled', 'info');
+            } else if (status.status === 'FAILED') {
+                $('#export-status').innerHTML = `<p style="color:var(--danger)">✗ Export failed: ${status.error || 'Unknown error'}</p>`;
+                $('#btn-export-start').disabled = false;
+                toast('Export failed', 'error');
+            }
+        });
     } catch (err) {
         toast('Export failed: ' + err.message, 'error');
         $('#btn-export-start').disabled = false;
     }
 }
+async function cancelExport() {
+    if (!activeExportJobId) return;
+    const btn = $('#btn-export-cancel');
+    btn.disabled = true;
+    try {
+        await api.cancelExport(activeExportJobId);
+        $('#export-status').innerHTML = '<p>Cancelling...</p>';
+    } catch (err) {
+        toast('Cancel failed: ' + err.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 async function saveProject() {
     const { currentProject } = useStore.getState();
     if (!currentProject) return;
     try {
         await api.saveProject(currentProject.id, {
             name: currentProject.name,
+            canvas_width: currentProject.canvas_width,
+            canvas_height: currentProject.canvas_height,
+            background_color: currentProject.background_color,
             tracks: currentProject.tracks
         });
         toast('Project saved', 'success');
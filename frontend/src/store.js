@@ -1,5 +1,6 @@
 import { createStore } from 'zustand/vanilla';
 import { api } from './api.js';
+import { interpolateOverlay, getDefaultAnchor, transformToKeyframe } from './engine/timeEngine.js';
 
 // ── Store ──────────────────────────────────────────────────
 export const useStore = createStore((set, get) => ({
@@ -13,9 +14,25 @@ export const useStore = createStore((set, get) => ({
     playAnimFrame: null,
     lastPlayTimestamp: null,
     videoElements: {},  // assetId -> HTMLVideoElement cache (for preview)
+    // Undo/redo: { label, project } with the project as it was before
+    // (past) or after (future) the labelled edit, oldest first
+    past: [],
+    future: [],
+    historyGroup: null, // { label, recorded } while a drag is in progress
+    historyTrimmed: false, // past[0] is no longer the project as opened
 
     // Actions
-    setProject: (project) => set({ currentProject: project }),
+    // Opening (or closing) a project starts a fresh history
+    setProject: (project) => {
+        lastEdit = null;
+        set({ currentProject: project, past: [], future: [], historyGroup: null, historyTrimmed: false });
+    },
+
+    updateProject: (updates) => {
+        const project = get().currentProject;
+        if (!project) return;
+        commitProject(get, set, { ...project, ...updates }, 'Edit project settings', 'project:' + Object.keys(updates).sort().join(','));
+    },
 
     selectClip: (clipId) => set({ selectedClipId: clipId }),
 
@@ -25,6 +42,7 @@ export const useStore = createStore((set, get) => ({
 
     setZoom: (zoom) => set({ zoom: Math.max(20, Math.min(500, zoom)) }),
 
+    // Assets live on the server, so they are not part of the history
     addAsset: (asset) => {
         const project = get().currentProject;
         if (!project) return;
@@ -38,17 +56,18 @@ export const useStore = createStore((set, get) => ({
         set({ currentProject: { ...project, assets: newAssets } });
     },
 
-    updateTrackClips: (trackId, newClips) => {
+    // `label` names the edit in the history list
+    updateTrackClips: (trackId, newClips, label = 'Edit clips') => {
         const project = get().currentProject;
         if (!project) return;
 
         const newTracks = project.tracks.map(t =>
             t.id === trackId ? { ...t, clips: newClips } : t
         );
-        set({ currentProject: { ...project, tracks: newTracks } });
+        commitProject(get, set, { ...project, tracks: newTracks }, label);
     },
 
-    updateClip: (clipId, updates) => {
+    updateClip: (clipId, updates, label = describeClipEdit(updates)) => {
         const project = get().currentProject;
         if (!project) return;
 
@@ -63,87 +82,157 @@ export const useStore = createStore((set, get) => ({
             return { ...track, clips: newClips };
         });
 
-        if (found) set({ currentProject: { ...project, tracks: newTracks } });
+        if (found) commitProject(get, set, { ...project, tracks: newTracks }, label, 'clip:' + clipId + ':' + Object.keys(updates).sort().join(','));
     },
 
     addKeyframe: (clipId, type, kf) => {
-        // type: 'speed' or 'overlay'
-        const project = get().currentProject;
-        if (!project) return;
-
-        const newTracks = project.tracks.map(track => {
-            const clipIdx = (track.clips || []).findIndex(c => c.id === clipId);
-            if (clipIdx === -1) return track;
-
-            const clip = track.clips[clipIdx];
-            const newClips = [...track.clips];
-
-            if (type === 'speed') {
-                const kfs = [...(clip.speedKeyframes || []), { ...kf, easing: kf.easing || 'linear' }];
-                kfs.sort((a, b) => a.time - b.time);
-                newClips[clipIdx] = { ...clip, speedKeyframes: kfs };
-            } else {
-                const kfs = [...(clip.overlayKeyframes || []), { ...kf, easing: kf.easing || 'linear' }];
-                kfs.sort((a, b) => a.time - b.time);
-                newClips[clipIdx] = { ...clip, overlayKeyframes: kfs };
-            }
-            return { ...track, clips: newClips };
-        });
-
-        set({ currentProject: { ...project, tracks: newTracks } });
+        // type: 'speed', 'overlay' or 'property' (see KEYFRAME_LISTS)
+        updateKeyframeList(get, set, clipId, type, kfs => [...kfs, { ...kf, easing: kf.easing || 'linear' }], 'Add keyframe');
     },
 
     removeKeyframe: (clipId, type, index) => {
-        const project = get().currentProject;
-        if (!project) return;
-
-        const newTracks = project.tracks.map(track => {
-            const clipIdx = (track.clips || []).findIndex(c => c.id === clipId);
-            if (clipIdx === -1) return track;
-
-            const clip = track.clips[clipIdx];
-            const newClips = [...track.clips];
-
-            if (type === 'speed') {
-                const kfs = [...(clip.speedKeyframes || [])];
-                kfs.splice(index, 1);
-                newClips[clipIdx] = { ...clip, speedKeyframes: kfs };
-            } else {
-                const kfs = [...(clip.overlayKeyframes || [])];
-                kfs.splice(index, 1);
-                newClips[clipIdx] = { ...clip, overlayKeyframes: kfs };
-            }
-            return { ...track, clips: newClips };
-        });
-
-        set({ currentProject: { ...project, tracks: newTracks } });
+        updateKeyframeList(get, set, clipId, type, kfs => kfs.filter((_, i) => i !== index), 'Remove keyframe');
     },
 
     updateKeyframe: (clipId, type, index, updates) => {
+        // re-sorted in case the time changed, so the history key follows the
+        // keyframe's id rather than its index
+        updateKeyframeList(get, set, clipId, type, kfs => kfs.map((kf, i) => i === index ? { ...kf, ...updates } : kf),
+            'Edit keyframe', kfs => `keyframe:${clipId}:${kfs[index]?.id}:${Object.keys(updates).sort().join(',')}`);
+    },
+
+    // Auto-key: apply `updates` to the overlay keyframe at a clip-local time,
+    // first adding one there that holds the overlay's current transform
+    keyOverlayAt: (clipId, clipLocalTime, updates) => {
         const project = get().currentProject;
         if (!project) return;
+        const track = project.tracks.find(t => (t.clips || []).some(c => c.id === clipId));
+        if (!track) return;
+        const clip = track.clips.find(c => c.id === clipId);
+
+        updateKeyframeList(get, set, clipId, 'overlay', kfs => {
+            const at = kfs.findIndex(kf => Math.abs(kf.time - clipLocalTime) <= AUTO_KEY_TOLERANCE);
+            if (at >= 0) return kfs.map((kf, i) => i === at ? { ...kf, ...updates } : kf);
+            const transform = interpolateOverlay(clipLocalTime, kfs, clip.properties?.motionPath, getDefaultAnchor(track.type));
+            // The new keyframe splits a segment, so it keeps that segment's easing
+            const before = kfs.filter(kf => kf.time < clipLocalTime).pop();
+            return [...kfs, {
+                id: crypto.randomUUID(),
+                time: Math.round(clipLocalTime * 1000) / 1000,
+                ...transformToKeyframe(transform),
+                easing: before?.easing || 'linear',
+                ...updates,
+            }];
+        }, 'Transform overlay', 'transform:' + clipId);
+    },
 
-        const newTracks = project.tracks.map(track => {
-            const clipIdx = (track.clips || []).findIndex(c => c.id === clipId);
-            if (clipIdx === -1) return track;
-
-            const clip = track.clips[clipIdx];
-            const newClips = [...track.clips];
+    // Edits until endHistoryGroup() (the moves of a drag) undo as one
+    beginHistoryGroup: (label) => {
+        lastEdit = null;
+        set({ historyGroup: { label, recorded: false } });
+    },
 
-            if (type === 'speed') {
-                const kfs = [...(clip.speedKeyframes || [])];
-                kfs[index] = { ...kfs[index], ...updates };
-                kfs.sort((a, b) => a.time - b.time); // re-sort if time changed
-                newClips[clipIdx] = { ...clip, speedKeyframes: kfs };
-            } else {
-                const kfs = [...(clip.overlayKeyframes || [])];
-                kfs[index] = { ...kfs[index], ...updates };
-                kfs.sort((a, b) => a.time - b.time);
-                newClips[clipIdx] = { ...clip, overlayKeyframes: kfs };
-            }
-            return { ...track, clips: newClips };
-        });
+    endHistoryGroup: () => set({ historyGroup: null }),
+
+    undo: () => {
+        const { past, future, currentProject } = get();
+        if (past.length === 0) return;
+        const entry = past[past.length - 1];
+        lastEdit = null;
+        set(restoreProject(get, entry.project, {
+            past: past.slice(0, -1),
+            future: [...future, { label: entry.label, project: currentProject }],
+        }));
+    },
 
-        set({ currentProject: { ...project, tracks: newTracks } });
+    redo: () => {
+        const { past, future, currentProject } = get();
+        if (future.length === 0) return;
+        const entry = future[future.length - 1];
+        lastEdit = null;
+        set(restoreProject(get, entry.project, {
+            past: [...past, { label: entry.label, project: currentProject }],
+            future: future.slice(0, -1),
+        }));
     }
 }));
+
+// ── History ────────────────────────────────────────────────
+// Every timeline edit goes through commitProject(), which records the project
+// as it was before. Repeats of the same edit (same `key`) in quick succession,
+// like a slider being dragged, merge into one entry.
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+let lastEdit = null; // { key, at } of the last recorded edit
+
+function commitProject(get, set, project, label, key = null) {
+    const { currentProject, past, historyGroup } = get();
+    const now = Date.now();
+    let entries = past;
+    let group = historyGroup;
+
+    if (group) {
+        if (!group.recorded) {
+            entries = [...past, { label: group.label, project: currentProject }];
+            group = { ...group, recorded: true };
+        }
+    } else if (!(key && lastEdit && lastEdit.key === key && now - lastEdit.at < HISTORY_COALESCE_MS)) {
+        entries = [...past, { label, project: currentProject }];
+    }
+    lastEdit = group ? null : { key, at: now };
+    set({
+        currentProject: project,
+        past: entries.slice(-HISTORY_LIMIT),
+        future: [],
+        historyGroup: group,
+        historyTrimmed: get().historyTrimmed || entries.length > HISTORY_LIMIT,
+    });
+}
+
+// State for going back (or forward) to a recorded project. Assets stay as
+// they are now, and a selected clip that doesn't exist there is deselected.
+function restoreProject(get, project, history) {
+    const { currentProject, selectedClipId } = get();
+    const restored = { ...project, assets: currentProject.assets };
+    const exists = restored.tracks.some(t => (t.clips || []).some(c => c.id === selectedClipId));
+    return { ...history, currentProject: restored, selectedClipId: exists ? selectedClipId : null, historyGroup: null };
+}
+
+// History label for an updateClip() edit
+function describeClipEdit(updates) {
+    const keys = Object.keys(updates);
+    if (keys.length === 1 && keys[0] === 'start_time') return 'Move clip';
+    if (keys.includes('duration') || keys.includes('in_point')) return 'Trim clip';
+    return 'Edit clip properties';
+}
+
+// Keyframes this close to the playhead are the one auto-key edits (half a
+// frame at 30 fps)
+const AUTO_KEY_TOLERANCE = 1 / 60;
+
+// Clip field holding each keyframe type; property keyframes are
+// { property, time, value, easing } for any KEYFRAMABLE_PROPERTIES entry
+const KEYFRAME_LISTS = { speed: 'speedKeyframes', overlay: 'overlayKeyframes', property: 'propertyKeyframes' };
+
+// Replace a clip's keyframe list with edit(list), kept sorted by time. The
+// history `key` may be a function of the list before the edit.
+function updateKeyframeList(get, set, clipId, type, edit, label, key) {
+    const project = get().currentProject;
+    if (!project) return;
+    const list = KEYFRAME_LISTS[type];
+
+    const newTracks = project.tracks.map(track => {
+        const clipIdx = (track.clips || []).findIndex(c => c.id === clipId);
+        if (clipIdx === -1) return track;
+
+        const clip = track.clips[clipIdx];
+        const newClips = [...track.clips];
+        if (typeof key === 'function') key = key(clip[list] || []);
+        const kfs = edit(clip[list] || []);
+        kfs.sort((a, b) => a.time - b.time);
+        newClips[clipIdx] = { ...clip, [list]: kfs };
+        return { ...track, clips: newClips };
+    });
+
+    commitProject(get, set, { ...project, tracks: newTracks }, label, typeof key === 'function' ? null : key);
+}
@@ -1,5 +1,6 @@
 
-import { mapClipSourceTime, interpolateOverlay } from '../engine/timeEngine.js';
+import { mapClipSourceTime, interpolateOverlay, splitClip, getClipSourceTime } from '../engine/timeEngine.js';
+import { useStore } from '../store.js';
 
 function approxEqual(a, b, eps = 0.001) {
     if (Math.abs(a - b) > eps) {
@@ -60,11 +61,142 @@ function testEasing() {
     console.log('  ✓ Easing logic PASSED');
 }
 
+// ── Test: Auto-key ─────────────────────────────────────────
+function testAutoKey() {
+    const clip = {
+        id: 'ov1', start_time: 2, duration: 10, properties: {},
+        overlayKeyframes: [
+            { id: 'k1', time: 0, x: 0, y: 0, scale_x: 1, scale_y: 1, rotation: 0, opacity: 1, easing: 'linear' },
+            { id: 'k2', time: 4, x: 100, y: 40, scale_x: 2, scale_y: 2, rotation: 90, opacity: 1 },
+        ],
+    };
+    useStore.getState().setProject({ tracks: [{ id: 't1', type: 'OVERLAY_IMAGE', clips: [clip] }] });
+    const keyframes = () => useStore.getState().currentProject.tracks[0].clips[0].overlayKeyframes;
+
+    // Between keyframes a new one is added, holding the transform on screen
+    useStore.getState().keyOverlayAt('ov1', 1, { x: 50 });
+    let kfs = keyframes();
+    if (kfs.length !== 3 || kfs[1].time !== 1) throw new Error('Auto-key should add a keyframe at the playhead');
+    approxEqual(kfs[1].x, 50);
+    approxEqual(kfs[1].y, 10);
+    approxEqual(kfs[1].rotation, 22.5);
+    // Images default to a centre anchor
+    approxEqual(kfs[1].anchor_x, 0.5);
+
+    // Editing again at (about) the same time updates that keyframe
+    useStore.getState().keyOverlayAt('ov1', 1.01, { rotation: 45 });
+    kfs = keyframes();
+    if (kfs.length !== 3) throw new Error('Auto-key should reuse the keyframe at the playhead');
+    approxEqual(kfs[1].rotation, 45);
+    approxEqual(kfs[1].x, 50);
+
+    console.log('  ✓ Auto-key PASSED');
+}
+
+function testUndoRedo() {
+    const clip = { id: 'c1', start_time: 0, duration: 5, in_point: 0, out_point: 5, properties: {}, speedKeyframes: [] };
+    useStore.getState().setProject({ assets: [], tracks: [{ id: 't1', type: 'VIDEO_MAIN', clips: [clip] }] });
+    const store = () => useStore.getState();
+    const first = () => store().currentProject.tracks[0].clips[0];
+
+    // Repeats of the same edit in quick succession (a slider drag) are one step
+    store().updateClip('c1', { properties: { volume: 0.5 } });
+    store().updateClip('c1', { properties: { volume: 0.8 } });
+    if (store().past.length !== 1) throw new Error('Repeated edits should coalesce into one history entry');
+
+    // A drag is one step however many moves it makes
+    store().beginHistoryGroup('Move clip');
+    for (const t of [1, 2, 3]) store().updateClip('c1', { start_time: t });
+    store().endHistoryGroup();
+    store().addKeyframe('c1', 'speed', { time: 1, speed: 2 });
+    const labels = store().past.map(e => e.label).join(', ');
+    if (labels !== 'Edit clip properties, Move clip, Add keyframe') throw new Error(`Unexpected history: ${labels}`);
+
+    store().undo();
+    if (first().speedKeyframes.length !== 0) throw new Error('Undo should remove the keyframe');
+    store().undo();
+    approxEqual(first().start_time, 0);
+    if (store().past.length !== 1 || store().future.length !== 2) throw new Error('Undo should move entries to the redo stack');
+
+    store().redo();
+    approxEqual(first().start_time, 3);
+
+    // A new edit drops what could be redone; undoing a split deselects its half
+    store().updateTrackClips('t1', [{ ...first(), id: 'c2' }], 'Split clip');
+    store().selectClip('c2');
+    if (store().future.length !== 0) throw new Error('A new edit should clear the redo stack');
+    store().undo();
+    if (store().selectedClipId !== null || first().id !== 'c1') throw new Error('Undo should restore the clip and clear a stale selection');
+    approxEqual(first().properties.volume, 0.8);
+
+    // Keyframe edits coalesce per keyframe, even once re-sorting moves it
+    store().addKeyframe('c1', 'speed', { id: 'ka', time: 1, speed: 1 });
+    store().addKeyframe('c1', 'speed', { id: 'kb', time: 2, speed: 1 });
+    const before = store().past.length;
+    const times = () => first().speedKeyframes.map(kf => `${kf.id}@${kf.time}`).join(' ');
+    store().updateKeyframe('c1', 'speed', 0, { time: 3 });   // ka moves past kb to index 1
+    store().updateKeyframe('c1', 'speed', 0, { time: 2.5 }); // now kb
+    store().updateKeyframe('c1', 'speed', 0, { time: 2.6 }); // kb again: merged
+    if (times() !== 'kb@2.6 ka@3') throw new Error(`Unexpected keyframes: ${times()}`);
+    if (store().past.length !== before + 2) throw new Error('Edits to different keyframes should be separate history entries');
+    store().undo();
+    if (times() !== 'kb@2 ka@3') throw new Error(`Undo should restore the second keyframe: ${times()}`);
+    store().undo();
+    if (times() !== 'ka@1 kb@2') throw new Error(`Undo should restore the first keyframe: ${times()}`);
+
+    // Past the history limit the oldest edits are dropped, and with them the opened project
+    if (store().historyTrimmed) throw new Error('History should still reach the opened project');
+    for (let i = 0; i < 100; i++) store().updateTrackClips('t1', [{ ...first(), start_time: i }], 'Move clip');
+    if (store().past.length !== 100 || !store().historyTrimmed) throw new Error('History should be trimmed to its limit');
+    while (store().past.length) store().undo();
+    if (!store().historyTrimmed) throw new Error('Undoing cannot bring back dropped edits');
+    store().setProject({ assets: [], tracks: [] });
+    if (store().historyTrimmed) throw new Error('Opening a project should start an untrimmed history');
+
+    console.log('  ✓ Undo/redo PASSED');
+}
+
+// ── Test: Splitting a ramped clip ─────────────────────────
+// Cut mid-segment, inside an eased ramp: the halves must add up to the clip
+// and play the same source at every moment, forwards and reversed
+function testSplitRamp() {
+    const speedKeyframes = [
+        { id: 'a', time: 0, speed: 1, easing: 'easeInOut' },
+        { id: 'b', time: 4, speed: 3, easing: 'easeOutElastic' },
+        { id: 'c', time: 6, speed: 0.5 },
+    ];
+    const source = mapClipSourceTime(8, speedKeyframes);
+    for (const reverse of [false, true]) {
+        const clip = { id: 'c1', start_time: 2, duration: 8, in_point: 1, out_point: 1 + source, properties: { reverse }, speedKeyframes };
+        for (const cut of [1.5, 5]) {
+            const [first, second] = splitClip(clip, cut);
+            approxEqual(first.duration + second.duration, clip.duration);
+            approxEqual(second.start_time, clip.start_time + cut);
+            approxEqual((first.out_point - first.in_point) + (second.out_point - second.in_point), source);
+            // Each half's ramp consumes exactly its source range
+            approxEqual(mapClipSourceTime(first.duration, first.speedKeyframes), first.out_point - first.in_point);
+            approxEqual(mapClipSourceTime(second.duration, second.speedKeyframes), second.out_point - second.in_point);
+            if (first.speedKeyframes[first.speedKeyframes.length - 1].time !== cut || second.speedKeyframes[0].time !== 0) {
+                throw new Error('Both halves should have a keyframe at the cut');
+            }
+            for (let i = 0; i <= 20; i++) {
+                approxEqual(getClipSourceTime(first, cut * i / 20), getClipSourceTime(clip, cut * i / 20));
+                const t = (clip.duration - cut) * i / 20;
+                approxEqual(getClipSourceTime(second, t), getClipSourceTime(clip, cut + t));
+            }
+        }
+    }
+    console.log('  ✓ Split ramp PASSED');
+}
+
 // ── Run ──────────────────────────────────────────────────
 console.log('\n🎬 Running Time Engine Verification...');
 try {
     testBasicEditFlow();
     testEasing();
+    testAutoKey();
+    testUndoRedo();
+    testSplitRamp();
     console.log('\n✓ All tests passed!\n');
 } catch (err) {
     console.error('\n✗ Test failed:', err.message, '\n');